@@ -1,9 +1,511 @@
 
+export declare const ErrorCode: {
+    readonly REQUIRED_MISSING: 'REQUIRED_MISSING';
+    readonly NO_DEFAULT: 'NO_DEFAULT';
+    readonly INVALID_DEFINITION: 'INVALID_DEFINITION';
+    readonly UNKNOWN_TYPE: 'UNKNOWN_TYPE';
+    readonly TYPE_MISMATCH: 'TYPE_MISMATCH';
+    readonly OUT_OF_RANGE: 'OUT_OF_RANGE';
+    readonly INVALID_LENGTH: 'INVALID_LENGTH';
+    readonly CLASS_MISMATCH: 'CLASS_MISMATCH';
+    readonly CUSTOM_CHECK_FAILED: 'CUSTOM_CHECK_FAILED';
+    readonly TRANSFORM_FAILED: 'TRANSFORM_FAILED';
+    readonly UNSUPPORTED_FEATURE: 'UNSUPPORTED_FEATURE';
+    readonly NO_MATCHING_ALTERNATIVE: 'NO_MATCHING_ALTERNATIVE';
+    readonly VALUE_NOT_ALLOWED: 'VALUE_NOT_ALLOWED';
+    readonly COERCION_FAILED: 'COERCION_FAILED';
+    readonly INVALID_ARGUMENT: 'INVALID_ARGUMENT';
+    readonly UNKNOWN_PROPERTY: 'UNKNOWN_PROPERTY';
+    readonly CONFLICTING_OPTIONS: 'CONFLICTING_OPTIONS';
+    readonly REFINEMENT_FAILED: 'REFINEMENT_FAILED';
+    readonly DEPRECATED: 'DEPRECATED';
+    readonly CIRCULAR_REFERENCE: 'CIRCULAR_REFERENCE';
+    readonly MAX_DEPTH_EXCEEDED: 'MAX_DEPTH_EXCEEDED';
+    readonly PATTERN_MISMATCH: 'PATTERN_MISMATCH';
+    readonly FORMAT_MISMATCH: 'FORMAT_MISMATCH';
+    readonly DUPLICATE_ELEMENT: 'DUPLICATE_ELEMENT';
+    readonly NO_MATCHING_ELEMENT: 'NO_MATCHING_ELEMENT';
+    readonly HOOK_FAILED: 'HOOK_FAILED';
+    readonly UNIQUE_KEY_FAILED: 'UNIQUE_KEY_FAILED';
+};
 
-export class OptionsChecker {
+export interface ValidationIssue {
+    path: (string|number)[];
+    code: string;
+    message: string;
+    context: string;
+    expected?: any;
+    received?: any;
+    cause?: any;
+    /** for unknown properties, the closest option name in the definition; for old option names, the new one */
+    suggestion?: string;
+}
 
-    constructor(constructorOptions: any, contextStr?: string|null, verbose? : boolean);
+/**
+ * An issue reported by a refine function: a message or an object with a message, a path relative
+ * to the refined value and a code, 'REFINEMENT_FAILED' by default.
+ */
+export type RefinementIssue = string | {
+    message: string;
+    path?: string | number | (string|number)[];
+    code?: string;
+    expected?: any;
+    received?: any;
+};
+
+export type RefineFunction<T = any> = (value: T) => RefinementIssue[] | void | Promise<RefinementIssue[] | void>;
+
+export interface OptionsCheckerErrorInfo {
+    optionPath?: (string|number)[];
+    code?: string;
+    expected?: any;
+    received?: any;
+    context?: string;
+    cause?: any;
+    issues?: ValidationIssue[];
+}
+
+export class OptionsCheckerError extends Error {
+    optionPath: (string|number)[];
+    code: string|undefined;
+    expected: any;
+    received: any;
+    context: string|undefined;
+    cause: any;
+    /** e.g. all the errors found in an options definition */
+    issues: ValidationIssue[]|undefined;
+
+    constructor(message: string, info?: OptionsCheckerErrorInfo);
+    static fromIssue(issue: ValidationIssue): OptionsCheckerError;
+}
+
+export interface ValidationReport<T = any> {
+    valid: boolean;
+    cleanOptions: T;
+    errors: ValidationIssue[];
+    warnings: ValidationIssue[];
+    unknownProperties: ValidationIssue[];
+    /** deprecated options and old option names found in the options object */
+    deprecations: ValidationIssue[];
+}
+
+export interface TypeContext {
+    optionName: string;
+    optionPath: (string|number)[];
+    contextStr: string;
+    /** true if the option is being checked by getCleanOptionsAsync, in which case checkObject and checkValue return promises */
+    async: boolean;
+    /** true if the value is sensitive and should not be printed in messages */
+    sensitive: boolean;
+    checkObject(object: any, optionsDefinition: any): any;
+    /** if a note is given, errors in the value are reported as warnings with the note instead of making the option invalid */
+    checkValue(value: any, definition: any, key: string|number, label?: string, name?: string, note?: string): CheckValueResult | Promise<CheckValueResult>;
+    matchesValue(value: any, definition: any, key: string|number, name?: string): boolean | Promise<boolean>;
+    fail(code: string, message: string, details?: { expected?: any, received?: any, cause?: any }): void;
+}
+
+export interface CheckValueResult {
+    valid: boolean;
+    value?: any;
+}
+
+export interface TypeCheckFailure {
+    code?: string;
+    message?: string;
+    expected?: any;
+}
+
+export interface JsonSchemaContext {
+    optionPath: (string|number)[];
+    unsupported(feature: string): void;
+    objectToJsonSchema(optionsDefinition: any): any;
+    toJsonSchema(definition: any, key?: string|number): any;
+}
+
+export type UnknownPropertiesPolicy = 'strip' | 'warn' | 'error' | 'passthrough';
+
+export type InvalidElementPolicy = 'fail' | 'drop' | 'default';
+
+export type UnsupportedFeaturePolicy = 'error' | 'warn' | 'ignore';
+
+export interface Logger {
+    debug(...args: any[]): void;
+    warn(...args: any[]): void;
+    error(...args: any[]): void;
+}
+
+export interface CheckerHooks {
+    onDefaultAssigned?(path: (string|number)[], reason: 'missing' | 'invalid'): void;
+    onTransform?(path: (string|number)[], before: any, after: any): void;
+    onWarning?(issue: ValidationIssue): void;
+}
+
+export interface ToJsonSchemaOptions {
+    onUnsupported?: UnsupportedFeaturePolicy;
+}
+
+export interface FromJsonSchemaOptions {
+    onUnsupported?: UnsupportedFeaturePolicy;
+    strictDefault?: boolean;
+    verbose?: boolean;
+    debug?: boolean;
+    logger?: Logger;
+}
+
+/**
+ * An entry in the description returned by OptionsChecker.describe. Entries for elements, keys,
+ * values and alternatives have no name and no requiredness.
+ */
+export interface OptionDescription {
+    name?: string;
+    path: (string|number)[];
+    type?: string;
+    required?: boolean;
+    optional?: boolean;
+    hasDefault: boolean;
+    default?: unknown;
+    defaultFactory?: true;
+    constraints: {
+        min?: number | bigint | Date;
+        max?: number | bigint | Date;
+        exclusiveMin?: number;
+        exclusiveMax?: number;
+        multipleOf?: number;
+        minLength?: number;
+        maxLength?: number;
+        /** the regular expression as a string, e.g. '/^[a-z]+$/' */
+        pattern?: string;
+        format?: string;
+        uniqueItems?: boolean | 'by key';
+        onInvalidElement?: InvalidElementPolicy;
+        values?: readonly unknown[];
+        literal?: unknown;
+        caseInsensitive?: boolean;
+        nullable?: boolean;
+        /** the class name */
+        objectClass?: string;
+        /** the class name */
+        subclassOf?: string;
+        customCheckDescription?: string;
+        unknownProperties?: UnknownPropertiesPolicy;
+        requiredIf?: string | { readonly [optionName: string]: unknown };
+        conflictsWith?: string | readonly string[];
+        implies?: string | readonly string[];
+    };
+    description?: string;
+    examples?: readonly unknown[];
+    aliases?: readonly string[];
+    renamedFrom?: string | readonly string[];
+    deprecated?: boolean | string;
+    /** true if the option, or an option it is nested in, is sensitive */
+    sensitive?: true;
+    options?: OptionDescription[];
+    element?: OptionDescription;
+    contains?: OptionDescription;
+    key?: OptionDescription;
+    value?: OptionDescription;
+    items?: OptionDescription[];
+    rest?: OptionDescription;
+    anyOf?: OptionDescription[];
+    discriminator?: string;
+    oneOf?: { [discriminatorValue: string]: OptionDescription };
+    /** the name of the named definition used for the option, whose nested definitions are not described */
+    ref?: string;
+}
+
+export interface OptionsDescription {
+    context: string;
+    options: OptionDescription[];
+    /** only if the checker has named definitions */
+    definitions?: { [name: string]: OptionDescription };
+}
+
+export interface TypeSpecification {
+    check(value: any, optionDefinition: any, context: TypeContext): boolean|string|TypeCheckFailure|Promise<boolean|string|TypeCheckFailure>;
+    describe?(optionDefinition: any): string;
+    normalize?(value: any, optionDefinition: any, context: TypeContext): any;
+    coerce?(value: string, optionDefinition: any): any;
+    toJsonSchema?(optionDefinition: any, context: JsonSchemaContext): any;
+    /** extra keys allowed in the definitions of options with the type */
+    definitionKeys?: string[];
+}
+
+export type BuiltInFormat = 'email' | 'url' | 'uuid' | 'iso-date' | 'iso-datetime' | 'hex-color' | 'css-length' | 'semver';
+
+export interface FormatSpecification {
+    check: RegExp | ((value: string) => boolean);
+    /** used in error messages, e.g. 'a valid ISBN' */
+    description?: string;
+    /** the JSON Schema format used by toJsonSchema, e.g. 'uri' */
+    jsonSchemaFormat?: string;
+}
+
+/**
+ * The definition of a single option.
+ *
+ * Declaring a definition with this interface, or passing an object literal directly
+ * to the OptionsChecker constructor, makes TypeScript flag misspelled keys. The extra
+ * definition keys of custom types can be declared by augmenting this interface.
+ */
+export interface OptionDefinition {
+    type?: string | readonly string[];
+    required?: boolean;
+    optional?: boolean;
+    default?: unknown;
+    defaultFactory?: () => unknown;
+    strictDefault?: boolean;
+    coerce?: boolean;
+    customCheck?: (value: any) => boolean | Promise<boolean>;
+    customCheckDescription?: string;
+    transformFunction?: (value: any) => unknown;
+    objectClass?: abstract new (...args: any[]) => unknown;
+    subclassOf?: abstract new (...args: any[]) => unknown;
+    objectDefinition?: OptionsDefinition;
+    unknownProperties?: UnknownPropertiesPolicy;
+    elementDefinition?: OptionDefinition;
+    onInvalidElement?: InvalidElementPolicy;
+    uniqueItems?: boolean | ((element: any) => unknown);
+    contains?: OptionDefinition;
+    keyDefinition?: OptionDefinition;
+    valueDefinition?: OptionDefinition;
+    items?: readonly OptionDefinition[];
+    rest?: OptionDefinition;
+    min?: number | bigint | Date;
+    max?: number | bigint | Date;
+    exclusiveMin?: number;
+    exclusiveMax?: number;
+    multipleOf?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: RegExp | string;
+    format?: BuiltInFormat | (string & {});
+    values?: readonly unknown[];
+    literal?: unknown;
+    caseInsensitive?: boolean;
+    nullable?: boolean;
+    anyOf?: readonly OptionDefinition[];
+    discriminator?: string;
+    oneOf?: { readonly [discriminatorValue: string]: OptionDefinition };
+    requiredIf?: string | { readonly [optionName: string]: unknown };
+    conflictsWith?: string | readonly string[];
+    implies?: string | readonly string[];
+    refine?: RefineFunction;
+    aliases?: readonly string[];
+    renamedFrom?: string | readonly string[];
+    deprecated?: boolean | string;
+    description?: string;
+    examples?: readonly unknown[];
+    sensitive?: boolean;
+    /** the name of a definition in the checker's definitions; the values of refs are not inferred */
+    ref?: string;
+}
+
+export interface OptionsDefinition {
+    readonly [optionName: string]: OptionDefinition;
+}
+
+/**
+ * Maps every key of a definition that is not part of OptionDefinition to never, so that
+ * misspelled keys are reported at compile time, also in nested definitions.
+ */
+export type StrictOptionDefinition<O> = O & {
+    [K in Exclude<keyof O, keyof OptionDefinition>]: never
+} & (O extends { objectDefinition: infer D } ? { objectDefinition: StrictOptionsDefinition<D> } : unknown)
+  & (O extends { elementDefinition: infer E } ? { elementDefinition: StrictOptionDefinition<E> } : unknown)
+  & (O extends { keyDefinition: infer E } ? { keyDefinition: StrictOptionDefinition<E> } : unknown)
+  & (O extends { valueDefinition: infer E } ? { valueDefinition: StrictOptionDefinition<E> } : unknown)
+  & (O extends { rest: infer E } ? { rest: StrictOptionDefinition<E> } : unknown);
+
+export type StrictOptionsDefinition<D> = {
+    [K in keyof D]: StrictOptionDefinition<D[K]>
+};
+
+type Widen<T> =
+    T extends string ? string :
+    T extends number ? number :
+    T extends boolean ? boolean :
+    T extends bigint ? bigint :
+    T extends readonly (infer E)[] ? Widen<E>[] :
+    T extends (...args: any[]) => any ? T :
+    T extends object ? { -readonly [K in keyof T]: Widen<T[K]> } :
+    T;
+
+type ElementOf<T> = T extends readonly (infer E)[] ? E : never;
+
+type ObjectValue<O, Async extends boolean = false> =
+    O extends { objectClass: abstract new (...args: any[]) => infer I } ? I :
+    O extends { objectDefinition: infer D } ? CleanOptions<D, Async> :
+    { [key: string]: any };
+
+type ArrayValue<O, Async extends boolean = false> =
+    O extends { elementDefinition: infer E } ? OptionValue<E, Async>[] : any[];
+
+type MapValue<O, Async extends boolean = false> =
+    Map<O extends { keyDefinition: infer K } ? OptionValue<K, Async> : any, O extends { valueDefinition: infer V } ? OptionValue<V, Async> : any>;
+
+type SetValue<O, Async extends boolean = false> =
+    Set<O extends { elementDefinition: infer E } ? OptionValue<E, Async> : any>;
+
+type ClassValue<O> =
+    O extends { subclassOf: infer C } ? C : abstract new (...args: any[]) => unknown;
+
+type RecordValue<O, Async extends boolean = false> =
+    { [key: string]: O extends { valueDefinition: infer V } ? OptionValue<V, Async> : any } |
+    Map<O extends { keyDefinition: infer K } ? OptionValue<K, Async> : any, O extends { valueDefinition: infer V } ? OptionValue<V, Async> : any>;
+
+type TupleValue<O, Async extends boolean = false> =
+    O extends { items: infer I extends readonly any[] } ?
+        [ ...{ -readonly [P in keyof I]: OptionValue<I[P], Async> }, ...(O extends { rest: infer R } ? OptionValue<R, Async>[] : []) ]
+    : any[];
+
+type TypeNameValue<T, O, Async extends boolean = false> =
+    T extends string ?
+        Lowercase<T> extends 'string' | 'nonemptystring' ? string :
+        Lowercase<T> extends 'number' | 'numbergreaterthanzero' | 'nonzeronumber' | 'integer' | 'finitenumber' ? number :
+        Lowercase<T> extends 'bigint' ? bigint :
+        Lowercase<T> extends 'date' ? Date :
+        Lowercase<T> extends 'regexp' ? RegExp :
+        Lowercase<T> extends 'map' ? MapValue<O, Async> :
+        Lowercase<T> extends 'set' ? SetValue<O, Async> :
+        Lowercase<T> extends 'class' | 'constructor' ? ClassValue<O> :
+        Lowercase<T> extends 'boolean' | 'bool' ? boolean :
+        Lowercase<T> extends 'function' | 'func' ? (...args: any[]) => any :
+        Lowercase<T> extends 'object' ? ObjectValue<O, Async> :
+        Lowercase<T> extends 'array' ? ArrayValue<O, Async> :
+        Lowercase<T> extends 'record' ? RecordValue<O, Async> :
+        Lowercase<T> extends 'tuple' ? TupleValue<O, Async> :
+        any
+    : any;
+
+type DiscriminatedValue<O, Async extends boolean = false> =
+    O extends { discriminator: infer K extends string, oneOf: infer U } ?
+        { [V in keyof U]: { [P in K]: V } & OptionValue<U[V] & { type: 'object' }, Async> }[keyof U]
+    : never;
+
+type CheckedValue<O, Async extends boolean = false> =
+    O extends { literal: infer L } ? L :
+    O extends { values: infer V } ? ElementOf<V> :
+    O extends { anyOf: infer A } ? OptionValue<ElementOf<A>, Async> :
+    O extends { oneOf: any } ? DiscriminatedValue<O, Async> :
+    O extends { type: infer T } ?
+        T extends readonly string[] ? TypeNameValue<ElementOf<T>, O, Async> : TypeNameValue<T, O, Async> :
+    O extends { default: infer D } ? Widen<D> :
+    O extends { defaultFactory: () => infer R } ? Widen<Awaited<R>> :
+    any;
+
+/**
+ * The type of the value of an option in the clean options object.
+ *
+ * If Async is true, the values returned by transform functions are awaited, as in getCleanOptionsAsync.
+ * The values of nullable options can also be null.
+ */
+export type OptionValue<O, Async extends boolean = false> =
+    (O extends { transformFunction: (value: any) => infer R } ? (Async extends true ? Awaited<R> : R) : CheckedValue<O, Async>) |
+    (O extends { nullable: true } ? null : never);
+
+type IsAlwaysDefined<O> =
+    O extends { required: true } ? true :
+    O extends { default: any } ? true :
+    O extends { defaultFactory: any } ? true :
+    O extends { type: infer T extends string, objectDefinition: infer D } ? (Lowercase<T> extends 'object' ? HasAllDefaults<D> : false) :
+    false;
+
+/** True if every option in the definition has a default, so that the default of the object can be derived from it. */
+type HasAllDefaults<D> =
+    string extends keyof D ? false :
+    false extends { [K in keyof D]-?: D[K] extends { required: true } ? false : D[K] extends { optional: true } ? true : IsAlwaysDefined<D[K]> }[keyof D] ? false :
+    true;
+
+/**
+ * The type of the clean options object produced by an options definition.
+ */
+export type CleanOptions<D, Async extends boolean = false> =
+    string extends keyof D ? any :
+    { -readonly [K in keyof D]: IsAlwaysDefined<D[K]> extends true ? OptionValue<D[K], Async> : OptionValue<D[K], Async> | undefined };
+
+type MergedOptionDefinition<A, B> =
+    (B extends { default: any } | { defaultFactory: any } ? Omit<A, 'required' | 'default' | 'defaultFactory'> :
+        B extends { required: true } ? Omit<A, 'default' | 'defaultFactory'> : A) extends infer Base ?
+    Omit<Base, keyof B> & B &
+        (A extends { objectDefinition: infer AD } ? B extends { objectDefinition: infer BD } ? { objectDefinition: MergedDefinition<AD, BD> } : unknown : unknown)
+    : never;
+
+/** The definition of a checker created with extend or merge */
+export type MergedDefinition<A, B> = {
+    [K in keyof A | keyof B]: K extends keyof B ? (K extends keyof A ? MergedOptionDefinition<A[K], B[K]> : B[K]) : K extends keyof A ? A[K] : never
+};
+
+/**
+ * An option definition in a checker created with partial: the options of its objectDefinition and of the ones of its
+ * elements, values and tuple items are optional. Unions and named definitions are used as they are.
+ */
+type PartialOptionDefinition<O> =
+    Omit<O, 'refine' | 'objectDefinition' | 'elementDefinition' | 'valueDefinition' | 'items' | 'rest'>
+  & (O extends { objectDefinition: infer D } ? { objectDefinition: PartialDefinition<D> } : unknown)
+  & (O extends { elementDefinition: infer E } ? { elementDefinition: PartialOptionDefinition<E> } : unknown)
+  & (O extends { valueDefinition: infer E } ? { valueDefinition: PartialOptionDefinition<E> } : unknown)
+  & (O extends { items: infer I extends readonly any[] } ? { items: { [P in keyof I]: PartialOptionDefinition<I[P]> } } : unknown)
+  & (O extends { rest: infer E } ? { rest: PartialOptionDefinition<E> } : unknown);
+
+/** The definition of a checker created with partial */
+export type PartialDefinition<D> = {
+    [K in keyof D]: Omit<PartialOptionDefinition<D[K]>, 'required' | 'requiredIf' | 'implies'> & { optional: true }
+};
+
+export interface OptionsCheckerOptions<D extends OptionsDefinition = OptionsDefinition> {
+    optionsDefinition: D & StrictOptionsDefinition<D>;
+    context: string;
+    strictDefault?: boolean;
+    verbose?: boolean;
+    debug?: boolean;
+    logger?: Logger;
+    hooks?: CheckerHooks;
+    coerce?: boolean;
+    unknownProperties?: UnknownPropertiesPolicy;
+    types?: { [typeName: string]: TypeSpecification };
+    formats?: { [formatName: string]: FormatSpecification };
+    refine?: RefineFunction<CleanOptions<D>>;
+    definitions?: { [name: string]: OptionDefinition };
+    maxDepth?: number;
+}
+
+export class OptionsChecker<D extends OptionsDefinition = OptionsDefinition> {
+
+    optionsDefinition: D;
+    contextStr: string;
+    verbose: boolean;
+    logger: Logger;
+    hooks: CheckerHooks;
+    strictDefault: boolean;
+    coerce: boolean;
+    unknownProperties: UnknownPropertiesPolicy;
+    refine: RefineFunction<CleanOptions<D>> | null;
+    definitions: { readonly [name: string]: OptionDefinition };
+    maxDepth: number;
+
+    constructor(constructorOptions: OptionsCheckerOptions<D>);
+    /** @deprecated use a single options object instead */
+    constructor(optionsDefinition: D & StrictOptionsDefinition<D>, contextStr: string, verbose?: boolean);
+    static registerType(name: string, typeSpec: TypeSpecification): void;
+    registerType(name: string, typeSpec: TypeSpecification): void;
+    static registerFormat(name: string, formatSpec: FormatSpecification): void;
+    registerFormat(name: string, formatSpec: FormatSpecification): void;
     setDebug(debug: boolean): void;
-    getCleanOptions(optionsObject: any): any;
-    getDefaults(): any;
-}
\ No newline at end of file
+    getCleanOptions(optionsObject: any): CleanOptions<D>;
+    getCleanOptionsAsync(optionsObject: any): Promise<CleanOptions<D, true>>;
+    validate(optionsObject: any): ValidationReport<CleanOptions<D>>;
+    getDefaults(): CleanOptions<D>;
+    extend<E extends OptionsDefinition>(optionsDefinition: E & StrictOptionsDefinition<E>, contextStr?: string): OptionsChecker<MergedDefinition<D, E>>;
+    pick<K extends keyof D & string>(optionNames: readonly K[]): OptionsChecker<Pick<D, K>>;
+    omit<K extends keyof D & string>(optionNames: readonly K[]): OptionsChecker<Omit<D, K>>;
+    partial(): OptionsChecker<PartialDefinition<D>>;
+    static merge<A extends OptionsDefinition, B extends OptionsDefinition>(checkerA: OptionsChecker<A>, checkerB: OptionsChecker<B>): OptionsChecker<MergedDefinition<A, B>>;
+    getCleanOptionsFromEnv(env: { [name: string]: string|undefined }, options?: { prefix?: string }): CleanOptions<D>;
+    getCleanOptionsFromArgv(argv: string[], options?: { onHelp?: (helpText: string) => void }): CleanOptions<D>|null;
+    getArgvHelpText(): string;
+    describe(): OptionsDescription;
+    toMarkdown(): string;
+    toHtml(): string;
+    toJsonSchema(options?: ToJsonSchemaOptions): any;
+    static fromJsonSchema(schema: any, context: string, options?: FromJsonSchemaOptions): OptionsChecker;
+}
@@ -16,6 +16,88 @@
  *
  */
 
+/**
+ * Codes used in the issues reported by OptionsChecker
+ */
+export const ErrorCode = Object.freeze({
+    REQUIRED_MISSING: 'REQUIRED_MISSING',
+    NO_DEFAULT: 'NO_DEFAULT',
+    INVALID_DEFINITION: 'INVALID_DEFINITION',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    TYPE_MISMATCH: 'TYPE_MISMATCH',
+    OUT_OF_RANGE: 'OUT_OF_RANGE',
+    INVALID_LENGTH: 'INVALID_LENGTH',
+    CLASS_MISMATCH: 'CLASS_MISMATCH',
+    CUSTOM_CHECK_FAILED: 'CUSTOM_CHECK_FAILED',
+    TRANSFORM_FAILED: 'TRANSFORM_FAILED',
+    UNSUPPORTED_FEATURE: 'UNSUPPORTED_FEATURE',
+    NO_MATCHING_ALTERNATIVE: 'NO_MATCHING_ALTERNATIVE',
+    VALUE_NOT_ALLOWED: 'VALUE_NOT_ALLOWED',
+    COERCION_FAILED: 'COERCION_FAILED',
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    UNKNOWN_PROPERTY: 'UNKNOWN_PROPERTY',
+    CONFLICTING_OPTIONS: 'CONFLICTING_OPTIONS',
+    REFINEMENT_FAILED: 'REFINEMENT_FAILED',
+    DEPRECATED: 'DEPRECATED',
+    CIRCULAR_REFERENCE: 'CIRCULAR_REFERENCE',
+    MAX_DEPTH_EXCEEDED: 'MAX_DEPTH_EXCEEDED',
+    PATTERN_MISMATCH: 'PATTERN_MISMATCH',
+    FORMAT_MISMATCH: 'FORMAT_MISMATCH',
+    DUPLICATE_ELEMENT: 'DUPLICATE_ELEMENT',
+    NO_MATCHING_ELEMENT: 'NO_MATCHING_ELEMENT',
+    HOOK_FAILED: 'HOOK_FAILED',
+    UNIQUE_KEY_FAILED: 'UNIQUE_KEY_FAILED'
+})
+
+/**
+ * Error thrown by OptionsChecker
+ *
+ * Besides the usual message, it provides machine-readable information about the
+ * option that caused the error.
+ */
+export class OptionsCheckerError extends Error {
+
+    /**
+     *
+     * @param {string} message
+     * @param {object} info  an object with the following optional properties:
+     *      optionPath: <array with the path to the option, e.g. [ 'items', 3, 'name' ]; default: []>
+     *      code: <one of the ErrorCode values>
+     *      expected: <a description of the expected value>
+     *      received: <the offending value>
+     *      context: <the context string of the checker>
+     *      cause: <the error that caused this one, e.g. an exception thrown in a custom check>
+     *      issues: <array of issues, e.g. all the errors found in an options definition>
+     */
+    constructor(message, info = {}) {
+        super(message)
+        this.name = 'OptionsCheckerError'
+        this.optionPath = info.optionPath !== undefined ? info.optionPath : []
+        this.code = info.code
+        this.expected = info.expected
+        this.received = info.received
+        this.context = info.context
+        this.cause = info.cause
+        this.issues = info.issues
+    }
+
+    /**
+     * Creates an OptionsCheckerError out of an issue in a validation report
+     * @param {object} issue
+     * @return {OptionsCheckerError}
+     */
+    static fromIssue(issue) {
+        return new OptionsCheckerError(`${issue.context} : ${issue.message}`, {
+            optionPath: issue.path,
+            code: issue.code,
+            expected: issue.expected,
+            received: issue.received,
+            context: issue.context,
+            cause: issue.cause
+        })
+    }
+}
+
 /**
  * Utility class to check and generate a "clean" options object
  */
@@ -30,11 +112,40 @@ export class OptionsChecker {
      *  {
      *      optionsDefinition:  <an object as described below; required>
      *      context: <a string used to identify the checker in warning and error messages; required>
-     *      strictDefault: <true|false, if true, options default will only be used when an option it not defined, can be overridden in any option definition>
-     *      verbose: <true|false, if true, warnings and error will be logged to the console; default: false>
-     *      debug: <true|false, if true, verbose mode will be turned on and more info will be logged to the console; default: false>
+     *      strictDefault: <true|false, if true, options default will only be used when an option it not defined, can be overridden in any option definition;
+     *                      it applies to nested object and element definitions as well>
+     *      verbose: <true|false, if true, warnings and error will be logged; default: false>
+     *      debug: <true|false, if true, verbose mode will be turned on and more info will be logged; default: false>
+     *      logger: <an object with debug, warn and error methods used to log messages, e.g., console; default: the console>
+     *      hooks: <an object with functions called while options are checked; default: {}>
+     *          {
+     *              onDefaultAssigned: (path, reason) => { ... }  // reason is 'missing' or 'invalid'
+     *              onTransform: (path, before, after) => { ... }  // called after an option's transformFunction
+     *              onWarning: (issue) => { ... }  // called for each issue added to the warnings
+     *          }
+     *      coerce: <true|false, if true, string values are converted to the option's type before checking it, see below; default: false>
+     *      unknownProperties: <'strip'|'warn'|'error'|'passthrough', what to do with properties that are not in the definition, see below; default: 'strip'>
+     *      types: <an object with types to register in the checker, { typeName: typeSpec, ... }, see registerType; default: {}>
+     *      formats: <an object with string formats to register in the checker, { formatName: formatSpec, ... }, see registerFormat;
+     *                default: {}>
+     *      refine: <a function (cleanOptions) => { return [ issue1, issue2, ...] } that checks the clean options as a whole,
+     *                see the refine key in option definitions below; optional>
+     *      definitions: <an object with named option definitions, { Name: definition, ... }, that can be used in the options
+     *                definition and in each other with ref: 'Name', see below; default: {}>
+     *      maxDepth: <the maximum number of values checked against named definitions nested in each other, e.g., the levels
+     *                of a tree, at most 1000; default: 100>
      *  }
      *
+     * The logger and hooks are used for nested object and element definitions as well, and are passed on to the
+     * checkers created with extend, pick, omit, partial and merge. Hooks are only called for the alternatives of
+     * a union that match the value.
+     *
+     * The options definition is checked when the checker is constructed. All the errors found in it are reported
+     * together in an OptionsCheckerError with code INVALID_DEFINITION and the list of errors in its issues property.
+     * The checker keeps a normalized and frozen copy of the definition in its optionsDefinition property, so the given
+     * definition is never modified and changing it afterwards does not change the checker. Default and literal values
+     * and the values in requiredIf are not copied.
+     *
      * Calling the constructor with multiple arguments will be deprecated in the next version.  The arguments will be transformed
      * into an object like the one above:
      *  {
@@ -49,7 +160,14 @@ export class OptionsChecker {
      *
      *   optionName:  {
      *     required: <true/false>  // optional, if not present it defaults to false (i.e., the option is not required)
-     *     default:  <default Value> // if required===true, the default value will be ignored
+     *     optional: <true/false>  // if true and the option has no default, it is left out of the clean options when not given,
+     *                     // instead of causing a NO_DEFAULT error; default: false
+     *     default:  <default Value> // not allowed if required===true
+     *                     // arrays, plain objects, dates, maps and sets are deep copied every time the default is assigned
+     *     defaultFactory: () => { return <default value> } // called every time the default is needed, cannot be used together with default;
+     *                     // with getCleanOptionsAsync, it can return a promise
+     *                     // If an option with an objectDefinition has neither default nor defaultFactory, its default is the
+     *                     // object made out of the defaults in the objectDefinition, as long as all its options have defaults
      *     strictDefault: <true|false> // if true, the default will only be used if the option is not defined, overrides the global strictDefault flag
      *     type: 'type_string'   // optional type requirement for the option
      *         type_string can be a Javascript type name:  'string', 'number', 'object', 'boolean', 'function'
@@ -57,32 +175,159 @@ export class OptionsChecker {
      *             'NonEmptyString'
      *             'NumberGreaterThanZero'
      *             'NonZeroNumber'
+     *             'integer'
+     *             'finiteNumber'  // a number that is not NaN or Infinity
+     *             'bigint'
+     *             'date'    // a valid Date object
+     *             'regexp'
      *             'Array' | 'array'
+     *             'record'
+     *             'tuple'
+     *             'map' | 'set'  // Map and Set objects
+     *             'class' | 'constructor'  // a class or constructor function
+     *             'element' | 'HTMLElement'  // DOM elements, in browsers or with a DOM implementation
      *             'custom'   // no checks done, meant to be used with a customCheck function
+     *         or the name of a type registered with OptionsChecker.registerType or with the checker's types option.
+     *         Type names are case-insensitive.
+     *
+     *     // Unions
+     *     type: [ 'type_string1', 'type_string2', ... ]  // the value must match at least one of the types, the rest of
+     *                     // the definition (e.g. min, minLength) is applied to each type
+     *     anyOf: [ definition1, definition2, ...] // the value must match at least one of the given option definitions, the
+     *                     // clean value is the one given by the first matching definition
+     *     discriminator: 'propertyName' // used together with oneOf
+     *     oneOf: { value1: definition1, value2: definition2, ... } // the value must be an object, its discriminator property
+     *                     // selects the definition to apply. The definitions' type defaults to 'object'
+     *
+     *     // Allowed values
+     *     values: [ value1, value2, ... ]  // the value must be one of the given values
+     *     literal: value   // the value must be exactly the given one
+     *     caseInsensitive: <true|false>  // if true, strings are compared to the allowed values regardless of case and
+     *                     // the clean value is the allowed value, e.g., 'LEFT' => 'left'; default: false
      *
      *     // Additional checks
      *     customCheck: function  (valueToCheck) =>  { ... return true|false }, a function that performs an additional check on a value
      *     customCheckDescription: 'some description', a string used to report failures from the checker function
+     *         With getCleanOptionsAsync, the function can return a promise that resolves to true|false
+     *
+     *     // null
+     *     nullable: <true|false>  // if true, null is accepted as the option's value, without any other check or transformation;
+     *                     // objects are never null otherwise; default: false
      *
      *     // Objects
      *     objectClass: SomeClass // if present and type==='object', the given value is checked to be a instance of this class
      *     objectDefinition: <object> // if present and type==='object', the property will be checked against the given definition
+     *     unknownProperties: 'strip'|'warn'|'error'|'passthrough'  // overrides the checker's unknownProperties policy for this
+     *                     // option and its nested definitions:
+     *                     //   'strip': properties not in the definition are left out of the clean object
+     *                     //   'warn': same as strip, but a warning is issued
+     *                     //   'error': properties not in the definition make the object invalid
+     *                     //   'passthrough': properties not in the definition are copied as they are to the clean object
+     *                     // Warnings and errors suggest the closest option name in the definition, if there's one
+     *
+     *     // Other names
+     *     aliases: [ 'otherName1', ... ]  // other names that can be used to give the option
+     *     renamedFrom: 'oldName' | [ 'oldName1', ... ]  // old names of the option, which can still be used but are deprecated
+     *     deprecated: true | 'message'  // the option is deprecated, the message can tell what to use instead
+     *                     // Values given with other names are assigned to the option; giving different values with more
+     *                     // than one name is an error with code CONFLICTING_OPTIONS. The use of old names and deprecated options is
+     *                     // reported in the deprecations list of validation reports and, if the checker is verbose, in the console,
+     *                     // only once by each checker
+     *
+     *     // Rules involving other options in the same object
+     *     requiredIf: 'otherOption' | { otherOption: value, ... }  // the option must be given if otherOption is given,
+     *                     // or if the clean values of the other options are equal to the given values, e.g., { mode: 'remote' }
+     *     conflictsWith: 'otherOption' | [ 'otherOption1', ... ]  // the option cannot be given together with the other options
+     *     implies: 'otherOption' | [ 'otherOption1', ... ]  // if the option is given, the other options must be given as well
+     *                     // Options used in these rules that have no default are left out of the clean object when they are not
+     *                     // given, instead of causing a NO_DEFAULT error
+     *
+     *     // Refinement
+     *     refine: (cleanValue) => { return [ issue1, issue2, ... ] }  // checks the clean value, e.g., an object as a whole, after
+     *                     // all other checks have passed. Issues can be messages or objects { message, path, code }, where path is
+     *                     // an option name or an array relative to the value and code defaults to 'REFINEMENT_FAILED'.
+     *                     // They make the value invalid like any other failure. With getCleanOptionsAsync, the function can return a promise
      *
      *     // Arrays
      *     minLength: <number>
      *     maxLength: <number>
      *     elementDefinition: <object> // if present and type === 'array', each element in the array will be checked against the given definition
+     *     onInvalidElement: 'fail'|'drop'|'default'  // what to do with elements that are not valid according to the elementDefinition:
+     *                     //   'fail': the array is invalid, as any other option
+     *                     //   'drop': the element is left out of the clean array, minLength and maxLength are checked again afterwards
+     *                     //   'default': the element is replaced by the elementDefinition's default, if it has one and
+     *                     //              its strictDefault is not true
+     *                     // Dropped and replaced elements are reported in the warnings; default: 'fail'
+     *     uniqueItems: true | (element) => { return <key> }  // the clean elements must be different from each other, or have
+     *                     // different keys if a function is given; elements and keys are compared deeply
+     *     contains: <object>  // at least one of the clean elements must match the given definition
+     *
+     *     // Records, i.e., objects or Maps used as dictionaries, type === 'record', and Maps, type === 'map'
+     *     keyDefinition: <object> // if present, each key will be checked against the given definition
+     *     valueDefinition: <object> // if present, each value will be checked against the given definition
+     *     minLength: <number>  // minimum number of entries
+     *     maxLength: <number>  // maximum number of entries
+     *         The clean value is a Map if the given value is a Map; otherwise it is a new object
+     *
+     *     // Sets, type === 'set'
+     *     elementDefinition: <object> // if present, each element will be checked against the given definition,
+     *                     // the clean value is a new Set with the clean elements
+     *     minLength: <number>
+     *     maxLength: <number>
+     *
+     *     // Classes, type === 'class'
+     *     subclassOf: SomeClass  // if present, the given class must be SomeClass or a subclass of it
+     *
+     *     // Tuples, type === 'tuple'
+     *     items: [ definition0, definition1, ...]  // the definitions of the elements in each position
+     *     rest: <object> // if present, elements after the given items are checked against it; otherwise, they are not allowed
      *
      *     // strings
      *     minLength: <number>
      *     maxLength: <number>
+     *     pattern: /regular expression/  // the string must match it, a string is turned into a RegExp
+     *     format: 'formatName'  // the string must have the given format: 'email', 'url', 'uuid', 'iso-date', 'iso-datetime',
+     *                     // 'hex-color', 'css-length', 'semver' or one registered with OptionsChecker.registerFormat
+     *                     // or with the checker's formats option. Mismatches have codes PATTERN_MISMATCH and FORMAT_MISMATCH
+     *
+     *     // numbers, bigints and dates
+     *     min: <number|bigint|Date>
+     *     max: <number|bigint|Date>
+     *     exclusiveMin: <number>  // integer and finiteNumber only
+     *     exclusiveMax: <number>  // integer and finiteNumber only
+     *     multipleOf: <number>  // integer and finiteNumber only
      *
-     *     // numbers
-     *     min: <number>
-     *     max: <number>
+     *    // coercion of string values, e.g. from URL parameters, data attributes or environment variables
+     *    coerce: <true|false>  // overrides the checker's coerce flag for this option and its nested definitions
+     *        Strings are converted according to the option's type:
+     *           numbers:  '42' => 42
+     *           booleans: 'true', '1', 'yes', 'on' => true;  'false', '0', 'no', 'off' => false
+     *           arrays: JSON arrays or comma-separated lists, e.g. 'a, b' => [ 'a', 'b' ]
+     *           objects: JSON objects; ISO date strings if objectClass === Date
+     *        Strings that cannot be converted cause a COERCION_FAILED error
      *
      *    // value transformation (e.g. normalization)
      *    transformFunction: (val) => { return <value to assign>}   // applied after all checks, but not to given defaults
+     *        With getCleanOptionsAsync, the function can return a promise that resolves to the value to assign
+     *
+     *    // sensitive values, e.g. passwords or API keys
+     *    sensitive: <true|false>  // if true, the value of the option, and of the options nested in it, is replaced by
+     *        '[redacted]' in error and warning messages, in the received property of issues, in debug output and in
+     *        the values given to the onTransform hook. Issues about sensitive values have no cause, since exception messages
+     *        often include the value. Defaults, examples and allowed values are left out of describe, toMarkdown, toHtml and
+     *        getArgvHelpText, and defaults and examples out of toJsonSchema, where the option is marked as writeOnly
+     *
+     *    // named definitions
+     *    ref: 'Name'  // the option is checked against the definition with the given name in the checker's definitions.
+     *        Only required, optional, default, defaultFactory, strictDefault, requiredIf, conflictsWith, implies, aliases,
+     *        renamedFrom, deprecated, description, examples and sensitive can be given together with ref, they replace the
+     *        ones in the named definition. Named definitions can refer to each other and to themselves, e.g., for trees.
+     *        A value that contains itself where a named definition is used causes a CIRCULAR_REFERENCE error and values
+     *        nested more than maxDepth times a MAX_DEPTH_EXCEEDED error
+     *
+     *    // documentation, used by describe, toMarkdown, toHtml and toJsonSchema
+     *    description: 'some description'
+     *    examples: [ value1, value2, ... ]  // a non-empty array of example values
      *   }
      *
      * @param {object} constructorOptions
@@ -102,22 +347,169 @@ export class OptionsChecker {
             }
         }
 
-        let checkerOptionsDefinition = {
-            optionsDefinition: { type: 'object', required: true},
-            context: { type: 'NonEmptyString', required: true},
-            strictDefault: { type: 'boolean', default: false},
-            verbose: { type: 'boolean', default: false},
-            debug: { type: 'boolean', default: false}
-        }
-        let  cleanOptions = _getCleanOptions(constructorOptionsObject, checkerOptionsDefinition, `${contextStr === null ? 'OptionsChecker' : contextStr} constructor`, false, false, true)
+        let  cleanOptions = _getCleanOptions(constructorOptionsObject, CHECKER_OPTIONS_DEFINITION, {
+            context: `${contextStr === null ? 'OptionsChecker' : contextStr} constructor`,
+            verbose: false,
+            debug: false,
+            logger: CONSOLE_LOGGER,
+            strictDefault: true,
+            coerce: false,
+            unknownProperties: 'strip',
+            types: null,
+            formats: null
+        })
 
-        this.optionsDefinition = cleanOptions.optionsDefinition
         this.contextStr = cleanOptions.context
         this.verbose = cleanOptions.verbose
+        this.logger = cleanOptions.logger
+        this.hooks = cleanOptions.hooks
         this.strictDefault = cleanOptions.strictDefault
+        this.coerce = cleanOptions.coerce
+        this.unknownProperties = cleanOptions.unknownProperties
+        this.refine = cleanOptions.refine
+        this.maxDepth = cleanOptions.maxDepth
+        // deprecation messages already logged, so that each one is logged only once by this checker
+        this.loggedDeprecations = new Set()
+        this.types = new Map()
+        for (const typeName in cleanOptions.types) {
+            if (cleanOptions.types.hasOwnProperty(typeName)) {
+                this.registerType(typeName, cleanOptions.types[typeName])
+            }
+        }
+        this.formats = new Map()
+        for (const formatName in cleanOptions.formats) {
+            if (cleanOptions.formats.hasOwnProperty(formatName)) {
+                this.registerFormat(formatName, cleanOptions.formats[formatName])
+            }
+        }
+        let normalized = _getNormalizedDefinition(cleanOptions.optionsDefinition, cleanOptions.definitions, this.types, this.formats,
+            this.contextStr)
+        this.optionsDefinition = normalized.optionsDefinition
+        this.definitions = normalized.definitions
         this.setDebug(cleanOptions.debug)
     }
 
+    /**
+     * Registers a type that can be used in the option definitions of all checkers.
+     *
+     * The type specification is an object with the following properties:
+     *  {
+     *      check: (value, optionDefinition, context) => { ... }  // required
+     *      describe: (optionDefinition) => { return 'a description of a valid value'}  // optional, e.g., 'a positive number'
+     *      normalize: (value, optionDefinition, context) => { return <clean value> }   // optional
+     *      coerce: (stringValue, optionDefinition) => { return <value> }   // optional
+     *      toJsonSchema: (optionDefinition, context) => { return <JSON Schema object> }  // optional
+     *      definitionKeys: [ 'key1', 'key2', ...]  // optional, extra keys allowed in option definitions with the type
+     *  }
+     *
+     * The check function returns true if the value is valid. Otherwise, it can return false, in which case
+     * an error message is constructed using the describe function, a string with the error message or an object with
+     * any of the following properties: { code, message, expected }.
+     *
+     * The normalize function is called only on valid values and returns the clean value for the option. If not given,
+     * the value is used as is.
+     *
+     * The context given to both functions is an object with the following properties:
+     *  {
+     *      optionName: <the name of the option being checked, as used in messages>
+     *      optionPath: <array with the path to the option>
+     *      contextStr: <the context string of the option's level>
+     *      async: <true if the option is being checked by getCleanOptionsAsync>
+     *      sensitive: <true if the value is sensitive and should not be printed in messages>
+     *      checkObject: (object, optionsDefinition) => { return <clean object> }  // checks a nested object
+     *      checkValue: (value, definition, key, label, name, note) => { return { valid: true|false, value: <clean value>} } // checks a nested value,
+     *                  // key is added to the option path, label to the context string and name is used in messages; default: 'element'.
+     *                  // If a note is given, e.g. 'Element 2 dropped.', errors are reported as warnings with the note instead
+     *      matchesValue: (value, definition, key, name) => { return true|false }  // checks a nested value without reporting anything
+     *      fail: (code, message, details) => { ... }  // makes the option invalid, e.g. in normalize after checking nested values;
+     *                  // details can have expected, received and cause properties
+     *  }
+     *
+     * Errors found by checkObject and checkValue make the option invalid. The definitions given to them are compiled
+     * the first time they are used and should not be modified afterwards.
+     *
+     * With getCleanOptionsAsync, the check and normalize functions can return promises. In that case
+     * context.async is true and checkObject, checkValue and matchesValue return promises as well.
+     *
+     * The coerce function is called with string values before the check when coercion is turned on for
+     * the option. It returns the value to be checked or throws an exception if the string cannot be converted.
+     *
+     * The toJsonSchema function is used by the checker's toJsonSchema method. If not given, options with the
+     * type cannot be translated to JSON Schema. The context given to it is an object with the following properties:
+     *  {
+     *      optionPath: <array with the path to the option>
+     *      unsupported: (feature) => { ... }  // reports a feature that cannot be translated
+     *      objectToJsonSchema: (optionsDefinition) => { return <JSON Schema for an object> }
+     *      toJsonSchema: (definition, key) => { return <JSON Schema for a nested value> }
+     *  }
+     *
+     * Option definitions with the type can have the keys listed in the type's definitionKeys array besides
+     * the usual ones, e.g. definitionKeys: [ 'step' ]
+     *
+     * Type names are case-insensitive. Types registered in a checker take precedence over global types
+     * with the same name.
+     *
+     * @param {string} name
+     * @param {object} typeSpec
+     */
+    static registerType(name, typeSpec) {
+        _registerType(globalTypes, name, typeSpec, 'OptionsChecker.registerType')
+    }
+
+    /**
+     * Registers a type that can be used only in this checker's option definitions.
+     *
+     * Since the options definition is checked when the checker is constructed, types used in it
+     * must be given in the constructor's types option. Types registered afterwards with this method
+     * override types with the same name.
+     *
+     * See OptionsChecker.registerType for details.
+     *
+     * @param {string} name
+     * @param {object} typeSpec
+     */
+    registerType(name, typeSpec) {
+        _registerType(this.types, name, typeSpec, `${this.contextStr} : registerType`)
+        // definitions compiled so far may be using a global type with the same name
+        compiledOptionsDefinitions.delete(this.types)
+        compiledOptionDefinitions.delete(this.types)
+    }
+
+    /**
+     * Registers a string format that can be used with the format key in the option definitions of all checkers.
+     *
+     * The format specification is an object with the following properties:
+     *  {
+     *      check: /regular expression/ | (value) => { return true|false }  // required, tests a string
+     *      description: 'a valid ISBN'  // optional, used in error messages: "isbn should be a valid ISBN, 'x' given"
+     *      jsonSchemaFormat: 'uri'  // optional, the JSON Schema format used by toJsonSchema. If not given,
+     *                               // the regular expression is used as the pattern, if there's one
+     *  }
+     *
+     * Format names are case-sensitive. Formats registered in a checker take precedence over global formats
+     * with the same name.
+     *
+     * @param {string} name
+     * @param {object} formatSpec
+     */
+    static registerFormat(name, formatSpec) {
+        _registerFormat(globalFormats, name, formatSpec, 'OptionsChecker.registerFormat')
+    }
+
+    /**
+     * Registers a string format that can be used only in this checker's option definitions.
+     *
+     * As with types, formats used in the options definition must be given in the constructor's formats option.
+     *
+     * See OptionsChecker.registerFormat for details.
+     *
+     * @param {string} name
+     * @param {object} formatSpec
+     */
+    registerFormat(name, formatSpec) {
+        _registerFormat(this.formats, name, formatSpec, `${this.contextStr} : registerFormat`)
+    }
+
     setDebug(debug) {
         if (debug) {
             this.debug = true
@@ -128,308 +520,5170 @@ export class OptionsChecker {
     }
 
     /**
+     * Checks the given options object and returns a clean options object.
+     *
+     * Throws an exception on the first error found in the options object, warnings
+     * are only reported to the console if the checker is verbose.
      *
      * @param {object} optionsObject
      * @return {object}
      *
      */
     getCleanOptions(optionsObject) {
-       return _getCleanOptions(optionsObject, this.optionsDefinition, this.contextStr, this.verbose, this.debug, this.strictDefault)
+       return _getCleanOptions(optionsObject, this.optionsDefinition, _getCheckerSettings(this))
     }
 
-    getDefaults() {
-        return this.getCleanOptions({})
+    /**
+     * Checks the given options object and returns a promise that resolves to a clean options object.
+     *
+     * Custom checks, transform functions and the check and normalize functions of registered types
+     * can return promises, which are awaited. Options that do not depend on each other, i.e., the options
+     * in the same object and the elements of an array, are checked concurrently.
+     *
+     * Defaults and errors work in the same way as in getCleanOptions: the promise is rejected with an OptionsCheckerError
+     * with the first error found in the order of the definition.
+     *
+     * @param {object} optionsObject
+     * @return {Promise<object>}
+     */
+    getCleanOptionsAsync(optionsObject) {
+        return _getCleanOptionsAsync(optionsObject, this.optionsDefinition, _getCheckerSettings(this))
     }
-}
 
-function _normalizeTypeString(typeStr) {
-    let type = typeStr.toLowerCase()
-
-    switch(type) {
-        case 'bool':
-            return 'boolean'
+    /**
+     * Checks the given options object without throwing exceptions on invalid options.
+     *
+     * All options are checked, including nested object and element definitions, and
+     * a report object is returned:
+     *  {
+     *      valid: <true|false, false if at least one error was found>
+     *      cleanOptions: <the clean options object; if not valid, it only contains the options that could be cleaned>
+     *      errors: <array of issues>
+     *      warnings: <array of issues, e.g. invalid values that were replaced by their defaults>
+     *      unknownProperties: <array of issues, one for each property not in the definition, whatever the unknownProperties policy>
+     *      deprecations: <array of issues with code DEPRECATED, one for each deprecated option or old option name used>
+     *  }
+     *
+     * Each issue is an object with the following properties:
+     *  {
+     *      path: <array with the option path, e.g. [ 'items', 3, 'name' ]>
+     *      code: <one of the ErrorCode values>
+     *      message: <a human readable message>
+     *      context: <the context string of the option's level>
+     *  }
+     *
+     * Issues about unknown properties have a suggestion property with the closest option name in the definition, if there's one.
+     *
+     * @param {object} optionsObject
+     * @return {{valid: boolean, cleanOptions: object, errors: object[], warnings: object[], unknownProperties: object[], deprecations: object[]}}
+     */
+    validate(optionsObject) {
+        return _validate(optionsObject, this.optionsDefinition, _getCheckerSettings(this))
+    }
 
-        case 'func':
-            return 'function'
+    getDefaults() {
+        return this.getCleanOptions({})
+    }
 
-        case 'nonemptystring':
-            return 'NonEmptyString'
+    /**
+     * Returns a new checker with the checker's options definition extended with the given one.
+     *
+     * Options in both definitions are merged: the keys in the given definition override the ones in the
+     * checker's, and nested objectDefinitions, elementDefinitions, etc. are merged in the same way. A required
+     * option becomes optional if a default is given for it and vice versa. Redefining the type of an option is
+     * reported as an error with code INVALID_DEFINITION.
+     *
+     * The new checker has the same settings and types as this one. Its context is this checker's context combined
+     * with the given one, if any.
+     *
+     * @param {object} optionsDefinition
+     * @param {string|null} contextStr
+     * @return {OptionsChecker}
+     */
+    extend(optionsDefinition, contextStr = null) {
+        let newContextStr = contextStr === null ? `${this.contextStr} (extended)` : `${this.contextStr} + ${contextStr}`
+        let errorContextStr = `${this.contextStr} : extend`
+        if (typeof optionsDefinition !== 'object' || optionsDefinition === null || Array.isArray(optionsDefinition)) {
+            throw new OptionsCheckerError(`${errorContextStr} : The options definition must be an object, ${sPrettyPrint(optionsDefinition)} given`,
+                { code: ErrorCode.INVALID_ARGUMENT, context: errorContextStr })
+        }
+        return _createDerivedChecker(this, _getMergedDefinition(this.optionsDefinition, optionsDefinition, this.types, errorContextStr),
+            newContextStr, { refine: this.refine })
+    }
 
-        case 'numbergreaterthanzero':
-            return 'NumberGreaterThanZero'
+    /**
+     * Returns a new checker with only the given options.
+     *
+     * The refine function given to this checker, if any, is not used in the new checker.
+     *
+     * @param {string[]} optionNames
+     * @return {OptionsChecker}
+     */
+    pick(optionNames) {
+        let names = _checkOptionNamesArgument(this, optionNames, 'pick')
+        let optionsDefinition = {}
+        names.forEach( (optionName) => { optionsDefinition[optionName] = this.optionsDefinition[optionName] })
+        return _createDerivedChecker(this, optionsDefinition, `${this.contextStr} (pick ${names.join(', ')})`, {})
+    }
 
-        case 'nonzeronumber':
-            return 'NonZeroNumber'
+    /**
+     * Returns a new checker without the given options.
+     *
+     * The refine function given to this checker, if any, is not used in the new checker.
+     *
+     * @param {string[]} optionNames
+     * @return {OptionsChecker}
+     */
+    omit(optionNames) {
+        let names = _checkOptionNamesArgument(this, optionNames, 'omit')
+        let optionsDefinition = {}
+        Object.keys(this.optionsDefinition).filter( (optionName) => names.indexOf(optionName) === -1).forEach( (optionName) => {
+            optionsDefinition[optionName] = this.optionsDefinition[optionName]
+        })
+        return _createDerivedChecker(this, optionsDefinition, `${this.contextStr} (omit ${names.join(', ')})`, {})
+    }
 
+    /**
+     * Returns a new checker in which all options, including the ones in nested objectDefinitions, are optional.
+     * This includes the objectDefinitions of array and set elements (elementDefinition), record and map values
+     * (valueDefinition) and tuple items (items and rest).
+     *
+     * required, requiredIf and implies are removed from the definitions and options that are not given and have no
+     * default are left out of the clean options. Defaults are kept. Refine functions, which may rely on the options
+     * that are now optional, are not used in the new checker. Named definitions and the alternatives of unions
+     * (anyOf and oneOf) are used as they are.
+     *
+     * @return {OptionsChecker}
+     */
+    partial() {
+        return _createDerivedChecker(this, _getPartialDefinition(this.optionsDefinition), `${this.contextStr} (partial)`, {})
     }
-    return type
-}
-function sPrettyPrint(value) {
-    switch (typeof (value)) {
-        case 'string':
-            return `'${value}'`
-        case 'object':
-            if (Array.isArray(value)) {
-                return `[Array]`
+
+    /**
+     * Returns a new checker whose options definition is the merge of the definitions of the given checkers.
+     *
+     * Definitions are merged as in extend, the second checker's definition extending the first one's. The new
+     * checker has the settings of the first checker, the types, formats and named definitions of both, and uses the refine functions
+     * of both. Named definitions with the same name must be equal in both checkers.
+     *
+     * @param {OptionsChecker} checkerA
+     * @param {OptionsChecker} checkerB
+     * @return {OptionsChecker}
+     */
+    static merge(checkerA, checkerB) {
+        let errorContextStr = 'OptionsChecker.merge'
+        if (!(checkerA instanceof OptionsChecker) || !(checkerB instanceof OptionsChecker)) {
+            throw new OptionsCheckerError(`${errorContextStr} : Need two OptionsChecker objects`, { code: ErrorCode.INVALID_ARGUMENT, context: errorContextStr })
+        }
+        errorContextStr = `${checkerA.contextStr} + ${checkerB.contextStr} : merge`
+        let types = new Map(checkerA.types)
+        let issues = []
+        checkerB.types.forEach( (typeSpec, key) => {
+            if (types.has(key) && types.get(key).check !== typeSpec.check) {
+                issues.push({ path: [], code: ErrorCode.INVALID_DEFINITION, message: `Type '${typeSpec.name}' is registered differently in both checkers`,
+                    context: errorContextStr })
             }
-            if (value.constructor.name !== 'Object') {
-                return `[${value.constructor.name}]`
+            types.set(key, typeSpec)
+        })
+        let formats = new Map(checkerA.formats)
+        checkerB.formats.forEach( (formatSpec, name) => {
+            if (formats.has(name) && formats.get(name).check !== formatSpec.check) {
+                issues.push({ path: [], code: ErrorCode.INVALID_DEFINITION, message: `Format '${name}' is registered differently in both checkers`,
+                    context: errorContextStr })
             }
-            return '[Object]'
-        default:
-            return `${value}`
+            formats.set(name, formatSpec)
+        })
+        let definitions = Object.assign({}, checkerA.definitions)
+        for (const name of Object.keys(checkerB.definitions)) {
+            if (definitions.hasOwnProperty(name) && !_isEqualValue(definitions[name], checkerB.definitions[name])) {
+                issues.push({ path: [ 'definitions', name ], code: ErrorCode.INVALID_DEFINITION,
+                    message: `Definition '${name}' is different in both checkers`, context: errorContextStr })
+            }
+            definitions[name] = checkerB.definitions[name]
+        }
+        _throwDefinitionIssues(issues, 'Cannot merge options definitions', errorContextStr)
+        let refineFunctions = [ checkerA.refine, checkerB.refine ].filter( (refine) => refine !== null)
+        let refine = refineFunctions.length < 2 ? (refineFunctions.length === 1 ? refineFunctions[0] : null) : _combineRefineFunctions(refineFunctions)
+        return _createDerivedChecker(checkerA, _getMergedDefinition(checkerA.optionsDefinition, checkerB.optionsDefinition, types, errorContextStr),
+            `${checkerA.contextStr} + ${checkerB.contextStr}`, { types: types, formats: formats, refine: refine, definitions: definitions })
     }
-}
 
-function _getCleanOptions(optionsObject, optionsDefinition, contextStr, verbose, debug, strictDefault) {
-    debug && console.log(`Getting clean options for context '${contextStr}'`)
-    let cleanOptions = {}
-    for (const optionName in optionsDefinition) {
-        if (!optionsDefinition.hasOwnProperty(optionName)) {
-            debug && console.log(`Ignoring property ${optionName}, which is not an own property of the optionsDefinition object`)
-            continue
+    /**
+     * Returns a clean options object built out of environment variables.
+     *
+     * Variable names are derived from the option names in upper snake case, with nested object
+     * definitions separated by a double underscore. For example, with prefix 'APP_', the option
+     * maxLength is read from APP_MAX_LENGTH and the option host inside the option db from APP_DB__HOST.
+     *
+     * Values are converted according to each option's type in the same way as with coerce: true
+     *
+     * @param {object} env  an object with the variables, normally process.env
+     * @param {object} options  { prefix: <string prepended to all variable names; default: ''> }
+     * @return {object}
+     */
+    getCleanOptionsFromEnv(env, options = {}) {
+        if (typeof env !== 'object' || env === null) {
+            let errorContextStr = `${this.contextStr} : env`
+            throw new OptionsCheckerError(`${errorContextStr} : The environment must be an object, ${sPrettyPrint(env)} given`,
+                { code: ErrorCode.INVALID_ARGUMENT, context: errorContextStr })
         }
-        let optionDefinition = optionsDefinition[optionName]
-        debug && console.log(`Checking option '${optionName}'`)
-        debug && console.log(`Definition:`)
-        debug && console.log(optionDefinition)
-        debug && console.log(`Value to check:`)
-        debug && console.log(optionsObject[optionName])
-        if (optionsObject[optionName] === undefined) {
-            // optionName is NOT in optionsObject
-            if (optionDefinition.required) {
-                _throwError(`Required option '${optionName}' not found`, contextStr, verbose)
+        let prefix = options.prefix !== undefined ? options.prefix : ''
+        let optionsObject = {}
+        for (const entry of _getLeafOptions(this.optionsDefinition, [])) {
+            let variableName = prefix + entry.path.map( (name) => _toEnvName(name)).join('__')
+            if (env[variableName] !== undefined) {
+                _setPathValue(optionsObject, entry.path, env[variableName])
             }
-            if (optionDefinition.default === undefined) {
-                _throwError(`No default defined for option '${optionName}'`, contextStr, verbose)
-            }
-            debug && console.log(`Assigning default`)
-            cleanOptions[optionName] = optionDefinition.default
-            continue;
         }
-        // optionName is present in optionsObject
-        // check type
-        if (optionDefinition.type === undefined) {
-            // no type given, nothing else to do
-            continue
+        return _getCleanOptions(optionsObject, this.optionsDefinition, Object.assign(_getCheckerSettings(this), { coerce: true }))
+    }
+
+    /**
+     * Returns a clean options object built out of command line arguments.
+     *
+     * Flag names are derived from the option names in kebab case, with nested object definitions
+     * separated by a dot. For example, the option maxLength is given with --max-length and the
+     * option host inside the option db with --db.host. Values can be given as --name value or --name=value.
+     * Boolean options can be given without a value (--verbose) and negated with --no-verbose. Array options can be
+     * given multiple times or as a comma-separated list. Values starting with -- can only be given as --name=value.
+     *
+     * Values are converted according to each option's type in the same way as with coerce: true
+     *
+     * If the arguments include --help or -h, the help text is given to options.onHelp (by default, it is
+     * logged with the checker's logger.debug) and null is returned.
+     *
+     * Unknown flags, flags without a value, arguments that are not flags and arguments that are not strings cause an
+     * OptionsCheckerError with code INVALID_ARGUMENT.
+     *
+     * @param {string[]} argv  the arguments, normally process.argv.slice(2)
+     * @param {object} options  { onHelp: (helpText) => { ... } }
+     * @return {object|null}
+     */
+    getCleanOptionsFromArgv(argv, options = {}) {
+        let contextStr = `${this.contextStr} : argv`
+        let fail = (message, argument) => {
+            throw new OptionsCheckerError(`${contextStr} : ${message}`, { code: ErrorCode.INVALID_ARGUMENT, received: argument, context: contextStr })
         }
-        if (typeof optionDefinition.type !== 'string' || optionDefinition.type === '') {
-            // bad type given
-            _throwError(`Invalid type in definition for ${optionName}, need a non-empty string, ${sPrettyPrint(optionDefinition.type)} given`,
-                contextStr, verbose)
-        }
-        // pre-process type
-        let definitionType = _normalizeTypeString(optionDefinition.type)
-        switch(definitionType) {
-            case 'NonEmptyString':
-                definitionType = 'string'
-                optionDefinition.type = 'string'
-                optionDefinition.minLength = 1
-                optionDefinition.maxLength = undefined
-                break
+        if (!Array.isArray(argv)) {
+            fail(`Need an array of arguments, ${sPrettyPrint(argv)} given`, argv)
         }
-        debug && console.log(`Normalized definition type: '${definitionType}'`)
-
-        let checkFail = false
-        let checkFailMessage = ''
-        let cleanValueAssigned = false
-
-        switch(definitionType)  {
-            case 'function':
-            case 'boolean':
-                if (typeof optionsObject[optionName] !== definitionType) {
-                    checkFail = true
-                    checkFailMessage = `${optionName} should be a ${optionDefinition.type}, ${sPrettyPrint(typeof optionsObject[optionName])} given`
-                }
-                break
-
-            case 'number':
-                if (typeof(optionsObject[optionName]) === 'number') {
-                    if (optionDefinition['min'] !== undefined) {
-                        if (optionsObject[optionName] < optionDefinition['min']) {
-                            checkFail = true
-                            checkFailMessage = `Number '${optionName}' should be equal to or greater than ${optionDefinition['min']}, ${optionsObject[optionName]} given`
-                        }
-                    }
-                    if (optionDefinition['max'] !== undefined) {
-                        if (optionsObject[optionName] > optionDefinition['max']) {
-                            checkFail = true
-                            checkFailMessage = `Number '${optionName}' should be equal to or lesser than ${optionDefinition['max']}, ${optionsObject[optionName]} given`
-                        }
-                    }
+        argv.forEach( (argument, i) => {
+            if (typeof argument !== 'string') {
+                fail(`Argument ${i} should be a string, ${sPrettyPrint(argument)} given`, argument)
+            }
+        })
+        let flags = new Map()
+        for (const entry of _getLeafOptions(this.optionsDefinition, [])) {
+            flags.set(entry.path.map( (name) => _toFlagName(name)).join('.'), entry)
+            flags.set(entry.path.join('.'), entry)
+        }
+        // values given for each option path
+        let givenValues = new Map()
+        for (let i = 0; i < argv.length; i++) {
+            let argument = argv[i]
+            if (argument === '--help' || argument === '-h') {
+                let helpText = this.getArgvHelpText()
+                if (options.onHelp !== undefined) {
+                    options.onHelp(helpText)
                 } else {
-                    checkFail = true
-                    checkFailMessage = `${optionName} should be a number, ${sPrettyPrint(typeof optionsObject[optionName])} given`
-                }
-                break
-
-            case 'NonEmptyString':
-                if (typeof optionsObject[optionName] !== 'string' || optionsObject[optionName] === '') {
-                    checkFail = true
-                    checkFailMessage = `${optionName} should be a non-empty string, ${sPrettyPrint(optionsObject[optionName])} given`
-                }
-                break
-
-
-            case 'NumberGreaterThanZero':
-                if (typeof optionsObject[optionName] !== 'number' || optionsObject[optionName] <= 0) {
-                    checkFail = true
-                    checkFailMessage = `${optionName} should be a number greater than zero, ${sPrettyPrint(optionsObject[optionName])} given`
+                    this.logger.debug(helpText)
                 }
-                break
-
-            case 'NonZeroNumber':
-                if (typeof optionsObject[optionName] !== 'number' || optionsObject[optionName] === 0) {
-                    checkFail = true
-                    checkFailMessage = `${optionName} should be a number not equal to zero, ${sPrettyPrint(optionsObject[optionName])} given`
-                }
-                break
-
-            case 'string':
-                if (typeof optionsObject[optionName] !== 'string') {
-                    checkFail = true
-                    checkFailMessage = `${optionName} should be a string, ${sPrettyPrint(typeof optionsObject[optionName])} given`
-                    break
-                }
-                if (optionDefinition['minLength'] !== undefined) {
-                    if (optionsObject[optionName].length < optionDefinition['minLength']) {
-                        checkFail = true
-                        checkFailMessage = `String '${optionName}' should be at least ${optionDefinition['minLength']} characters(s) long, it has ${optionsObject[optionName].length}`
-                    }
-                }
-                if (optionDefinition['maxLength'] !== undefined) {
-                    if (optionsObject[optionName].length > optionDefinition['maxLength']) {
-                        checkFail = true
-                        checkFailMessage = `String '${optionName}' should not have more than ${optionDefinition['maxLength']} character(s), it has ${optionsObject[optionName].length}`
-                    }
-                }
-                break
-
-            case 'object':
-                if (typeof optionsObject[optionName] !== 'object') {
-                    checkFail = true
-                    checkFailMessage = `${optionName} must be an object, ${sPrettyPrint(typeof optionsObject[optionName])} given`
-                    break
-                }
-                // if we have an objectClass, check for it
-                if (optionDefinition['objectClass'] !== undefined) {
-                    if (!(optionsObject[optionName] instanceof optionDefinition['objectClass'])) {
-                        checkFail = true
-                        checkFailMessage = `${optionName} must be an object of class ${optionDefinition['objectClass'].name},` +
-                            ` ${optionsObject[optionName].constructor.name} given, will assign default`
-                        break
-                    }
-                }
-                // if there's an object definition, check it
-                if (optionDefinition['objectDefinition'] !== undefined) {
-                    let newOc = new OptionsChecker({
-                        optionsDefinition: optionDefinition['objectDefinition'],
-                        context:  `${contextStr} : ${optionName}`,
-                        verbose: verbose,
-                        debug: debug
-                    })
-                    let cleanObject = {}
-                    try {
-                        cleanObject = newOc.getCleanOptions(optionsObject[optionName])
-                    } catch (e) {
-                        checkFail = true
-                        checkFailMessage = e
-                    }
-                    // if we get here newOc.getCleanOptions ran fine
-                    if (!checkFail) {
-                        cleanOptions[optionName] = cleanObject
-                        cleanValueAssigned = true
-                    }
-                }
-                break
-
-            case 'array':
-                if (!Array.isArray(optionsObject[optionName])) {
-                    checkFail = true
-                    checkFailMessage = `${optionName} must be an array, ${sPrettyPrint(typeof optionsObject[optionName])} given`
-                    break
-                }
-                if (optionDefinition['minLength'] !== undefined && optionsObject[optionName].length < optionDefinition['minLength']) {
-                    checkFail = true
-                    checkFailMessage = `Array '${optionName}' should have at least ${optionDefinition['minLength']} element(s), it has ${optionsObject[optionName].length}`
-                    break
-                }
-                if (optionDefinition['maxLength'] !== undefined && optionsObject[optionName].length > optionDefinition['maxLength']) {
-                    checkFail = true
-                    checkFailMessage =`Array '${optionName}' should not have more than ${optionDefinition['maxLength']} element(s), it has ${optionsObject[optionName].length}`
-                }
-
-                if (optionDefinition['elementDefinition'] !== undefined) {
-                    // apply the definition to every element in the array
-                    try {
-                        cleanOptions[optionName] = optionsObject[optionName].map((ele, i) => {
-
-                            let newOc = new OptionsChecker( {
-                                optionsDefinition: { element: optionDefinition['elementDefinition'] },
-                                context: `${contextStr} : ${optionName} : element ${i}`,
-                                verbose: verbose,
-                                debug: debug })
-                            return newOc.getCleanOptions( { element: ele})['element']
-                        })
-                    } catch (e) {
-                        checkFail = true
-                        checkFailMessage = e
-                    }
-                    if (!checkFail) {
-                        cleanValueAssigned = true
-                    }
-                }
-                break
-
-            case 'custom':
-                // do nothing, will perform custom checker function later
-                break
-
-            default:
-                _throwError(`Unrecognized type '${optionDefinition.type}' in the definition of '${optionName}'`, contextStr, verbose)
-        }
-
-        // Perform extra check if no errors found
-        if (!checkFail && optionDefinition.customCheck !== undefined) {
-            if (!optionDefinition.customCheck(optionsObject[optionName])) {
-                // custom check fails
-                checkFail = true
-                checkFailMessage = `${optionName} must be ${optionDefinition.customCheckDescription}, ` +
-                    `${sPrettyPrint(optionsObject[optionName])} given`
+                return null
             }
-        }
-
-        if (checkFail) {
-            let optionStrictDefault = optionDefinition.strictDefault !== undefined ? optionDefinition.strictDefault : strictDefault
-
-            if (optionStrictDefault || optionDefinition.default === undefined) {
-                _throwError(checkFailMessage, contextStr, verbose)
+            if (!argument.startsWith('--')) {
+                fail(`Unexpected argument ${sPrettyPrint(argument)}`, argument)
             }
-            else {
-                verbose && console.warn(`${checkFailMessage}. Default assigned.`)
-                cleanOptions[optionName] = optionDefinition.default
+            let flagName = argument.substring(2)
+            let value = undefined
+            let equalSignIndex = flagName.indexOf('=')
+            if (equalSignIndex !== -1) {
+                value = flagName.substring(equalSignIndex + 1)
+                flagName = flagName.substring(0, equalSignIndex)
             }
-        } else {
-            if (!cleanValueAssigned) {
-                cleanOptions[optionName] = optionsObject[optionName]
-            }
-            // apply transform function, if there's any
-            if (optionDefinition['transformFunction'] !== undefined && typeof(optionDefinition['transformFunction']) === 'function') {
-                debug && console.log(`Applying transform function`)
-                cleanOptions[optionName] = optionDefinition['transformFunction'](cleanOptions[optionName])
-                if (cleanOptions[optionName] === undefined) {
-                    _throwError(`Transform function returned undefined value for option ${optionName}`, contextStr, verbose)
+            let entry = flags.get(flagName)
+            if (entry === undefined && value === undefined && flagName.startsWith('no-')) {
+                let negatedEntry = flags.get(flagName.substring(3))
+                if (negatedEntry !== undefined && _isTypeDefinition(negatedEntry.definition, [ 'boolean', 'bool'])) {
+                    entry = negatedEntry
+                    value = 'false'
+                }
+            }
+            if (entry === undefined) {
+                fail(`Unknown option '--${flagName}'`, argument)
+            }
+            if (value === undefined) {
+                let nextIsFlag = i + 1 === argv.length || argv[i + 1].startsWith('--')
+                if (_isTypeDefinition(entry.definition, [ 'boolean', 'bool']) && nextIsFlag) {
+                    value = 'true'
+                } else if (nextIsFlag) {
+                    fail(`Missing value for option '--${flagName}'`, argument)
+                } else {
+                    value = argv[++i]
                 }
             }
+            let key = entry.path.join('.')
+            if (!givenValues.has(key)) {
+                givenValues.set(key, { entry: entry, values: [] })
+            }
+            givenValues.get(key).values.push(value)
         }
+        let optionsObject = {}
+        givenValues.forEach( (given) => {
+            let isArray = _isTypeDefinition(given.entry.definition, [ 'array' ])
+            // arrays given more than once are built out of every value, otherwise the last value is used
+            let value = isArray && given.values.length > 1 ? given.values : given.values[given.values.length - 1]
+            _setPathValue(optionsObject, given.entry.path, value)
+        })
+        return _getCleanOptions(optionsObject, this.optionsDefinition, Object.assign(_getCheckerSettings(this), { coerce: true }))
+    }
 
+    /**
+     * Returns a help text describing the command line flags accepted by getCleanOptionsFromArgv
+     *
+     * @return {string}
+     */
+    getArgvHelpText() {
+        let lines = _getLeafOptions(this.optionsDefinition, []).map( (entry) => {
+            let definition = entry.definition
+            let flagName = entry.path.map( (name) => _toFlagName(name)).join('.')
+            let flag = _isTypeDefinition(definition, [ 'boolean', 'bool']) ? `--[no-]${flagName}` :
+                `--${flagName} <${_getHelpValueLabel(definition, entry.sensitive)}>`
+            let note = ''
+            if (definition.required) {
+                note = 'required'
+            } else if (definition.default !== undefined && entry.sensitive) {
+                note = `default: ${REDACTED_VALUE}`
+            } else if (definition.default !== undefined) {
+                note = `default: ${_isJsonValue(definition.default) ? JSON.stringify(definition.default) : sPrettyPrint(definition.default)}`
+            } else if (definition.defaultFactory !== undefined) {
+                note = 'default: computed'
+            }
+            if (definition.deprecated !== undefined && definition.deprecated !== false) {
+                note = `${note} (deprecated)`.trim()
+            }
+            return { flag: flag, note: note }
+        })
+        let flagWidth = Math.max(0, ...lines.map( (line) => line.flag.length))
+        return [ `Options for ${this.contextStr}:` ].concat(lines.map( (line) => {
+            return `  ${line.flag.padEnd(flagWidth)}  ${line.note}`.trimEnd()
+        })).join('\n')
     }
-    return cleanOptions;
-}
 
+    /**
+     * Returns a description of the checker's options, meant to generate documentation.
+     *
+     * The result is an object { context, options }, where options is an array with an entry for each option:
+     *  {
+     *      name: <the option name>
+     *      path: <array with the path to the option, e.g. [ 'style', 'color' ]>
+     *      type: <the type name, e.g. 'string' or 'number|string'; undefined if the option has no type>
+     *      required: <true if the option must be given, i.e., if it is required or it has no default>
+     *      optional: <true if the option is left out of the clean options when not given>
+     *      hasDefault: <true if a default is used when the option is not given>
+     *      default: <the option's default, if given in the definition>
+     *      defaultFactory: <true if the default is computed by a defaultFactory>
+     *      constraints: <an object with the definition's min, max, exclusiveMin, exclusiveMax, multipleOf, minLength, maxLength,
+     *          pattern (as a string), format, uniqueItems (true or 'by key'), onInvalidElement, values, literal, caseInsensitive,
+     *          nullable, objectClass and subclassOf (the class names), customCheckDescription, unknownProperties, requiredIf
+     *          (with '[redacted]' as the value of sensitive options), conflictsWith and implies, if given>
+     *      description, examples, aliases, renamedFrom, deprecated: <as given in the definition>
+     *      options: <the entries for the options in the objectDefinition>
+     *      element: <an entry for the elementDefinition>
+     *      contains: <an entry for an array's contains definition>
+     *      key, value: <entries for a record's keyDefinition and valueDefinition>
+     *      items, rest: <entries for a tuple's items and rest definitions>
+     *      anyOf: <an array with an entry for each alternative>
+     *      discriminator, oneOf: <the discriminator and an object with an entry for each alternative>
+     *      ref: <the name of the named definition used for the option>
+     *  }
+     *
+     * Keys that do not apply to an option are left out. The entries for elements, keys, values and alternatives
+     * have no name. Entries with a ref describe the named definition together with the keys given with the ref, but
+     * not the definitions nested in it. If the checker has named definitions, the result has a definitions property as
+     * well, an object with an entry for each of them, { Name: entry, ... }, whose paths are relative to the definition.
+     *
+     * @return {object}
+     */
+    describe() {
+        let description = { context: this.contextStr, options: _describeOptionsDefinition(this.optionsDefinition, [], false) }
+        let names = Object.keys(this.definitions)
+        if (names.length !== 0) {
+            description.definitions = {}
+            names.forEach( (name) => {
+                description.definitions[name] = _describeOptionDefinition(this.definitions[name], [], false, { name: name, path: [] })
+            })
+        }
+        return description
+    }
 
-function _throwError(message, context, verbose) {
-    let errorMessage = `${context} : ${message}`
-    verbose && console.error(errorMessage)
-    throw new Error(errorMessage)
-}
\ No newline at end of file
+    /**
+     * Returns a Markdown code block documenting the checker's options, in the style of the options
+     * block in OptionsChecker's README:
+     *
+     *      {
+     *          optionName: <type, constraints, description, e.g. examples; required|default: value>
+     *      }
+     *
+     * Named definitions are documented after the options, each one with its name as label.
+     *
+     * @return {string}
+     */
+    toMarkdown() {
+        let description = this.describe()
+        let lines = [ '{' ]
+        description.options.forEach( (option) => { _getDescriptionLines(option, option.name, '    ', lines) })
+        lines.push('}')
+        if (description.definitions !== undefined) {
+            for (const name of Object.keys(description.definitions)) {
+                lines.push('')
+                _getDescriptionLines(description.definitions[name], name, '', lines)
+            }
+        }
+        return lines.map( (line) => line === '' ? line : `    ${line}`).join('\n')
+    }
+
+    /**
+     * Returns an HTML list documenting the checker's options, with the same information as toMarkdown, followed
+     * by a list documenting the named definitions, if there are any
+     *
+     * @return {string}
+     */
+    toHtml() {
+        let description = this.describe()
+        let html = _getDescriptionListHtml(_getNestedDescriptions({ options: description.options }), '')
+        if (description.definitions !== undefined) {
+            html += '\n' + _getDescriptionListHtml(Object.keys(description.definitions).map( (name) => {
+                return { label: `<code>${_escapeHtml(name)}</code>`, description: description.definitions[name] }
+            }), '')
+        }
+        return html
+    }
+
+    /**
+     * Returns a JSON Schema (draft 2020-12) equivalent to the checker's options definition.
+     *
+     * The options object can have the following property:
+     *  {
+     *      onUnsupported: <'error'|'warn'|'ignore', what to do with definition features that cannot be
+     *          translated to JSON Schema, e.g., customCheck, transformFunction or objectClass; default: 'error'>
+     *  }
+     *
+     * With 'error', an OptionsCheckerError listing all the unsupported features is thrown. With 'warn', the
+     * features are left out of the schema and reported to the checker's logger.
+     *
+     * Options without a default are listed as required in the schema since the checker will not accept
+     * options objects without them, unless they are optional or in requiredIf, conflictsWith or implies rules.
+     *
+     * Named definitions are translated into schemas in $defs, and options with a ref into references to them.
+     *
+     * @param {object} options
+     * @return {object}
+     */
+    toJsonSchema(options = {}) {
+        let contextStr = `${this.contextStr} : toJsonSchema`
+        let onUnsupported = _getOnUnsupportedPolicy(options, contextStr)
+        let unsupported = []
+        let schema = Object.assign({ $schema: JSON_SCHEMA_DIALECT, title: this.contextStr },
+            _optionsDefinitionToJsonSchema(this.optionsDefinition, [], unsupported, this.types, this.formats))
+        let names = Object.keys(this.definitions)
+        if (names.length !== 0) {
+            schema.$defs = {}
+            names.forEach( (name) => {
+                let path = [ 'definitions', name ]
+                schema.$defs[name] = _addJsonSchemaAnnotations(_optionDefinitionToJsonSchema(this.definitions[name], path, unsupported, this.types, this.formats),
+                    this.definitions[name])
+            })
+        }
+        if (this.refine !== null) {
+            unsupported.push({ path: [], feature: 'refine' })
+        }
+        _reportUnsupportedFeatures(unsupported, onUnsupported, 'Cannot translate to JSON Schema', contextStr, this.logger)
+        return schema
+    }
+
+    /**
+     * Creates an OptionsChecker out of a JSON Schema for an object.
+     *
+     * The options object can have the following properties:
+     *  {
+     *      onUnsupported: <'error'|'warn'|'ignore', what to do with JSON Schema keywords that cannot be
+     *          translated to an options definition, e.g., pattern or not; default: 'error'>
+     *      strictDefault: <true|false, default: true, since invalid values are not replaced by defaults in JSON Schema>
+     *      verbose: <true|false>
+     *      debug: <true|false>
+     *      logger: <an object with debug, warn and error methods, also used to report unsupported keywords; default: the console>
+     *  }
+     *
+     * Properties that are not required and have no default become options with optional: true, which are left out
+     * of the clean options when they are not given.
+     *
+     * The schemas in $defs become the checker's named definitions and properties with a $ref to them, e.g.,
+     * '#/$defs/Name', options with ref: 'Name', which are optional if they are not required and have no default.
+     *
+     * @param {object} schema
+     * @param {string} context
+     * @param {object} options
+     * @return {OptionsChecker}
+     */
+    static fromJsonSchema(schema, context, options = {}) {
+        let contextStr = `${typeof context === 'string' ? context : 'OptionsChecker'} : fromJsonSchema`
+        let onUnsupported = _getOnUnsupportedPolicy(options, contextStr)
+        if (typeof schema !== 'object' || schema === null || _getJsonSchemaType(schema) !== 'object') {
+            throw new OptionsCheckerError(`${contextStr} : The schema must be an object schema`,
+                { code: ErrorCode.INVALID_DEFINITION, received: schema, context: contextStr })
+        }
+        let unsupported = []
+        let optionsDefinition = _jsonSchemaToOptionsDefinition(schema, [], unsupported)
+        let definitions = {}
+        if (typeof schema.$defs === 'object' && schema.$defs !== null) {
+            for (const name of Object.keys(schema.$defs)) {
+                definitions[name] = _jsonSchemaToOptionDefinition(schema.$defs[name], [ '$defs', name ], unsupported, true)
+                delete definitions[name].required
+            }
+        }
+        _reportUnhandledJsonSchemaKeywords(schema, [ 'type', 'properties', 'required', '$defs'], [], unsupported)
+        _reportUnsupportedFeatures(unsupported, onUnsupported, 'Cannot translate from JSON Schema', contextStr,
+            options.logger !== undefined ? options.logger : CONSOLE_LOGGER)
+        return new OptionsChecker({
+            optionsDefinition: optionsDefinition,
+            definitions: definitions,
+            context: context,
+            strictDefault: options.strictDefault !== undefined ? options.strictDefault : true,
+            verbose: options.verbose,
+            debug: options.debug,
+            logger: options.logger
+        })
+    }
+}
+
+function sPrettyPrint(value) {
+    switch (typeof (value)) {
+        case 'string':
+            return `'${value}'`
+        case 'object':
+            if (value === null) {
+                return 'null'
+            }
+            if (Array.isArray(value)) {
+                return `[Array]`
+            }
+            return `[${_getClassName(value)}]`
+        default:
+            return String(value)
+    }
+}
+
+/**
+ * Returns the name of an object's class, 'Object' for objects without a named constructor, e.g. Object.create(null)
+ *
+ * @param {object} value
+ * @return {string}
+ * @private
+ */
+function _getClassName(value) {
+    let constructor = value.constructor
+    return typeof constructor === 'function' && typeof constructor.name === 'string' && constructor.name !== '' ? constructor.name : 'Object'
+}
+
+/**
+ * Printed instead of the values of sensitive options
+ */
+const REDACTED_VALUE = '[redacted]'
+
+/**
+ * Prints a value for a message, unless it is sensitive
+ *
+ * @param {*} value
+ * @param {boolean} sensitive
+ * @return {string}
+ * @private
+ */
+function _printValue(value, sensitive) {
+    return sensitive ? REDACTED_VALUE : sPrettyPrint(value)
+}
+
+const UNKNOWN_PROPERTIES_POLICIES = [ 'strip', 'warn', 'error', 'passthrough' ]
+
+const INVALID_ELEMENT_POLICIES = [ 'fail', 'drop', 'default' ]
+
+const LOGGER_METHODS = [ 'debug', 'warn', 'error' ]
+
+/**
+ * The default logger. The console methods are looked up on every call, so that they can be replaced, e.g., in tests
+ */
+const CONSOLE_LOGGER = Object.freeze({
+    debug: (...args) => { console.log(...args) },
+    warn: (...args) => { console.warn(...args) },
+    error: (...args) => { console.error(...args) }
+})
+
+/**
+ * Definition of the options given to the OptionsChecker constructor
+ */
+const CHECKER_OPTIONS_DEFINITION = {
+    optionsDefinition: { type: 'object', required: true},
+    context: { type: 'NonEmptyString', required: true},
+    strictDefault: { type: 'boolean', default: false},
+    verbose: { type: 'boolean', default: false},
+    debug: { type: 'boolean', default: false},
+    logger: {
+        type: 'object',
+        customCheck: (logger) => LOGGER_METHODS.every( (method) => typeof logger[method] === 'function'),
+        customCheckDescription: 'an object with debug, warn and error methods',
+        default: CONSOLE_LOGGER
+    },
+    hooks: {
+        type: 'object',
+        objectDefinition: {
+            onDefaultAssigned: { type: 'function', optional: true },
+            onTransform: { type: 'function', optional: true },
+            onWarning: { type: 'function', optional: true }
+        },
+        unknownProperties: 'error'
+    },
+    coerce: { type: 'boolean', default: false},
+    unknownProperties: { type: 'string', values: UNKNOWN_PROPERTIES_POLICIES, default: 'strip'},
+    types: { type: 'object', default: {}},
+    formats: { type: 'object', default: {}},
+    refine: { type: 'function', default: null},
+    definitions: { type: 'object', default: {}},
+    maxDepth: { type: 'integer', min: 1, max: 1000, default: 100}
+}
+
+/**
+ * Global type registry, maps lower case type names to type specifications
+ * @type {Map<string, object>}
+ */
+const globalTypes = new Map()
+
+function _registerType(registry, name, typeSpec, contextStr) {
+    let fail = (message) => {
+        throw new OptionsCheckerError(`${contextStr} : ${message}`, { code: ErrorCode.INVALID_DEFINITION, context: contextStr })
+    }
+    if (typeof name !== 'string' || name === '') {
+        fail(`Type name must be a non-empty string, ${sPrettyPrint(name)} given`)
+    }
+    if (typeof typeSpec !== 'object' || typeSpec === null || typeof typeSpec.check !== 'function') {
+        fail(`The specification of type '${name}' must be an object with a check function`)
+    }
+    for (const key of [ 'describe', 'normalize', 'coerce', 'toJsonSchema']) {
+        if (typeSpec[key] !== undefined && typeof typeSpec[key] !== 'function') {
+            fail(`${key} in the specification of type '${name}' must be a function, ${sPrettyPrint(typeSpec[key])} given`)
+        }
+    }
+    if (typeSpec.definitionKeys !== undefined &&
+        (!Array.isArray(typeSpec.definitionKeys) || !typeSpec.definitionKeys.every( (key) => typeof key === 'string'))) {
+        fail(`definitionKeys in the specification of type '${name}' must be an array of strings`)
+    }
+    let key = name.toLowerCase()
+    if (registry.has(key)) {
+        fail(`Type '${name}' is already registered`)
+    }
+    registry.set(key, {
+        name: name,
+        check: typeSpec.check,
+        describe: typeSpec.describe !== undefined ? typeSpec.describe : () => { return `a value of type ${name}`},
+        normalize: typeSpec.normalize,
+        coerce: typeSpec.coerce,
+        toJsonSchema: typeSpec.toJsonSchema,
+        definitionKeys: typeSpec.definitionKeys !== undefined ? typeSpec.definitionKeys.slice() : []
+    })
+}
+
+/**
+ * Returns the specification for the given type name, or undefined if the type is not registered
+ *
+ * @param {string} typeName
+ * @param {Map|null} types  checker types, which take precedence over global ones
+ * @return {object|undefined}
+ * @private
+ */
+function _getTypeSpec(typeName, types) {
+    let key = typeName.toLowerCase()
+    if (types !== null && types.has(key)) {
+        return types.get(key)
+    }
+    return globalTypes.get(key)
+}
+
+/**
+ * Global format registry, maps format names to format specifications
+ * @type {Map<string, object>}
+ */
+const globalFormats = new Map()
+
+function _registerFormat(registry, name, formatSpec, contextStr) {
+    let fail = (message) => {
+        throw new OptionsCheckerError(`${contextStr} : ${message}`, { code: ErrorCode.INVALID_DEFINITION, context: contextStr })
+    }
+    if (typeof name !== 'string' || name === '') {
+        fail(`Format name must be a non-empty string, ${sPrettyPrint(name)} given`)
+    }
+    if (typeof formatSpec !== 'object' || formatSpec === null || (typeof formatSpec.check !== 'function' && !(formatSpec.check instanceof RegExp))) {
+        fail(`The specification of format '${name}' must be an object with a check function or regular expression`)
+    }
+    for (const key of [ 'description', 'jsonSchemaFormat']) {
+        if (formatSpec[key] !== undefined && typeof formatSpec[key] !== 'string') {
+            fail(`${key} in the specification of format '${name}' must be a string, ${sPrettyPrint(formatSpec[key])} given`)
+        }
+    }
+    if (registry.has(name)) {
+        fail(`Format '${name}' is already registered`)
+    }
+    registry.set(name, {
+        name: name,
+        check: formatSpec.check instanceof RegExp ? _getStatelessRegExp(formatSpec.check) : formatSpec.check,
+        description: formatSpec.description !== undefined ? formatSpec.description : `a string in the ${name} format`,
+        jsonSchemaFormat: formatSpec.jsonSchemaFormat
+    })
+}
+
+/**
+ * Returns the specification for the given format name, or undefined if the format is not registered
+ *
+ * @param {string} formatName
+ * @param {Map|null} formats  checker formats, which take precedence over global ones
+ * @return {object|undefined}
+ * @private
+ */
+function _getFormatSpec(formatName, formats) {
+    if (formats !== null && formats.has(formatName)) {
+        return formats.get(formatName)
+    }
+    return globalFormats.get(formatName)
+}
+
+/**
+ * Returns a copy of the given regular expression without the g and y flags, which make test() depend
+ * on the previous calls
+ *
+ * @param {RegExp} regExp
+ * @return {RegExp}
+ * @private
+ */
+function _getStatelessRegExp(regExp) {
+    return regExp.global || regExp.sticky ? new RegExp(regExp.source, regExp.flags.replace(/[gy]/g, '')) : regExp
+}
+
+function _checkStringLength(value, optionDefinition, context) {
+    if (optionDefinition['minLength'] !== undefined && value.length < optionDefinition['minLength']) {
+        return {
+            code: ErrorCode.INVALID_LENGTH,
+            message: `String '${context.optionName}' should be at least ${optionDefinition['minLength']} characters(s) long, it has ${value.length}`,
+            expected: `length >= ${optionDefinition['minLength']}`
+        }
+    }
+    if (optionDefinition['maxLength'] !== undefined && value.length > optionDefinition['maxLength']) {
+        return {
+            code: ErrorCode.INVALID_LENGTH,
+            message: `String '${context.optionName}' should not have more than ${optionDefinition['maxLength']} character(s), it has ${value.length}`,
+            expected: `length <= ${optionDefinition['maxLength']}`
+        }
+    }
+    return true
+}
+
+/**
+ * Checks a string against the pattern and format in its option definition
+ *
+ * @param {string} value
+ * @param {object} optionDefinition
+ * @param {TypeContext} context
+ * @return {true|object}
+ * @private
+ */
+function _checkStringPattern(value, optionDefinition, context) {
+    let pattern = optionDefinition['pattern']
+    if (pattern !== undefined && !pattern.test(value)) {
+        return {
+            code: ErrorCode.PATTERN_MISMATCH,
+            message: `${context.optionName} should match the pattern ${pattern}, ${_printValue(value, context.sensitive)} given`,
+            expected: `pattern ${pattern}`
+        }
+    }
+    if (optionDefinition['format'] !== undefined) {
+        let formatSpec = _getFormatSpec(optionDefinition['format'], context.formats)
+        let valid = formatSpec.check instanceof RegExp ? formatSpec.check.test(value) : formatSpec.check(value) === true
+        if (!valid) {
+            return {
+                code: ErrorCode.FORMAT_MISMATCH,
+                message: `${context.optionName} should be ${formatSpec.description}, ${_printValue(value, context.sensitive)} given`,
+                expected: `format ${formatSpec.name}`
+            }
+        }
+    }
+    return true
+}
+
+/**
+ * Returns the JSON Schema for a string option with the given minimum length
+ *
+ * @param {object} optionDefinition
+ * @param {number|undefined} minLength
+ * @param {object} context  the toJsonSchema context
+ * @return {object}
+ * @private
+ */
+function _stringToJsonSchema(optionDefinition, minLength, context) {
+    let schema = _assignDefined({ type: 'string' }, { minLength: minLength, maxLength: optionDefinition['maxLength'] })
+    let patterns = []
+    if (optionDefinition['pattern'] !== undefined) {
+        patterns.push(optionDefinition['pattern'])
+    }
+    if (optionDefinition['format'] !== undefined) {
+        let formatSpec = _getFormatSpec(optionDefinition['format'], context.formats)
+        if (formatSpec.jsonSchemaFormat !== undefined) {
+            schema.format = formatSpec.jsonSchemaFormat
+        } else if (formatSpec.check instanceof RegExp) {
+            patterns.push(formatSpec.check)
+        } else {
+            context.unsupported(`format '${optionDefinition['format']}'`)
+        }
+    }
+    // JSON Schema patterns have no flags
+    let jsonPatterns = patterns.filter( (pattern) => pattern.flags === '' || pattern.flags === 'u')
+    if (jsonPatterns.length < patterns.length) {
+        context.unsupported('pattern flags')
+    }
+    if (jsonPatterns.length > 0) {
+        schema.pattern = jsonPatterns[0].source
+    }
+    if (jsonPatterns.length > 1) {
+        schema.allOf = jsonPatterns.slice(1).map( (pattern) => { return { pattern: pattern.source } })
+    }
+    return schema
+}
+
+/**
+ * Returns the string used for a bound or a checked value in range messages, dates in ISO format
+ *
+ * @param {number|bigint|Date} value
+ * @return {string}
+ * @private
+ */
+function _formatBound(value) {
+    return value instanceof Date ? value.toISOString() : `${value}`
+}
+
+/**
+ * Checks a number, bigint or date against the bounds in its option definition: min, max and, for the types that
+ * allow them, exclusiveMin, exclusiveMax and multipleOf. Bounds can be numbers, bigints or dates.
+ *
+ * @param {number|bigint|Date} value
+ * @param {object} optionDefinition
+ * @param {TypeContext} context
+ * @param {string} label  the kind of value in messages, e.g. 'Number'
+ * @return {true|object}
+ * @private
+ */
+function _checkRange(value, optionDefinition, context, label) {
+    let comparable = _getComparable(value)
+    if (optionDefinition['min'] !== undefined && comparable < _getComparable(optionDefinition['min'])) {
+        return _getOutOfRangeResult(value, optionDefinition['min'], context, label, 'equal to or greater than', '>=')
+    }
+    if (optionDefinition['max'] !== undefined && comparable > _getComparable(optionDefinition['max'])) {
+        return _getOutOfRangeResult(value, optionDefinition['max'], context, label, 'equal to or lesser than', '<=')
+    }
+    if (optionDefinition['exclusiveMin'] !== undefined && comparable <= _getComparable(optionDefinition['exclusiveMin'])) {
+        return _getOutOfRangeResult(value, optionDefinition['exclusiveMin'], context, label, 'greater than', '>')
+    }
+    if (optionDefinition['exclusiveMax'] !== undefined && comparable >= _getComparable(optionDefinition['exclusiveMax'])) {
+        return _getOutOfRangeResult(value, optionDefinition['exclusiveMax'], context, label, 'lesser than', '<')
+    }
+    let multipleOf = optionDefinition['multipleOf']
+    // small tolerance for decimal steps, e.g. 0.3 is a multiple of 0.1
+    if (multipleOf !== undefined && Math.abs(value / multipleOf - Math.round(value / multipleOf)) > 1e-9) {
+        return {
+            code: ErrorCode.OUT_OF_RANGE,
+            message: `${label} '${context.optionName}' should be a multiple of ${multipleOf}, ${context.sensitive ? REDACTED_VALUE : _formatBound(value)} given`,
+            expected: `multiple of ${multipleOf}`
+        }
+    }
+    return true
+}
+
+/**
+ * Returns a number, bigint or date as a value that can be compared with <, dates as their time
+ *
+ * @param {number|bigint|Date} value
+ * @return {number|bigint}
+ * @private
+ */
+function _getComparable(value) {
+    return value instanceof Date ? value.getTime() : value
+}
+
+/**
+ * Returns the OUT_OF_RANGE result of _checkRange for a value beyond the given bound
+ *
+ * @param {number|bigint|Date} value
+ * @param {number|bigint|Date} bound
+ * @param {TypeContext} context
+ * @param {string} label
+ * @param {string} relation  e.g. "greater than"
+ * @param {string} symbol  e.g. ">"
+ * @return {{code: string, message: string, expected: string}}
+ * @private
+ */
+function _getOutOfRangeResult(value, bound, context, label, relation, symbol) {
+    return {
+        code: ErrorCode.OUT_OF_RANGE,
+        message: `${label} '${context.optionName}' should be ${relation} ${_formatBound(bound)}, ${context.sensitive ? REDACTED_VALUE : _formatBound(value)} given`,
+        expected: `${symbol} ${_formatBound(bound)}`
+    }
+}
+
+/**
+ * Checks the number of entries of a record, map or set against the minLength and maxLength in its option definition
+ *
+ * @param {number} size
+ * @param {object} optionDefinition
+ * @param {TypeContext} context
+ * @param {string} label  the kind of value in messages, e.g. 'Record'
+ * @param {string} entryName  e.g. 'entry(ies)'
+ * @return {true|object}
+ * @private
+ */
+function _checkSize(size, optionDefinition, context, label, entryName) {
+    if (optionDefinition['minLength'] !== undefined && size < optionDefinition['minLength']) {
+        return {
+            code: ErrorCode.INVALID_LENGTH,
+            message: `${label} '${context.optionName}' should have at least ${optionDefinition['minLength']} ${entryName}, it has ${size}`,
+            expected: `size >= ${optionDefinition['minLength']}`
+        }
+    }
+    if (optionDefinition['maxLength'] !== undefined && size > optionDefinition['maxLength']) {
+        return {
+            code: ErrorCode.INVALID_LENGTH,
+            message: `${label} '${context.optionName}' should not have more than ${optionDefinition['maxLength']} ${entryName}, it has ${size}`,
+            expected: `size <= ${optionDefinition['maxLength']}`
+        }
+    }
+    return true
+}
+
+/**
+ * Returns the JSON Schema for a number option with the given JSON Schema type
+ *
+ * @param {string} type  'number' or 'integer'
+ * @param {object} optionDefinition
+ * @return {object}
+ * @private
+ */
+function _numberToJsonSchema(type, optionDefinition) {
+    return _assignDefined({ type: type }, {
+        minimum: optionDefinition['min'],
+        maximum: optionDefinition['max'],
+        exclusiveMinimum: optionDefinition['exclusiveMin'],
+        exclusiveMaximum: optionDefinition['exclusiveMax'],
+        multipleOf: optionDefinition['multipleOf']
+    })
+}
+
+function _coerceNumber(str) {
+    let trimmed = str.trim()
+    // only decimal numbers, Number() would also take e.g. '0x10', '0b1' or 'Infinity'
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(trimmed)) {
+        throw new Error(`${sPrettyPrint(str)} is not a decimal number`)
+    }
+    return Number(trimmed)
+}
+
+function _coerceBoolean(str) {
+    let normalized = str.trim().toLowerCase()
+    if ([ 'true', '1', 'yes', 'on'].indexOf(normalized) !== -1) {
+        return true
+    }
+    if ([ 'false', '0', 'no', 'off'].indexOf(normalized) !== -1) {
+        return false
+    }
+    throw new Error(`${sPrettyPrint(str)} is not a boolean`)
+}
+
+/**
+ * Returns true if the value is an ISO date (YYYY-MM-DD) that exists, e.g. not 2023-02-30
+ *
+ * @param {string} value
+ * @return {boolean}
+ * @private
+ */
+function _isIsoDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value)
+}
+
+function _coerceDate(str) {
+    let date = new Date(str.trim())
+    // an ISO date, optionally with a time; new Date() rolls dates that do not exist forward, e.g. 2020-02-30 to 2020-03-01
+    let match = /^(\d{4}-\d{2}-\d{2})(T\S+)?$/.exec(str.trim())
+    if (match === null || !_isIsoDate(match[1]) || isNaN(date.getTime())) {
+        throw new Error(`${sPrettyPrint(str)} is not an ISO date`)
+    }
+    return date
+}
+
+function _coerceJson(str, expectedType) {
+    let value = JSON.parse(str)
+    if (expectedType === 'array' ? !Array.isArray(value) : (typeof value !== 'object' || value === null || Array.isArray(value))) {
+        throw new Error(`${sPrettyPrint(str)} is not a JSON ${expectedType}`)
+    }
+    return value
+}
+
+function _coerceList(str) {
+    let trimmed = str.trim()
+    if (trimmed.startsWith('[')) {
+        return _coerceJson(trimmed, 'array')
+    }
+    // comma-separated list
+    return trimmed === '' ? [] : trimmed.split(',').map( (element) => element.trim())
+}
+
+function _coerceBigInt(str) {
+    let trimmed = str.trim()
+    if (!/^-?\d+$/.test(trimmed)) {
+        throw new Error(`${sPrettyPrint(str)} is not an integer`)
+    }
+    return BigInt(trimmed)
+}
+
+function _coerceRegExp(str) {
+    // /pattern/flags or just the pattern
+    let match = /^\/(.*)\/([a-z]*)$/s.exec(str)
+    return match !== null ? new RegExp(match[1], match[2]) : new RegExp(str)
+}
+
+/**
+ * Checks the keys and values of a record or a map against the keyDefinition and valueDefinition in its option
+ * definition and returns the clean record, a Map if the given value is one
+ *
+ * @param {object|Map} value
+ * @param {object} optionDefinition
+ * @param {TypeContext} context
+ * @return {object|Map|Promise}
+ * @private
+ */
+function _normalizeRecord(value, optionDefinition, context) {
+    let keyDefinition = optionDefinition['keyDefinition']
+    let valueDefinition = optionDefinition['valueDefinition']
+    if (keyDefinition === undefined && valueDefinition === undefined) {
+        return value
+    }
+    let entries = value instanceof Map ? Array.from(value.entries()) : Object.keys(value).map( (key) => [ key, value[key] ])
+    // apply the definitions to every key and value
+    let results = []
+    entries.forEach( ([ key, entryValue ], i) => {
+        let pathKey = typeof key === 'string' || typeof key === 'number' ? key : i
+        results.push(keyDefinition === undefined ? { valid: true, value: key } :
+            context.checkValue(key, keyDefinition, pathKey, `key ${_printValue(key, context.sensitive)}`, 'key'))
+        results.push(valueDefinition === undefined ? { valid: true, value: entryValue } :
+            context.checkValue(entryValue, valueDefinition, pathKey, `value ${_printValue(key, context.sensitive)}`, 'value'))
+    })
+    let getCleanRecord = (cleanResults) => {
+        let cleanRecord = value instanceof Map ? new Map() : {}
+        for (let i = 0; i < cleanResults.length; i += 2) {
+            if (cleanRecord instanceof Map) {
+                cleanRecord.set(cleanResults[i].value, cleanResults[i + 1].value)
+            } else {
+                _setOwnProperty(cleanRecord, cleanResults[i].value, cleanResults[i + 1].value)
+            }
+        }
+        return cleanRecord
+    }
+    return context.async ? Promise.all(results).then(getCleanRecord) : getCleanRecord(results)
+}
+
+/**
+ * Checks the clean elements of an array: its length, if invalid elements were dropped, the uniqueness of its
+ * elements and whether one of them matches the contains definition. Failures are reported with context.fail.
+ *
+ * @param {Array} cleanArray
+ * @param {number[]} indexes  the index of each clean element in the given array, used in messages
+ * @param {number} givenLength  the length of the given array
+ * @param {object} optionDefinition
+ * @param {TypeContext} context
+ * @return {Array|Promise<Array>}
+ * @private
+ */
+function _checkArrayElements(cleanArray, indexes, givenLength, optionDefinition, context) {
+    if (cleanArray.length < givenLength) {
+        let sizeCheck = _checkSize(cleanArray.length, optionDefinition, context, 'Array', 'element(s)')
+        if (sizeCheck !== true) {
+            context.fail(sizeCheck.code, `${sizeCheck.message} after dropping invalid elements`, { expected: sizeCheck.expected })
+        }
+    }
+    let uniqueItems = optionDefinition['uniqueItems']
+    if (uniqueItems !== undefined && uniqueItems !== false) {
+        let duplicate = undefined
+        try {
+            duplicate = _findDuplicateElement(cleanArray, typeof uniqueItems === 'function' ? uniqueItems : undefined)
+        } catch (e) {
+            context.fail(ErrorCode.UNIQUE_KEY_FAILED,
+                _appendExceptionMessage(`The uniqueItems key function failed for array '${context.optionName}'`, e, context.state), { cause: e })
+        }
+        if (duplicate !== undefined) {
+            context.fail(ErrorCode.DUPLICATE_ELEMENT, `Array '${context.optionName}' should have unique elements, elements ${indexes[duplicate[0]]} and ` +
+                `${indexes[duplicate[1]]} ${typeof uniqueItems === 'function' ? 'have the same key' : 'are equal'}`, { expected: 'unique elements' })
+        }
+    }
+    let containsDefinition = optionDefinition['contains']
+    if (containsDefinition === undefined) {
+        return cleanArray
+    }
+    let checkMatches = (matches) => {
+        if (matches.indexOf(true) === -1) {
+            let expected = containsDefinition.literal !== undefined && !context.sensitive ? sPrettyPrint(containsDefinition.literal) :
+                'at least one element that matches its contains definition'
+            context.fail(ErrorCode.NO_MATCHING_ELEMENT, `Array '${context.optionName}' should contain ${expected}`, { expected: expected })
+        }
+        return cleanArray
+    }
+    let matches = cleanArray.map( (element, i) => context.matchesValue(element, containsDefinition, indexes[i]))
+    return context.async ? Promise.all(matches).then(checkMatches) : checkMatches(matches)
+}
+
+/**
+ * Returns the indexes of the first pair of equal elements in an array, or undefined if all of them are different
+ *
+ * @param {Array} array
+ * @param {function|undefined} getKey  if given, elements are compared by the keys it returns
+ * @return {number[]|undefined}
+ * @private
+ */
+function _findDuplicateElement(array, getKey) {
+    // primitive keys are looked up in a map, others compared one by one
+    let primitiveKeys = new Map()
+    let objectKeys = []
+    for (let i = 0; i < array.length; i++) {
+        let key = getKey !== undefined ? getKey(array[i]) : array[i]
+        if (typeof key !== 'object' || key === null) {
+            if (primitiveKeys.has(key)) {
+                return [ primitiveKeys.get(key), i ]
+            }
+            primitiveKeys.set(key, i)
+            continue
+        }
+        let equal = objectKeys.find( (entry) => _isEqualValue(entry.key, key))
+        if (equal !== undefined) {
+            return [ equal.index, i ]
+        }
+        objectKeys.push({ key: key, index: i })
+    }
+    return undefined
+}
+
+/**
+ * Element definitions whose copies with strictDefault: false have been made, see _getLenientDefinition
+ * @type {WeakMap<object, object>}
+ */
+const lenientDefinitions = new WeakMap()
+
+/**
+ * Returns a copy of a normalized definition in which invalid values are replaced by the default, used for
+ * the elements of arrays with onInvalidElement: 'default'. Definitions with strictDefault: true are returned as they are.
+ *
+ * @param {object} definition
+ * @return {object}
+ * @private
+ */
+function _getLenientDefinition(definition) {
+    if (_resolveReference(definition).strictDefault === true) {
+        return definition
+    }
+    if (!lenientDefinitions.has(definition)) {
+        let lenientDefinition = Object.assign({}, definition, { strictDefault: false })
+        if (referencedDefinitions.has(definition)) {
+            referencedDefinitions.set(lenientDefinition, referencedDefinitions.get(definition))
+        }
+        lenientDefinitions.set(definition, Object.freeze(lenientDefinition))
+    }
+    return lenientDefinitions.get(definition)
+}
+
+function _registerBuiltInTypes() {
+    let typeOfCheck = (typeName) => {
+        return (value) => { return typeof value === typeName }
+    }
+
+    let booleanSpec = {
+        check: typeOfCheck('boolean'),
+        describe: () => 'a boolean',
+        coerce: _coerceBoolean,
+        toJsonSchema: () => { return { type: 'boolean' } }
+    }
+    OptionsChecker.registerType('boolean', booleanSpec)
+    OptionsChecker.registerType('bool', booleanSpec)
+    OptionsChecker.registerType('function', { check: typeOfCheck('function'), describe: () => 'a function' })
+    OptionsChecker.registerType('func', { check: typeOfCheck('function'), describe: () => 'a function' })
+
+    OptionsChecker.registerType('number', {
+        coerce: _coerceNumber,
+        check: (value, optionDefinition, context) => {
+            if (typeof value !== 'number') {
+                return false
+            }
+            return _checkRange(value, optionDefinition, context, 'Number')
+        },
+        describe: () => 'a number',
+        toJsonSchema: (optionDefinition) => _numberToJsonSchema('number', optionDefinition)
+    })
+
+    OptionsChecker.registerType('integer', {
+        coerce: _coerceNumber,
+        check: (value, optionDefinition, context) => {
+            if (!Number.isInteger(value)) {
+                return {
+                    message: `${context.optionName} should be an integer, ${_printValue(value, context.sensitive)} given`,
+                    expected: 'integer'
+                }
+            }
+            return _checkRange(value, optionDefinition, context, 'Integer')
+        },
+        describe: () => 'an integer',
+        toJsonSchema: (optionDefinition) => _numberToJsonSchema('integer', optionDefinition),
+        definitionKeys: [ 'exclusiveMin', 'exclusiveMax', 'multipleOf' ]
+    })
+
+    OptionsChecker.registerType('finiteNumber', {
+        coerce: _coerceNumber,
+        check: (value, optionDefinition, context) => {
+            if (!Number.isFinite(value)) {
+                return {
+                    message: `${context.optionName} should be a finite number, ${_printValue(value, context.sensitive)} given`,
+                    expected: 'finiteNumber'
+                }
+            }
+            return _checkRange(value, optionDefinition, context, 'Number')
+        },
+        describe: () => 'a finite number',
+        toJsonSchema: (optionDefinition) => _numberToJsonSchema('number', optionDefinition),
+        definitionKeys: [ 'exclusiveMin', 'exclusiveMax', 'multipleOf' ]
+    })
+
+    OptionsChecker.registerType('bigint', {
+        coerce: _coerceBigInt,
+        check: (value, optionDefinition, context) => {
+            if (typeof value !== 'bigint') {
+                return false
+            }
+            return _checkRange(value, optionDefinition, context, 'BigInt')
+        },
+        describe: () => 'a bigint'
+    })
+
+    OptionsChecker.registerType('date', {
+        coerce: _coerceDate,
+        check: (value, optionDefinition, context) => {
+            if (!(value instanceof Date) || isNaN(value.getTime())) {
+                return {
+                    message: `${context.optionName} should be a valid date, ` +
+                        `${value instanceof Date && !context.sensitive ? 'Invalid Date' : _printValue(value, context.sensitive)} given`,
+                    expected: 'date'
+                }
+            }
+            return _checkRange(value, optionDefinition, context, 'Date')
+        },
+        describe: () => 'a date'
+    })
+
+    OptionsChecker.registerType('regexp', {
+        coerce: _coerceRegExp,
+        check: (value) => value instanceof RegExp,
+        describe: () => 'a regular expression'
+    })
+
+    OptionsChecker.registerType('NumberGreaterThanZero', {
+        coerce: _coerceNumber,
+        check: (value, optionDefinition, context) => {
+            if (typeof value === 'number' && value > 0) {
+                return true
+            }
+            return {
+                code: typeof value === 'number' ? ErrorCode.OUT_OF_RANGE : ErrorCode.TYPE_MISMATCH,
+                message: `${context.optionName} should be a number greater than zero, ${_printValue(value, context.sensitive)} given`,
+                expected: '> 0'
+            }
+        },
+        describe: () => 'a number greater than zero',
+        toJsonSchema: () => { return { type: 'number', exclusiveMinimum: 0 } }
+    })
+
+    OptionsChecker.registerType('NonZeroNumber', {
+        coerce: _coerceNumber,
+        check: (value, optionDefinition, context) => {
+            if (typeof value === 'number' && value !== 0) {
+                return true
+            }
+            return {
+                code: typeof value === 'number' ? ErrorCode.OUT_OF_RANGE : ErrorCode.TYPE_MISMATCH,
+                message: `${context.optionName} should be a number not equal to zero, ${_printValue(value, context.sensitive)} given`,
+                expected: '!= 0'
+            }
+        },
+        describe: () => 'a number not equal to zero',
+        toJsonSchema: () => { return { type: 'number', not: { const: 0 } } }
+    })
+
+    OptionsChecker.registerType('string', {
+        check: (value, optionDefinition, context) => {
+            if (typeof value !== 'string') {
+                return false
+            }
+            let lengthCheck = _checkStringLength(value, optionDefinition, context)
+            return lengthCheck === true ? _checkStringPattern(value, optionDefinition, context) : lengthCheck
+        },
+        describe: () => 'a string',
+        toJsonSchema: (optionDefinition, context) => _stringToJsonSchema(optionDefinition, optionDefinition['minLength'], context),
+        definitionKeys: [ 'pattern', 'format' ]
+    })
+
+    OptionsChecker.registerType('NonEmptyString', {
+        check: (value, optionDefinition, context) => {
+            if (typeof value !== 'string' || value === '') {
+                return {
+                    message: `${context.optionName} should be a non-empty string, ${_printValue(value, context.sensitive)} given`,
+                    expected: 'NonEmptyString'
+                }
+            }
+            let lengthCheck = _checkStringLength(value, optionDefinition, context)
+            return lengthCheck === true ? _checkStringPattern(value, optionDefinition, context) : lengthCheck
+        },
+        describe: () => 'a non-empty string',
+        toJsonSchema: (optionDefinition, context) => {
+            let minLength = optionDefinition['minLength'] !== undefined ? Math.max(1, optionDefinition['minLength']) : 1
+            return _stringToJsonSchema(optionDefinition, minLength, context)
+        },
+        definitionKeys: [ 'pattern', 'format' ]
+    })
+
+    OptionsChecker.registerType('object', {
+        coerce: (str, optionDefinition) => {
+            if (optionDefinition['objectClass'] === Date) {
+                return _coerceDate(str)
+            }
+            return _coerceJson(str, 'object')
+        },
+        check: (value, optionDefinition, context) => {
+            if (typeof value !== 'object') {
+                return false
+            }
+            if (value === null) {
+                // null is only accepted in nullable options
+                return `${context.optionName} must be an object, null given`
+            }
+            // if we have an objectClass, check for it
+            if (optionDefinition['objectClass'] !== undefined && !(value instanceof optionDefinition['objectClass'])) {
+                return {
+                    code: ErrorCode.CLASS_MISMATCH,
+                    message: `${context.optionName} must be an object of class ${optionDefinition['objectClass'].name}, ${_getClassName(value)} given`,
+                    expected: optionDefinition['objectClass'].name
+                }
+            }
+            return true
+        },
+        describe: () => 'an object',
+        normalize: (value, optionDefinition, context) => {
+            if (optionDefinition['objectDefinition'] === undefined) {
+                return value
+            }
+            return context.checkObject(value, optionDefinition['objectDefinition'])
+        },
+        toJsonSchema: (optionDefinition, context) => {
+            if (optionDefinition['objectClass'] !== undefined) {
+                context.unsupported('objectClass')
+            }
+            if (optionDefinition['objectDefinition'] === undefined) {
+                return { type: 'object' }
+            }
+            return context.objectToJsonSchema(optionDefinition['objectDefinition'])
+        }
+    })
+
+    OptionsChecker.registerType('array', {
+        coerce: _coerceList,
+        check: (value, optionDefinition, context) => {
+            if (!Array.isArray(value)) {
+                return false
+            }
+            if (optionDefinition['minLength'] !== undefined && value.length < optionDefinition['minLength']) {
+                return {
+                    code: ErrorCode.INVALID_LENGTH,
+                    message: `Array '${context.optionName}' should have at least ${optionDefinition['minLength']} element(s), it has ${value.length}`,
+                    expected: `length >= ${optionDefinition['minLength']}`
+                }
+            }
+            if (optionDefinition['maxLength'] !== undefined && value.length > optionDefinition['maxLength']) {
+                return {
+                    code: ErrorCode.INVALID_LENGTH,
+                    message: `Array '${context.optionName}' should not have more than ${optionDefinition['maxLength']} element(s), it has ${value.length}`,
+                    expected: `length <= ${optionDefinition['maxLength']}`
+                }
+            }
+            return true
+        },
+        describe: () => 'an array',
+        normalize: (value, optionDefinition, context) => {
+            let elementDefinition = optionDefinition['elementDefinition']
+            if (elementDefinition === undefined && optionDefinition['uniqueItems'] === undefined && optionDefinition['contains'] === undefined) {
+                return value
+            }
+            // apply the definition to every element in the array
+            let policy = optionDefinition['onInvalidElement']
+            let results = value.map( (element, i) => {
+                if (elementDefinition === undefined) {
+                    return { valid: true, value: element }
+                }
+                if (policy === 'drop') {
+                    return context.checkValue(element, elementDefinition, i, undefined, undefined, `Element ${i} dropped.`)
+                }
+                if (policy === 'default') {
+                    return context.checkValue(element, _getLenientDefinition(elementDefinition), i, undefined, undefined, undefined,
+                        `Default assigned to element ${i}.`)
+                }
+                return context.checkValue(element, elementDefinition, i)
+            })
+            let getCleanArray = (resolvedResults) => {
+                // the indexes of the kept elements in the given array
+                let indexes = resolvedResults.map( (result, i) => i).filter( (i) => policy !== 'drop' || resolvedResults[i].valid)
+                return _checkArrayElements(indexes.map( (i) => resolvedResults[i].value), indexes, value.length, optionDefinition, context)
+            }
+            return context.async ? Promise.all(results).then(getCleanArray) : getCleanArray(results)
+        },
+        toJsonSchema: (optionDefinition, context) => {
+            let schema = _assignDefined({ type: 'array' }, { minItems: optionDefinition['minLength'], maxItems: optionDefinition['maxLength'] })
+            if (optionDefinition['elementDefinition'] !== undefined) {
+                schema.items = context.toJsonSchema(optionDefinition['elementDefinition'], '*')
+            }
+            if (optionDefinition['uniqueItems'] === true) {
+                schema.uniqueItems = true
+            } else if (optionDefinition['uniqueItems'] !== undefined && optionDefinition['uniqueItems'] !== false) {
+                context.unsupported('uniqueItems key function')
+            }
+            if (optionDefinition['contains'] !== undefined) {
+                schema.contains = context.toJsonSchema(optionDefinition['contains'])
+            }
+            if (optionDefinition['onInvalidElement'] !== undefined && optionDefinition['onInvalidElement'] !== 'fail') {
+                context.unsupported(`onInvalidElement '${optionDefinition['onInvalidElement']}'`)
+            }
+            return schema
+        },
+        definitionKeys: [ 'uniqueItems', 'contains', 'onInvalidElement' ]
+    })
+
+    OptionsChecker.registerType('record', {
+        coerce: (str) => _coerceJson(str, 'object'),
+        check: (value, optionDefinition, context) => {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                return false
+            }
+            return _checkSize(value instanceof Map ? value.size : Object.keys(value).length, optionDefinition, context, 'Record', 'entry(ies)')
+        },
+        describe: () => 'an object or a Map',
+        normalize: _normalizeRecord,
+        toJsonSchema: (optionDefinition, context) => {
+            let schema = _assignDefined({ type: 'object' }, { minProperties: optionDefinition['minLength'], maxProperties: optionDefinition['maxLength'] })
+            if (optionDefinition['keyDefinition'] !== undefined) {
+                schema.propertyNames = context.toJsonSchema(optionDefinition['keyDefinition'])
+            }
+            if (optionDefinition['valueDefinition'] !== undefined) {
+                schema.additionalProperties = context.toJsonSchema(optionDefinition['valueDefinition'], '*')
+            }
+            return schema
+        },
+        definitionKeys: [ 'keyDefinition', 'valueDefinition' ]
+    })
+
+    OptionsChecker.registerType('map', {
+        coerce: (str) => new Map(Object.entries(_coerceJson(str, 'object'))),
+        check: (value, optionDefinition, context) => {
+            if (!(value instanceof Map)) {
+                return false
+            }
+            return _checkSize(value.size, optionDefinition, context, 'Map', 'entry(ies)')
+        },
+        describe: () => 'a Map',
+        normalize: _normalizeRecord,
+        definitionKeys: [ 'keyDefinition', 'valueDefinition' ]
+    })
+
+    OptionsChecker.registerType('set', {
+        coerce: (str) => new Set(_coerceList(str)),
+        check: (value, optionDefinition, context) => {
+            if (!(value instanceof Set)) {
+                return false
+            }
+            return _checkSize(value.size, optionDefinition, context, 'Set', 'element(s)')
+        },
+        describe: () => 'a Set',
+        normalize: (value, optionDefinition, context) => {
+            if (optionDefinition['elementDefinition'] === undefined) {
+                return value
+            }
+            // the clean set has the clean elements, equal clean values are merged
+            let results = Array.from(value).map( (element, i) => context.checkValue(element, optionDefinition['elementDefinition'], i))
+            let getCleanSet = (cleanResults) => new Set(cleanResults.map( (result) => result.value))
+            return context.async ? Promise.all(results).then(getCleanSet) : getCleanSet(results)
+        }
+    })
+
+    let classSpec = {
+        check: (value, optionDefinition, context) => {
+            // arrow functions and methods have no prototype and cannot be called with new
+            if (typeof value !== 'function' || value.prototype === undefined) {
+                return {
+                    message: `${context.optionName} should be a class, ` +
+                        `${typeof value === 'function' ? 'a function that cannot be called with new' : _printValue(value, context.sensitive)} given`,
+                    expected: 'class'
+                }
+            }
+            let superclass = optionDefinition['subclassOf']
+            if (superclass !== undefined && value !== superclass && !(value.prototype instanceof superclass)) {
+                return {
+                    code: ErrorCode.CLASS_MISMATCH,
+                    message: `${context.optionName} must be a subclass of ${superclass.name}, ${value.name !== '' ? value.name : 'an anonymous class'} given`,
+                    expected: superclass.name
+                }
+            }
+            return true
+        },
+        describe: (optionDefinition) => optionDefinition['subclassOf'] !== undefined ? `a subclass of ${optionDefinition['subclassOf'].name}` : 'a class',
+        definitionKeys: [ 'subclassOf' ]
+    }
+    OptionsChecker.registerType('class', classSpec)
+    OptionsChecker.registerType('constructor', classSpec)
+
+    // DOM elements, only available in browsers or with a DOM implementation
+    for (const className of [ 'Element', 'HTMLElement']) {
+        OptionsChecker.registerType(className === 'Element' ? 'element' : className, {
+            check: (value, optionDefinition, context) => {
+                let elementClass = globalThis[className]
+                if (typeof elementClass === 'function' && value instanceof elementClass) {
+                    return true
+                }
+                return {
+                    message: `${context.optionName} should be a DOM ${className === 'Element' ? 'element' : 'HTML element'}, ` +
+                        `${_printValue(value, context.sensitive)} given`,
+                    expected: className
+                }
+            },
+            describe: () => className === 'Element' ? 'a DOM element' : 'an HTML element'
+        })
+    }
+
+    OptionsChecker.registerType('tuple', {
+        coerce: _coerceList,
+        check: (value, optionDefinition, context) => {
+            if (!Array.isArray(value)) {
+                return false
+            }
+            let itemCount = Array.isArray(optionDefinition['items']) ? optionDefinition['items'].length : 0
+            if (optionDefinition['rest'] === undefined && value.length > itemCount) {
+                return {
+                    code: ErrorCode.INVALID_LENGTH,
+                    message: `Tuple '${context.optionName}' should not have more than ${itemCount} element(s), it has ${value.length}`,
+                    expected: `length <= ${itemCount}`
+                }
+            }
+            return true
+        },
+        describe: () => 'an array',
+        normalize: (value, optionDefinition, context) => {
+            let items = Array.isArray(optionDefinition['items']) ? optionDefinition['items'] : []
+            // each position has its own definition, elements after the given items are checked against rest,
+            // missing elements get their definition's default
+            let results = []
+            for (let i = 0; i < Math.max(items.length, value.length); i++) {
+                let definition = i < items.length ? items[i] : optionDefinition['rest']
+                results.push(context.checkValue(value[i], definition, i, `element ${i}`, `element ${i}`))
+            }
+            if (context.async) {
+                return Promise.all(results).then( (resolvedResults) => resolvedResults.map( (result) => result.value))
+            }
+            return results.map( (result) => result.value)
+        },
+        toJsonSchema: (optionDefinition, context) => {
+            let items = Array.isArray(optionDefinition['items']) ? optionDefinition['items'] : []
+            let schema = { type: 'array', prefixItems: items.map( (definition, i) => context.toJsonSchema(definition, i)) }
+            schema.items = optionDefinition['rest'] !== undefined ? context.toJsonSchema(optionDefinition['rest'], '*') : false
+            // elements up to the last one without a default must be given
+            let minItems = 0
+            items.forEach( (definition, i) => {
+                if (definition.required || !_hasDefault(definition)) {
+                    minItems = i + 1
+                }
+            })
+            if (minItems !== 0) {
+                schema.minItems = minItems
+            }
+            return schema
+        },
+        definitionKeys: [ 'items', 'rest' ]
+    })
+
+    OptionsChecker.registerType('custom', {
+        // no checks done, meant to be used with a customCheck function
+        check: () => true,
+        describe: () => 'any value',
+        toJsonSchema: () => { return {} }
+    })
+}
+
+_registerBuiltInTypes()
+
+/**
+ * The specifications of the built-in types, whose definition keys are known
+ * @type {Set<object>}
+ */
+const builtInTypeSpecs = new Set(globalTypes.values())
+
+/**
+ * The built-in types that check ranges (min, max, exclusiveMin and exclusiveMax), with the type of their bounds
+ */
+const RANGE_BOUND_TYPES = { number: 'number', integer: 'number', finiteNumber: 'number', bigint: 'bigint', date: 'date' }
+
+function _registerBuiltInFormats() {
+    OptionsChecker.registerFormat('email', {
+        check: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        description: 'a valid email address',
+        jsonSchemaFormat: 'email'
+    })
+    OptionsChecker.registerFormat('url', {
+        // only web URLs, other schemes like javascript: or data: can be unsafe where URLs are used as links
+        check: (value) => {
+            try {
+                let protocol = new URL(value).protocol
+                return protocol === 'http:' || protocol === 'https:'
+            } catch (e) {
+                return false
+            }
+        },
+        description: 'a valid http or https URL',
+        jsonSchemaFormat: 'uri'
+    })
+    OptionsChecker.registerFormat('uuid', {
+        check: /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/,
+        description: 'a valid UUID',
+        jsonSchemaFormat: 'uuid'
+    })
+    OptionsChecker.registerFormat('iso-date', {
+        check: _isIsoDate,
+        description: 'a date in ISO format (YYYY-MM-DD)',
+        jsonSchemaFormat: 'date'
+    })
+    OptionsChecker.registerFormat('iso-datetime', {
+        check: (value) => {
+            let match = /^(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.exec(value)
+            return match !== null && _isIsoDate(match[1]) && !isNaN(Date.parse(value))
+        },
+        description: 'a date and time in ISO format (YYYY-MM-DDTHH:mm:ssZ)',
+        jsonSchemaFormat: 'date-time'
+    })
+    OptionsChecker.registerFormat('hex-color', {
+        check: /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/,
+        description: 'a hex color like #ff8800'
+    })
+    OptionsChecker.registerFormat('css-length', {
+        check: /^(0|-?(\d+|\d*\.\d+)(px|em|rem|ex|ch|%|vw|vh|vmin|vmax|cm|mm|in|pt|pc))$/,
+        description: 'a CSS length like 12px or 1.5em'
+    })
+    OptionsChecker.registerFormat('semver', {
+        // from semver.org
+        check: /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(-((0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(\.(0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(\+([0-9a-zA-Z-]+(\.[0-9a-zA-Z-]+)*))?$/,
+        description: 'a semantic version like 1.2.3'
+    })
+}
+
+_registerBuiltInFormats()
+
+/**
+ * Keys allowed in an option definition, besides the ones given in the definitionKeys of its type
+ */
+const OPTION_DEFINITION_KEYS = [ 'required', 'optional', 'default', 'defaultFactory', 'strictDefault', 'type', 'anyOf', 'discriminator', 'oneOf', 'values',
+    'literal', 'caseInsensitive', 'customCheck', 'customCheckDescription', 'objectClass', 'objectDefinition', 'unknownProperties',
+    'elementDefinition', 'minLength', 'maxLength', 'min', 'max', 'coerce', 'transformFunction', 'requiredIf', 'conflictsWith',
+    'implies', 'refine', 'aliases', 'renamedFrom', 'deprecated', 'description', 'examples', 'sensitive', 'ref', 'nullable' ]
+
+/**
+ * Keys that can be used together with ref in an option definition, they override the ones in the named definition
+ */
+const REFERENCE_KEYS = [ 'ref', 'required', 'optional', 'default', 'defaultFactory', 'strictDefault', 'requiredIf', 'conflictsWith',
+    'implies', 'aliases', 'renamedFrom', 'deprecated', 'description', 'examples', 'sensitive', 'nullable' ]
+
+/**
+ * Checks an options definition and the named definitions it can refer to and returns normalized, frozen
+ * copies of them, see _normalizeOptionDefinition.
+ *
+ * Throws an OptionsCheckerError with all the errors found in the definitions in its issues property.
+ *
+ * @param {object} optionsDefinition
+ * @param {object} definitions  the named definitions, { Name: definition, ... }
+ * @param {Map<string, object>} types  the checker's types
+ * @param {Map<string, object>} formats  the checker's formats
+ * @param {string} contextStr
+ * @return {{optionsDefinition: object, definitions: object}}
+ * @private
+ */
+function _getNormalizedDefinition(optionsDefinition, definitions, types, formats, contextStr) {
+    let issues = []
+    let report = (path, code, message) => {
+        issues.push({ path: path, code: code, message: message, context: contextStr })
+    }
+    let normalizedDefinitions = {}
+    for (const name of Object.keys(definitions)) {
+        normalizedDefinitions[name] = _normalizeOptionDefinition(definitions[name], [ 'definitions', name ], types, report)
+    }
+    Object.freeze(normalizedDefinitions)
+    let normalizedDefinition = _normalizeOptionsDefinition(optionsDefinition, [], types, report)
+    _linkReferences(normalizedDefinition, normalizedDefinitions, report)
+    _checkFormatNames(normalizedDefinition, normalizedDefinitions, formats, report)
+    _throwDefinitionIssues(issues, 'Invalid options definition', contextStr)
+    return { optionsDefinition: normalizedDefinition, definitions: normalizedDefinitions }
+}
+
+/**
+ * Named definitions that each option definition with a ref refers to
+ * @type {WeakMap<object, object>}
+ */
+const referencedDefinitions = new WeakMap()
+
+/**
+ * Option definitions with a ref resolved into the named definition with the keys given together with the ref
+ * @type {WeakMap<object, object>}
+ */
+const resolvedReferences = new WeakMap()
+
+/**
+ * Checks the refs in a normalized options definition and in the named definitions and links each option
+ * definition with a ref to the named definitions, so that it can be resolved with _resolveReference
+ *
+ * @param {object} optionsDefinition
+ * @param {object} definitions
+ * @param {function} report  (path, code, message) => { ... }
+ * @private
+ */
+function _linkReferences(optionsDefinition, definitions, report) {
+    let names = Object.keys(definitions)
+    let link = (definition, path) => {
+        if (definition.ref === undefined) {
+            return
+        }
+        if (!definitions.hasOwnProperty(definition.ref)) {
+            let suggestion = _getClosestName(definition.ref, names)
+            report(path, ErrorCode.INVALID_DEFINITION, `Unknown definition '${definition.ref}'` +
+                (suggestion !== undefined ? `, did you mean '${suggestion}'?` : ''))
+            return
+        }
+        referencedDefinitions.set(definition, definitions)
+    }
+    Object.keys(optionsDefinition).forEach( (optionName) => {
+        _forEachOptionDefinition(optionsDefinition[optionName], [ optionName ], link)
+    })
+    names.forEach( (name) => { _forEachOptionDefinition(definitions[name], [ 'definitions', name ], link) })
+    // named definitions that only refer to other ones cannot refer back to themselves
+    for (const name of names) {
+        let chain = [ name ]
+        let definition = definitions[name]
+        while (typeof definition.ref === 'string' && definitions.hasOwnProperty(definition.ref)) {
+            chain.push(definition.ref)
+            if (definition.ref === name) {
+                report([ 'definitions', name ], ErrorCode.INVALID_DEFINITION, `Circular reference: ${chain.join(' -> ')}`)
+                break
+            }
+            if (chain.indexOf(definition.ref) !== chain.length - 1) {
+                // a cycle that does not include this definition, reported for its own definitions
+                break
+            }
+            definition = definitions[definition.ref]
+        }
+    }
+}
+
+/**
+ * Checks that the formats used in a normalized options definition and in the named definitions are registered
+ *
+ * @param {object} optionsDefinition
+ * @param {object} definitions
+ * @param {Map<string, object>} formats  the checker's formats
+ * @param {function} report  (path, code, message) => { ... }
+ * @private
+ */
+function _checkFormatNames(optionsDefinition, definitions, formats, report) {
+    let names = Array.from(new Set(Array.from(globalFormats.keys()).concat(Array.from(formats.keys()))))
+    let check = (definition, path) => {
+        if (typeof definition.format !== 'string' || _getFormatSpec(definition.format, formats) !== undefined) {
+            return
+        }
+        let suggestion = _getClosestName(definition.format, names)
+        report(path, ErrorCode.INVALID_DEFINITION, `Unknown format '${definition.format}'` +
+            (suggestion !== undefined ? `, did you mean '${suggestion}'?` : ''))
+    }
+    Object.keys(optionsDefinition).forEach( (optionName) => {
+        _forEachOptionDefinition(optionsDefinition[optionName], [ optionName ], check)
+    })
+    Object.keys(definitions).forEach( (name) => { _forEachOptionDefinition(definitions[name], [ 'definitions', name ], check) })
+}
+
+/**
+ * Calls the given function with a normalized option definition and all the definitions nested in it, but not
+ * the ones they refer to
+ *
+ * @param {object} definition
+ * @param {(string|number)[]} path
+ * @param {function} callback  (definition, path) => { ... }
+ * @private
+ */
+function _forEachOptionDefinition(definition, path, callback) {
+    if (typeof definition !== 'object' || definition === null) {
+        return
+    }
+    callback(definition, path)
+    if (typeof definition.objectDefinition === 'object' && definition.objectDefinition !== null) {
+        Object.keys(definition.objectDefinition).forEach( (optionName) => {
+            _forEachOptionDefinition(definition.objectDefinition[optionName], path.concat([ optionName ]), callback)
+        })
+    }
+    for (const [ key, pathKey ] of [ [ 'elementDefinition', '*' ], [ 'keyDefinition', '<key>' ], [ 'valueDefinition', '*' ], [ 'rest', '*' ],
+        [ 'contains', '<contains>' ] ]) {
+        _forEachOptionDefinition(definition[key], path.concat([ pathKey ]), callback)
+    }
+    if (Array.isArray(definition.items)) {
+        definition.items.forEach( (item, i) => { _forEachOptionDefinition(item, path.concat([ i ]), callback) })
+    }
+    if (Array.isArray(definition.anyOf)) {
+        definition.anyOf.forEach( (alternative) => { _forEachOptionDefinition(alternative, path, callback) })
+    }
+    if (typeof definition.oneOf === 'object' && definition.oneOf !== null) {
+        Object.keys(definition.oneOf).forEach( (discriminatorValue) => { _forEachOptionDefinition(definition.oneOf[discriminatorValue], path, callback) })
+    }
+}
+
+/**
+ * Returns the definition an option definition with a ref stands for: the named definition, with the keys
+ * given together with the ref replacing its own. Other definitions are returned as they are.
+ *
+ * A default given together with the ref makes the option optional and required: true drops the named
+ * definition's default.
+ *
+ * @param {object} definition  a normalized option definition
+ * @return {object}
+ * @private
+ */
+function _resolveReference(definition) {
+    if (definition.ref === undefined || !referencedDefinitions.has(definition)) {
+        return definition
+    }
+    if (resolvedReferences.has(definition)) {
+        return resolvedReferences.get(definition)
+    }
+    let resolvedDefinition = Object.assign({}, _resolveReference(referencedDefinitions.get(definition)[definition.ref]))
+    if (definition.default !== undefined || definition.defaultFactory !== undefined || definition.optional === true) {
+        delete resolvedDefinition.required
+    }
+    if (definition.required === true) {
+        delete resolvedDefinition.optional
+    }
+    if (definition.default !== undefined || definition.defaultFactory !== undefined || definition.required === true) {
+        delete resolvedDefinition.default
+        delete resolvedDefinition.defaultFactory
+    }
+    for (const key of REFERENCE_KEYS) {
+        if (key !== 'ref' && definition[key] !== undefined) {
+            resolvedDefinition[key] = definition[key]
+        }
+    }
+    Object.freeze(resolvedDefinition)
+    resolvedReferences.set(definition, resolvedDefinition)
+    return resolvedDefinition
+}
+
+/**
+ * Throws an OptionsCheckerError with code INVALID_DEFINITION listing the given issues, if there are any
+ *
+ * @param {object[]} issues
+ * @param {string} messagePrefix
+ * @param {string} contextStr
+ * @private
+ */
+function _throwDefinitionIssues(issues, messagePrefix, contextStr) {
+    if (issues.length === 0) {
+        return
+    }
+    let messages = issues.map( (issue) => issue.path.length === 0 ? issue.message : `${_pathToString(issue.path)}: ${issue.message}`)
+    throw new OptionsCheckerError(`${contextStr} : ${messagePrefix}: ${messages.join('; ')}`, {
+        code: ErrorCode.INVALID_DEFINITION,
+        context: contextStr,
+        issues: issues
+    })
+}
+
+function _normalizeOptionsDefinition(optionsDefinition, path, types, report) {
+    let normalizedDefinition = {}
+    for (const optionName in optionsDefinition) {
+        if (optionsDefinition.hasOwnProperty(optionName)) {
+            normalizedDefinition[optionName] = _normalizeOptionDefinition(optionsDefinition[optionName], path.concat([optionName]), types, report)
+        }
+    }
+    _checkCrossFieldDefinitions(optionsDefinition, path, report)
+    _checkOtherNameDefinitions(optionsDefinition, path, report)
+    return Object.freeze(normalizedDefinition)
+}
+
+/**
+ * Checks the aliases and renamedFrom keys of the options in an options definition: each name can
+ * be used only once in the definition
+ *
+ * @param {object} optionsDefinition
+ * @param {(string|number)[]} path
+ * @param {function} report  (path, code, message) => { ... }
+ * @private
+ */
+function _checkOtherNameDefinitions(optionsDefinition, path, report) {
+    let usedNames = new Set(Object.keys(optionsDefinition))
+    for (const optionName of Object.keys(optionsDefinition)) {
+        let definition = optionsDefinition[optionName]
+        if (typeof definition !== 'object' || definition === null) {
+            continue
+        }
+        let fail = (message) => { report(path.concat([optionName]), ErrorCode.INVALID_DEFINITION, message) }
+        let names = []
+        if (definition.aliases !== undefined) {
+            if (!Array.isArray(definition.aliases) || definition.aliases.length === 0 || !definition.aliases.every( (name) => typeof name === 'string' && name !== '')) {
+                fail(`Invalid aliases, need a non-empty array of option names`)
+            } else {
+                names.push(...definition.aliases)
+            }
+        }
+        if (definition.renamedFrom !== undefined) {
+            let oldNames = _getOptionNameList(definition.renamedFrom)
+            if (oldNames === undefined || oldNames.indexOf('') !== -1) {
+                fail(`Invalid renamedFrom, need an option name or an array of option names`)
+            } else {
+                names.push(...oldNames)
+            }
+        }
+        for (const name of names) {
+            if (usedNames.has(name)) {
+                fail(`The name '${name}' is already used in the definition`)
+            }
+            usedNames.add(name)
+        }
+    }
+}
+
+/**
+ * Checks the requiredIf, conflictsWith and implies keys of the options in an options definition, which
+ * can only refer to other options in the same definition
+ *
+ * @param {object} optionsDefinition
+ * @param {(string|number)[]} path
+ * @param {function} report  (path, code, message) => { ... }
+ * @private
+ */
+function _checkCrossFieldDefinitions(optionsDefinition, path, report) {
+    for (const optionName of Object.keys(optionsDefinition)) {
+        let definition = optionsDefinition[optionName]
+        if (typeof definition !== 'object' || definition === null) {
+            continue
+        }
+        let fail = (message) => { report(path.concat([optionName]), ErrorCode.INVALID_DEFINITION, message) }
+        let checkNames = (key, names) => {
+            for (const name of names) {
+                if (name === optionName || !optionsDefinition.hasOwnProperty(name)) {
+                    let suggestion = _getClosestName(String(name), Object.keys(optionsDefinition).filter( (other) => other !== optionName))
+                    fail(`${key} refers to ${sPrettyPrint(name)}, which is not another option in the definition` +
+                        (suggestion !== undefined ? `, did you mean '${suggestion}'?` : ''))
+                }
+            }
+        }
+        if (definition.requiredIf !== undefined) {
+            if (typeof definition.requiredIf === 'string') {
+                checkNames('requiredIf', [ definition.requiredIf ])
+            } else if (typeof definition.requiredIf === 'object' && definition.requiredIf !== null && !Array.isArray(definition.requiredIf) &&
+                Object.keys(definition.requiredIf).length !== 0) {
+                checkNames('requiredIf', Object.keys(definition.requiredIf))
+            } else {
+                fail(`Invalid requiredIf, need an option name or an object with option values`)
+            }
+            if (definition.required === true) {
+                fail(`A required option cannot have requiredIf`)
+            }
+        }
+        for (const key of [ 'conflictsWith', 'implies']) {
+            if (definition[key] === undefined) {
+                continue
+            }
+            let names = _getOptionNameList(definition[key])
+            if (names === undefined) {
+                fail(`Invalid ${key}, need an option name or an array of option names`)
+            } else {
+                checkNames(key, names)
+            }
+        }
+    }
+}
+
+/**
+ * Returns the list of option names given in a conflictsWith or implies key, or undefined if it is not valid
+ *
+ * @param {string|string[]} names
+ * @return {string[]|undefined}
+ * @private
+ */
+function _getOptionNameList(names) {
+    if (typeof names === 'string') {
+        return [ names ]
+    }
+    if (Array.isArray(names) && names.length !== 0 && names.every( (name) => typeof name === 'string')) {
+        return names
+    }
+    return undefined
+}
+
+/**
+ * Checks an option definition and returns a normalized, frozen copy of it.
+ *
+ * Errors are given to the report function. In the copy, type names are replaced by the names with which
+ * the types were registered, e.g. 'Array' => 'array'. Nested definitions and the arrays and objects with names and
+ * values (type, values, examples, requiredIf, conflictsWith, implies, aliases and renamedFrom) are copied and frozen
+ * as well; default and literal values and the values in requiredIf are not copied.
+ *
+ * @param {object} definition
+ * @param {(string|number)[]} path  the path to the option, '*' stands for array elements
+ * @param {Map<string, object>} types
+ * @param {function} report  (path, code, message) => { ... }
+ * @return {object}
+ * @private
+ */
+function _normalizeOptionDefinition(definition, path, types, report) {
+    if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+        report(path, ErrorCode.INVALID_DEFINITION, `The option definition must be an object, ${sPrettyPrint(definition)} given`)
+        return definition
+    }
+    let fail = (message) => { report(path, ErrorCode.INVALID_DEFINITION, message) }
+    let normalizedDefinition = Object.assign({}, definition)
+
+    // types
+    let typeSpecs = []
+    let getTypeName = (typeName) => {
+        let typeSpec = _getTypeSpec(typeName, types)
+        if (typeSpec === undefined) {
+            report(path, ErrorCode.UNKNOWN_TYPE, `Unrecognized type '${typeName}'`)
+            return typeName
+        }
+        typeSpecs.push(typeSpec)
+        return typeSpec.name
+    }
+    if (Array.isArray(definition.type)) {
+        if (definition.type.length === 0 || !definition.type.every( (type) => typeof type === 'string' && type !== '')) {
+            fail(`Invalid type, need a non-empty array of non-empty strings`)
+        } else {
+            normalizedDefinition.type = Object.freeze(definition.type.map(getTypeName))
+        }
+    } else if (definition.type !== undefined) {
+        if (typeof definition.type !== 'string' || definition.type === '') {
+            fail(`Invalid type, need a non-empty string, ${sPrettyPrint(definition.type)} given`)
+        } else {
+            normalizedDefinition.type = getTypeName(definition.type)
+        }
+    }
+
+    // keys
+    let allowedKeys = OPTION_DEFINITION_KEYS.concat(...typeSpecs.map( (typeSpec) => typeSpec.definitionKeys))
+    for (const key of Object.keys(definition)) {
+        if (allowedKeys.indexOf(key) === -1) {
+            let suggestion = _getClosestName(key, allowedKeys)
+            fail(`Unknown key '${key}' in the option definition` + (suggestion !== undefined ? `, did you mean '${suggestion}'?` : ''))
+        }
+    }
+
+    // named definitions
+    if (definition.ref !== undefined) {
+        if (typeof definition.ref !== 'string' || definition.ref === '') {
+            fail(`ref must be the name of a definition, ${sPrettyPrint(definition.ref)} given`)
+        }
+        for (const key of Object.keys(definition)) {
+            if (REFERENCE_KEYS.indexOf(key) === -1 && allowedKeys.indexOf(key) !== -1) {
+                fail(`${key} cannot be used together with ref, it must be given in the named definition`)
+            }
+        }
+    }
+
+    // flags and functions
+    for (const key of [ 'required', 'optional', 'strictDefault', 'caseInsensitive', 'coerce', 'sensitive', 'nullable']) {
+        if (definition[key] !== undefined && typeof definition[key] !== 'boolean') {
+            fail(`${key} must be a boolean, ${sPrettyPrint(definition[key])} given`)
+        }
+    }
+    for (const key of [ 'customCheck', 'transformFunction', 'objectClass', 'defaultFactory', 'refine', 'subclassOf']) {
+        if (definition[key] !== undefined && typeof definition[key] !== 'function') {
+            fail(`${key} must be a function, ${sPrettyPrint(definition[key])} given`)
+        }
+    }
+    for (const key of [ 'customCheckDescription', 'description']) {
+        if (definition[key] !== undefined && typeof definition[key] !== 'string') {
+            fail(`${key} must be a string, ${sPrettyPrint(definition[key])} given`)
+        }
+    }
+    // cross-field rules and other names, checked with the options definition the option belongs to
+    for (const key of [ 'conflictsWith', 'implies', 'aliases', 'renamedFrom']) {
+        if (Array.isArray(definition[key])) {
+            normalizedDefinition[key] = Object.freeze(definition[key].slice())
+        }
+    }
+    if (typeof definition.requiredIf === 'object' && definition.requiredIf !== null && !Array.isArray(definition.requiredIf)) {
+        normalizedDefinition.requiredIf = Object.freeze(Object.fromEntries(Object.entries(definition.requiredIf)))
+    }
+    if (definition.examples !== undefined) {
+        if (!Array.isArray(definition.examples) || definition.examples.length === 0) {
+            fail(`Invalid examples, need a non-empty array`)
+        } else {
+            normalizedDefinition.examples = Object.freeze(definition.examples.slice())
+        }
+    }
+    if (definition.required === true && (definition.default !== undefined || definition.defaultFactory !== undefined)) {
+        fail(`A required option cannot have a default`)
+    }
+    if (definition.default !== undefined && definition.defaultFactory !== undefined) {
+        fail(`default and defaultFactory cannot be used together`)
+    }
+    if (definition.required === true && definition.optional === true) {
+        fail(`An option cannot be both required and optional`)
+    }
+    if (definition.deprecated !== undefined && typeof definition.deprecated !== 'boolean' && typeof definition.deprecated !== 'string') {
+        fail(`deprecated must be a boolean or a string, ${sPrettyPrint(definition.deprecated)} given`)
+    }
+    if (definition.unknownProperties !== undefined && UNKNOWN_PROPERTIES_POLICIES.indexOf(definition.unknownProperties) === -1) {
+        fail(`Invalid unknownProperties, need one of ${UNKNOWN_PROPERTIES_POLICIES.map( (policy) => `'${policy}'`).join(', ')}`)
+    }
+
+    // ranges
+    for (const key of [ 'min', 'max']) {
+        if (definition[key] !== undefined && typeof definition[key] !== 'number' && typeof definition[key] !== 'bigint' &&
+            !(definition[key] instanceof Date && !isNaN(definition[key].getTime()))) {
+            fail(`${key} must be a number, a bigint or a date, ${sPrettyPrint(definition[key])} given`)
+        }
+    }
+    for (const key of [ 'exclusiveMin', 'exclusiveMax']) {
+        if (definition[key] !== undefined && typeof definition[key] !== 'number') {
+            fail(`${key} must be a number, ${sPrettyPrint(definition[key])} given`)
+        }
+    }
+    if (definition.multipleOf !== undefined && (typeof definition.multipleOf !== 'number' || !(definition.multipleOf > 0))) {
+        fail(`multipleOf must be a number greater than zero, ${sPrettyPrint(definition.multipleOf)} given`)
+    }
+    for (const key of [ 'minLength', 'maxLength']) {
+        if (definition[key] !== undefined && (!Number.isInteger(definition[key]) || definition[key] < 0)) {
+            fail(`${key} must be a non-negative integer, ${sPrettyPrint(definition[key])} given`)
+        }
+    }
+    // registered types can check ranges of their own, the bounds of built-in types must fit the type
+    let rangeKeys = [ 'min', 'max', 'exclusiveMin', 'exclusiveMax' ].filter( (key) => definition[key] !== undefined)
+    if (rangeKeys.length !== 0 && typeSpecs.length !== 0 && typeSpecs.every( (typeSpec) => builtInTypeSpecs.has(typeSpec))) {
+        let typeNames = typeSpecs.map( (typeSpec) => typeSpec.name).join('|')
+        let boundTypes = Array.from(new Set(typeSpecs.map( (typeSpec) => RANGE_BOUND_TYPES[typeSpec.name]).filter( (boundType) => boundType !== undefined)))
+        for (const key of rangeKeys) {
+            let boundType = definition[key] instanceof Date ? 'date' : typeof definition[key]
+            if (boundTypes.length === 0) {
+                fail(`${key} cannot be used with type '${typeNames}'`)
+            } else if ([ 'number', 'bigint', 'date' ].indexOf(boundType) !== -1 && boundTypes.indexOf(boundType) === -1) {
+                fail(`${key} must be ${boundTypes.map( (type) => `a ${type}`).join(' or ')} for type '${typeNames}', ${sPrettyPrint(definition[key])} given`)
+            }
+        }
+    }
+    if (definition.min !== undefined && definition.max !== undefined && typeof definition.min === typeof definition.max && definition.min > definition.max) {
+        fail(`min (${_formatBound(definition.min)}) is greater than max (${_formatBound(definition.max)})`)
+    }
+    if (typeof definition.minLength === 'number' && typeof definition.maxLength === 'number' && definition.minLength > definition.maxLength) {
+        fail(`minLength (${definition.minLength}) is greater than maxLength (${definition.maxLength})`)
+    }
+
+    // array elements
+    if (definition.uniqueItems !== undefined && typeof definition.uniqueItems !== 'boolean' && typeof definition.uniqueItems !== 'function') {
+        fail(`uniqueItems must be a boolean or a function, ${sPrettyPrint(definition.uniqueItems)} given`)
+    }
+    if (definition.onInvalidElement !== undefined && INVALID_ELEMENT_POLICIES.indexOf(definition.onInvalidElement) === -1) {
+        fail(`Invalid onInvalidElement, need one of ${INVALID_ELEMENT_POLICIES.map( (policy) => `'${policy}'`).join(', ')}`)
+    }
+
+    // string patterns and formats
+    if (definition.pattern !== undefined) {
+        if (definition.pattern instanceof RegExp) {
+            normalizedDefinition.pattern = _getStatelessRegExp(definition.pattern)
+        } else if (typeof definition.pattern === 'string') {
+            try {
+                normalizedDefinition.pattern = new RegExp(definition.pattern)
+            } catch (e) {
+                fail(`Invalid pattern: ${e.message}`)
+            }
+        } else {
+            fail(`pattern must be a regular expression or a string, ${sPrettyPrint(definition.pattern)} given`)
+        }
+    }
+    if (definition.format !== undefined && (typeof definition.format !== 'string' || definition.format === '')) {
+        fail(`format must be the name of a format, ${sPrettyPrint(definition.format)} given`)
+    }
+
+    // allowed values
+    if (definition.values !== undefined) {
+        if (!Array.isArray(definition.values) || definition.values.length === 0) {
+            fail(`Invalid values, need a non-empty array`)
+        } else {
+            normalizedDefinition.values = Object.freeze(definition.values.slice())
+        }
+    }
+    if (definition.default !== undefined && !(definition.default === null && definition.nullable === true)) {
+        let allowedValues = definition.hasOwnProperty('literal') ? [ definition.literal ] : normalizedDefinition.values
+        if (Array.isArray(allowedValues) && allowedValues.length !== 0 &&
+            !_findAllowedValue(definition.default, allowedValues, definition.caseInsensitive === true).found) {
+            fail(`The default ${_printValue(definition.default, definition.sensitive === true)} is not one of the allowed values`)
+        }
+    }
+
+    // unions
+    if (definition.anyOf !== undefined) {
+        if (!Array.isArray(definition.anyOf) || definition.anyOf.length === 0) {
+            fail(`Invalid anyOf, need a non-empty array of definitions`)
+        } else {
+            normalizedDefinition.anyOf = Object.freeze(definition.anyOf.map( (alternative) => _normalizeOptionDefinition(alternative, path, types, report)))
+        }
+    }
+    if (definition.oneOf !== undefined || definition.discriminator !== undefined) {
+        if (typeof definition.discriminator !== 'string' || typeof definition.oneOf !== 'object' || definition.oneOf === null || Array.isArray(definition.oneOf)) {
+            fail(`Invalid oneOf, need a discriminator property name and an object with definitions`)
+        } else {
+            let oneOf = {}
+            for (const discriminatorValue of Object.keys(definition.oneOf)) {
+                oneOf[discriminatorValue] = _normalizeOptionDefinition(definition.oneOf[discriminatorValue], path, types, report)
+            }
+            normalizedDefinition.oneOf = Object.freeze(oneOf)
+        }
+    }
+
+    // nested definitions
+    if (definition.objectDefinition !== undefined) {
+        if (typeof definition.objectDefinition !== 'object' || definition.objectDefinition === null || Array.isArray(definition.objectDefinition)) {
+            fail(`objectDefinition must be an object, ${sPrettyPrint(definition.objectDefinition)} given`)
+        } else {
+            normalizedDefinition.objectDefinition = _normalizeOptionsDefinition(definition.objectDefinition, path, types, report)
+        }
+    }
+    if (definition.elementDefinition !== undefined) {
+        normalizedDefinition.elementDefinition = _normalizeOptionDefinition(definition.elementDefinition, path.concat([ '*' ]), types, report)
+    }
+    if (definition.contains !== undefined) {
+        normalizedDefinition.contains = _normalizeOptionDefinition(definition.contains, path.concat([ '<contains>' ]), types, report)
+    }
+    // records and tuples
+    if (definition.keyDefinition !== undefined) {
+        normalizedDefinition.keyDefinition = _normalizeOptionDefinition(definition.keyDefinition, path.concat([ '<key>' ]), types, report)
+    }
+    if (definition.valueDefinition !== undefined) {
+        normalizedDefinition.valueDefinition = _normalizeOptionDefinition(definition.valueDefinition, path.concat([ '*' ]), types, report)
+    }
+    if (definition.items !== undefined) {
+        if (!Array.isArray(definition.items)) {
+            fail(`Invalid items, need an array of definitions`)
+        } else {
+            normalizedDefinition.items = Object.freeze(definition.items.map( (item, i) => _normalizeOptionDefinition(item, path.concat([ i ]), types, report)))
+        }
+    }
+    if (definition.rest !== undefined) {
+        normalizedDefinition.rest = _normalizeOptionDefinition(definition.rest, path.concat([ '*' ]), types, report)
+    }
+    return Object.freeze(normalizedDefinition)
+}
+
+/**
+ * Creates a checker with the given definition and context and the settings of another checker
+ *
+ * @param {OptionsChecker} oc
+ * @param {object} optionsDefinition
+ * @param {string} contextStr
+ * @param {object} overrides  constructor options that replace the checker's, e.g. { types, refine, definitions }
+ * @return {OptionsChecker}
+ * @private
+ */
+function _createDerivedChecker(oc, optionsDefinition, contextStr, overrides) {
+    let types = overrides.types !== undefined ? overrides.types : oc.types
+    let typesObject = {}
+    types.forEach( (typeSpec) => { typesObject[typeSpec.name] = typeSpec })
+    let formats = overrides.formats !== undefined ? overrides.formats : oc.formats
+    let formatsObject = {}
+    formats.forEach( (formatSpec) => { formatsObject[formatSpec.name] = formatSpec })
+    let constructorOptions = Object.assign({
+        optionsDefinition: optionsDefinition,
+        context: contextStr,
+        strictDefault: oc.strictDefault,
+        verbose: oc.verbose,
+        debug: oc.debug,
+        logger: oc.logger,
+        hooks: oc.hooks,
+        coerce: oc.coerce,
+        unknownProperties: oc.unknownProperties,
+        definitions: oc.definitions,
+        maxDepth: oc.maxDepth
+    }, overrides, { types: typesObject, formats: formatsObject })
+    if (constructorOptions.refine === null) {
+        delete constructorOptions.refine
+    }
+    return new OptionsChecker(constructorOptions)
+}
+
+/**
+ * Checks the option names given to pick and omit and returns them as an array
+ *
+ * @param {OptionsChecker} oc
+ * @param {string[]} optionNames
+ * @param {string} methodName
+ * @return {string[]}
+ * @private
+ */
+function _checkOptionNamesArgument(oc, optionNames, methodName) {
+    let contextStr = `${oc.contextStr} : ${methodName}`
+    if (!Array.isArray(optionNames) || !optionNames.every( (optionName) => typeof optionName === 'string')) {
+        throw new OptionsCheckerError(`${contextStr} : Need an array of option names, ${sPrettyPrint(optionNames)} given`,
+            { code: ErrorCode.INVALID_ARGUMENT, context: contextStr })
+    }
+    let definedNames = Object.keys(oc.optionsDefinition)
+    for (const optionName of optionNames) {
+        if (definedNames.indexOf(optionName) === -1) {
+            let suggestion = _getClosestName(optionName, definedNames)
+            throw new OptionsCheckerError(`${contextStr} : Unknown option '${optionName}'` + (suggestion !== undefined ? `, did you mean '${suggestion}'?` : ''),
+                { code: ErrorCode.INVALID_ARGUMENT, context: contextStr, optionPath: [ optionName ] })
+        }
+    }
+    return optionNames
+}
+
+/**
+ * Merges two options definitions, throwing an OptionsCheckerError if they cannot be merged
+ *
+ * @param {object} baseDefinition  a normalized definition
+ * @param {object} extension
+ * @param {Map<string, object>} types
+ * @param {string} contextStr
+ * @return {object}
+ * @private
+ */
+function _getMergedDefinition(baseDefinition, extension, types, contextStr) {
+    let issues = []
+    let mergedDefinition = _mergeOptionsDefinitions(baseDefinition, extension, [], types, (path, message) => {
+        issues.push({ path: path, code: ErrorCode.INVALID_DEFINITION, message: message, context: contextStr })
+    })
+    _throwDefinitionIssues(issues, 'Cannot merge options definitions', contextStr)
+    return mergedDefinition
+}
+
+function _mergeOptionsDefinitions(baseDefinition, extension, path, types, report) {
+    let mergedDefinition = Object.assign({}, baseDefinition)
+    for (const optionName of Object.keys(extension)) {
+        mergedDefinition[optionName] = baseDefinition.hasOwnProperty(optionName) ?
+            _mergeOptionDefinitions(baseDefinition[optionName], extension[optionName], path.concat([optionName]), types, report) :
+            extension[optionName]
+    }
+    return mergedDefinition
+}
+
+/**
+ * Merges two option definitions. Keys in the extension override the ones in the base definition, except for nested
+ * definitions, which are merged.
+ *
+ * @param {object} baseDefinition
+ * @param {object} extension
+ * @param {(string|number)[]} path
+ * @param {Map<string, object>} types
+ * @param {function} report  (path, message) => { ... }
+ * @return {object}
+ * @private
+ */
+function _mergeOptionDefinitions(baseDefinition, extension, path, types, report) {
+    if (typeof extension !== 'object' || extension === null || Array.isArray(extension) ||
+        typeof baseDefinition !== 'object' || baseDefinition === null) {
+        // the checker will report it
+        return extension
+    }
+    let baseTypes = _getCanonicalTypeNames(baseDefinition.type, types)
+    let extensionTypes = _getCanonicalTypeNames(extension.type, types)
+    if (baseTypes !== undefined && extensionTypes !== undefined && baseTypes.join('|') !== extensionTypes.join('|')) {
+        report(path, `Conflicting type redefinition, ${sPrettyPrint(baseDefinition.type)} redefined as ${sPrettyPrint(extension.type)}`)
+    }
+    let mergedDefinition = Object.assign({}, baseDefinition, extension)
+    // a new default makes the option optional and vice versa
+    if (extension.default !== undefined || extension.defaultFactory !== undefined) {
+        if (extension.required === undefined) {
+            delete mergedDefinition.required
+        }
+        delete mergedDefinition[extension.default !== undefined ? 'defaultFactory' : 'default']
+    }
+    if (extension.required === true) {
+        delete mergedDefinition.default
+        delete mergedDefinition.defaultFactory
+    }
+    if (_isPlainDefinition(baseDefinition.objectDefinition) && _isPlainDefinition(extension.objectDefinition)) {
+        mergedDefinition.objectDefinition = _mergeOptionsDefinitions(baseDefinition.objectDefinition, extension.objectDefinition, path, types, report)
+    }
+    for (const key of [ 'elementDefinition', 'valueDefinition', 'rest']) {
+        if (_isPlainDefinition(baseDefinition[key]) && _isPlainDefinition(extension[key])) {
+            mergedDefinition[key] = _mergeOptionDefinitions(baseDefinition[key], extension[key], path.concat([ '*' ]), types, report)
+        }
+    }
+    if (_isPlainDefinition(baseDefinition.keyDefinition) && _isPlainDefinition(extension.keyDefinition)) {
+        mergedDefinition.keyDefinition = _mergeOptionDefinitions(baseDefinition.keyDefinition, extension.keyDefinition, path.concat([ '<key>' ]), types, report)
+    }
+    return mergedDefinition
+}
+
+function _isPlainDefinition(definition) {
+    return typeof definition === 'object' && definition !== null && !Array.isArray(definition)
+}
+
+/**
+ * Returns the sorted list of the registered names of the types in a definition's type key, or undefined
+ * if the definition has no type
+ *
+ * @param {string|string[]|undefined} type
+ * @param {Map<string, object>} types
+ * @return {string[]|undefined}
+ * @private
+ */
+function _getCanonicalTypeNames(type, types) {
+    if (type === undefined) {
+        return undefined
+    }
+    return (Array.isArray(type) ? type : [ type ]).map( (typeName) => {
+        if (typeof typeName !== 'string') {
+            return String(typeName)
+        }
+        let typeSpec = _getTypeSpec(typeName, types)
+        return typeSpec !== undefined ? typeSpec.name : typeName.toLowerCase()
+    }).sort()
+}
+
+/**
+ * Returns a copy of a normalized options definition in which all the options, including the ones in nested
+ * objectDefinitions, are optional
+ *
+ * @param {object} optionsDefinition
+ * @return {object}
+ * @private
+ */
+function _getPartialDefinition(optionsDefinition) {
+    let partialDefinition = {}
+    for (const optionName of Object.keys(optionsDefinition)) {
+        let definition = Object.assign(_getPartialOptionDefinition(optionsDefinition[optionName]), { optional: true })
+        for (const key of [ 'required', 'requiredIf', 'implies']) {
+            delete definition[key]
+        }
+        partialDefinition[optionName] = definition
+    }
+    return partialDefinition
+}
+
+/**
+ * Returns a copy of a normalized option definition without refine, in which the options of its objectDefinition
+ * and of the objectDefinitions of its elements, values and tuple items are optional, see _getPartialDefinition
+ *
+ * @param {object} definition
+ * @return {object}
+ * @private
+ */
+function _getPartialOptionDefinition(definition) {
+    let partialDefinition = Object.assign({}, definition)
+    delete partialDefinition.refine
+    if (definition.objectDefinition !== undefined) {
+        partialDefinition.objectDefinition = _getPartialDefinition(definition.objectDefinition)
+    }
+    for (const key of [ 'elementDefinition', 'valueDefinition', 'rest']) {
+        if (definition[key] !== undefined) {
+            partialDefinition[key] = _getPartialOptionDefinition(definition[key])
+        }
+    }
+    if (Array.isArray(definition.items)) {
+        partialDefinition.items = definition.items.map( (item) => _getPartialOptionDefinition(item))
+    }
+    return partialDefinition
+}
+
+/**
+ * Returns a refine function that calls all the given ones and returns all the issues they report
+ *
+ * @param {function[]} refineFunctions
+ * @return {function}
+ * @private
+ */
+function _combineRefineFunctions(refineFunctions) {
+    return (cleanOptions) => {
+        let results = refineFunctions.map( (refine) => refine(cleanOptions))
+        let concatIssues = (resolvedResults) => [].concat(...resolvedResults.map( (result) => result === undefined || result === null ? [] : result))
+        if (results.some( (result) => result instanceof Promise)) {
+            return Promise.all(results).then(concatIssues)
+        }
+        return concatIssues(results)
+    }
+}
+
+/**
+ * Returns the settings used to check options with the given checker
+ * @param {OptionsChecker} oc
+ * @return {object}
+ * @private
+ */
+function _getCheckerSettings(oc) {
+    return {
+        context: oc.contextStr,
+        verbose: oc.verbose,
+        debug: oc.debug,
+        logger: oc.logger,
+        hooks: oc.hooks,
+        strictDefault: oc.strictDefault,
+        coerce: oc.coerce,
+        unknownProperties: oc.unknownProperties,
+        types: oc.types,
+        formats: oc.formats,
+        refine: oc.refine,
+        maxDepth: oc.maxDepth,
+        loggedDeprecations: oc.loggedDeprecations
+    }
+}
+
+function _getCleanOptions(optionsObject, optionsDefinition, settings) {
+    let report = _validate(optionsObject, optionsDefinition, settings)
+    if (!report.valid) {
+        throw OptionsCheckerError.fromIssue(report.errors[0])
+    }
+    return report.cleanOptions
+}
+
+async function _getCleanOptionsAsync(optionsObject, optionsDefinition, settings) {
+    let report = await _validate(optionsObject, optionsDefinition, Object.assign({}, settings, { async: true }))
+    if (!report.valid) {
+        throw OptionsCheckerError.fromIssue(report.errors[0])
+    }
+    return report.cleanOptions
+}
+
+/**
+ * Checks an options object against a definition and returns a validation report, or a promise that
+ * resolves to it if settings.async is true
+ *
+ * @param {object} optionsObject
+ * @param {object} optionsDefinition
+ * @param {object} settings  { context, verbose, debug, logger, hooks, strictDefault, coerce, unknownProperties, types, refine, maxDepth, loggedDeprecations, async }
+ * @return {{valid: boolean, cleanOptions: object, errors: object[], warnings: object[], unknownProperties: object[], deprecations: object[]}|Promise}
+ * @private
+ */
+function _validate(optionsObject, optionsDefinition, settings) {
+    let state = {
+        path: [],
+        context: settings.context,
+        settings: settings,
+        coerce: settings.coerce,
+        unknownProperties: settings.unknownProperties,
+        references: [],
+        errors: [],
+        warnings: [],
+        unknown: [],
+        deprecations: []
+    }
+    let getReport = (cleanOptions) => {
+        // errors are only logged here because nested errors may end up as warnings
+        // if the containing option falls back to its default
+        settings.verbose && state.errors.forEach( (issue) => { settings.logger.error(`${issue.context} : ${issue.message}`)})
+        return {
+            valid: state.errors.length === 0,
+            cleanOptions: cleanOptions,
+            errors: state.errors,
+            warnings: state.warnings,
+            unknownProperties: state.unknown,
+            deprecations: state.deprecations
+        }
+    }
+    let cleanOptions = {}
+    if (typeof optionsObject !== 'object' || optionsObject === null) {
+        state.errors.push(_createIssue(state, [], ErrorCode.TYPE_MISMATCH, `The options should be an object, ${sPrettyPrint(optionsObject)} given`,
+            { expected: 'object', received: optionsObject }))
+    } else {
+        cleanOptions = _getObjectValidator(optionsDefinition, settings.types)(optionsObject, state)
+    }
+    return _then(cleanOptions, settings.async, (cleanOptions) => {
+        if (typeof settings.refine !== 'function' || state.errors.length !== 0) {
+            return getReport(cleanOptions)
+        }
+        return _then(_refine(settings.refine, cleanOptions, 'the options', [], state), settings.async, (issues) => {
+            state.errors.push(...issues)
+            return getReport(cleanOptions)
+        })
+    })
+}
+
+/**
+ * Returns a state object to check a nested level (an object definition or an array element)
+ *
+ * Nested errors are kept apart so that the caller can decide whether they are errors or
+ * warnings, warnings, unknown properties and deprecations go directly to the parent's lists.
+ *
+ * @param {object} state
+ * @param {(string|number)[]} path
+ * @param {string} contextStr
+ * @return {object}
+ * @private
+ */
+function _getNestedState(state, path, contextStr) {
+    return {
+        path: path,
+        context: contextStr,
+        settings: state.settings,
+        coerce: state.coerce,
+        unknownProperties: state.unknownProperties,
+        sensitive: state.sensitive,
+        references: state.references,
+        errors: [],
+        warnings: state.warnings,
+        unknown: state.unknown,
+        deprecations: state.deprecations
+    }
+}
+
+/**
+ * Returns a copy of the path with the key appended. Copying in a loop is much faster than spreading, which
+ * matters since a path is built for every option checked.
+ *
+ * @param {(string|number)[]} path
+ * @param {string|number} key
+ * @return {(string|number)[]}
+ * @private
+ */
+function _appendToPath(path, key) {
+    let length = path.length
+    let newPath = new Array(length + 1)
+    for (let i = 0; i < length; i++) {
+        newPath[i] = path[i]
+    }
+    newPath[length] = key
+    return newPath
+}
+
+/**
+ * Thrown by _getSyncResult when a user given function returns a promise while checking synchronously
+ * @private
+ */
+class PromiseInSyncCheckError extends Error {
+    constructor() {
+        super('a promise was returned, use getCleanOptionsAsync to check options asynchronously')
+    }
+}
+
+/**
+ * Returns the value returned by a user given function when checking synchronously.
+ *
+ * Promises cannot be awaited then, so a PromiseInSyncCheckError is thrown instead, after making sure
+ * that the promise's rejection does not go unhandled.
+ *
+ * @param {*} value
+ * @return {*}
+ * @private
+ */
+function _getSyncResult(value) {
+    if (value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function') {
+        value.then(undefined, () => {})
+        throw new PromiseInSyncCheckError()
+    }
+    return value
+}
+
+/**
+ * Gives the result of a check to f and returns what f returns.
+ *
+ * When checking asynchronously, checks can return promises: f is called with the resolved value and a promise
+ * is returned. When checking synchronously, checks return their results directly and f is called right away; checks
+ * are plain functions instead of async functions or generators, since suspending and resuming every one of them
+ * would make checking a lot slower.
+ *
+ * @param {*} result
+ * @param {boolean} async
+ * @param {function} f
+ * @return {*|Promise}
+ * @private
+ */
+function _then(result, async, f) {
+    return async ? Promise.resolve(result).then(f) : f(result)
+}
+
+/**
+ * Calls f, normally a user given function, and gives the value it returns to onResult or the exception it throws
+ * to onError. Returns what onResult or onError return.
+ *
+ * When checking asynchronously, the value returned by f is awaited, a rejection is given to onError and a promise
+ * is returned. When checking synchronously, a promise returned by f is given to onError as a PromiseInSyncCheckError.
+ *
+ * @param {function} f
+ * @param {boolean} async
+ * @param {function} onResult
+ * @param {function} onError
+ * @return {*|Promise}
+ * @private
+ */
+function _tryCall(f, async, onResult, onError) {
+    if (async) {
+        return new Promise( (resolve) => { resolve(f()) }).then(onResult, onError)
+    }
+    let result
+    try {
+        result = _getSyncResult(f())
+    } catch (e) {
+        return onError(e)
+    }
+    return onResult(result)
+}
+
+/**
+ * Compiled definitions, one cache for each type registry; types registered in a checker
+ * change the type specifications used by its compiled definitions
+ */
+const compiledOptionsDefinitions = new WeakMap()
+const compiledOptionDefinitions = new WeakMap()
+
+/**
+ * Returns the compiled version of a definition, compiling it only the first time it is used
+ * with the given types
+ *
+ * @param {WeakMap} compiledDefinitions
+ * @param {object} definition
+ * @param {Map<string, object>|null} types
+ * @param {function} compile  (definition, types) => { return <compiled definition> }
+ * @return {function}
+ * @private
+ */
+function _getCompiledDefinition(compiledDefinitions, definition, types, compile) {
+    let registry = types === null ? globalTypes : types
+    let cache = compiledDefinitions.get(registry)
+    if (cache === undefined) {
+        cache = new WeakMap()
+        compiledDefinitions.set(registry, cache)
+    }
+    let compiled = cache.get(definition)
+    if (compiled === undefined) {
+        compiled = compile(definition, types)
+        cache.set(definition, compiled)
+    }
+    return compiled
+}
+
+/**
+ * Returns a check function for objects with the given options definition: (optionsObject, state) => { ... }
+ *
+ * The function returns the clean object, or a promise that resolves to it when checking asynchronously.
+ *
+ * @param {object} optionsDefinition
+ * @param {Map<string, object>|null} types
+ * @return {function}
+ * @private
+ */
+function _getObjectValidator(optionsDefinition, types) {
+    return _getCompiledDefinition(compiledOptionsDefinitions, optionsDefinition, types, _compileOptionsDefinition)
+}
+
+/**
+ * Returns a check function for values with the given option definition: (optionName, optionPath, value, state) => { ... }
+ *
+ * See _compileOptionDefinition
+ *
+ * @param {object} optionDefinition
+ * @param {Map<string, object>|null} types
+ * @return {function}
+ * @private
+ */
+function _getOptionValidator(optionDefinition, types) {
+    return _getCompiledDefinition(compiledOptionDefinitions, optionDefinition, types, _compileOptionDefinition)
+}
+
+function _compileOptionsDefinition(optionsDefinition, types) {
+    let optionNames = Object.keys(optionsDefinition)
+    let validators = optionNames.map( (optionName) => _getOptionValidator(optionsDefinition[optionName], types))
+    // validators deal with refs themselves, the rest needs the definitions they stand for
+    optionsDefinition = _getResolvedOptionsDefinition(optionsDefinition)
+    let ruleNames = _getCrossFieldOptionNames(optionsDefinition)
+    let skipIfMissing = optionNames.map( (optionName) => _isOmittable(optionsDefinition[optionName], ruleNames.has(optionName)))
+    let otherNames = _getOtherOptionNames(optionsDefinition)
+    let deprecatedNames = optionNames.filter( (optionName) => {
+        let deprecated = optionsDefinition[optionName].deprecated
+        return deprecated !== undefined && deprecated !== false
+    })
+
+    // the checks that need the whole object
+    let checkObject = (optionsObject, cleanOptions, state) => {
+        if (typeof optionsObject === 'object' && optionsObject !== null) {
+            _checkUnknownProperties(optionsObject, optionsDefinition, optionNames, cleanOptions, state)
+            if (ruleNames.size !== 0) {
+                _checkCrossFieldRules(optionsObject, optionsDefinition, cleanOptions, state)
+            }
+        }
+        return cleanOptions
+    }
+
+    return function checkOptions(optionsObject, state) {
+        state.settings.debug && state.settings.logger.debug(`Getting clean options for context '${state.context}'`)
+        let cleanOptions = {}
+        if (typeof optionsObject === 'object' && optionsObject !== null) {
+            if (otherNames.length !== 0) {
+                optionsObject = _resolveOtherNames(optionsObject, otherNames, state)
+            }
+            for (const optionName of deprecatedNames) {
+                if (optionsObject[optionName] !== undefined) {
+                    let deprecated = optionsDefinition[optionName].deprecated
+                    _addDeprecation(state, _createIssue(state, state.path.concat([optionName]), ErrorCode.DEPRECATED,
+                        `Option '${optionName}' is deprecated` + (typeof deprecated === 'string' ? `: ${deprecated}` : ''),
+                        { received: optionsObject[optionName], sensitive: optionsDefinition[optionName].sensitive }))
+                }
+            }
+        }
+        if (state.settings.async) {
+            // each option gets its own issue lists so that issues are reported in definition order
+            // even if the options are checked concurrently
+            let optionStates = []
+            let checkedNames = []
+            let checks = []
+            for (let i = 0; i < optionNames.length; i++) {
+                if (skipIfMissing[i] && optionsObject[optionNames[i]] === undefined) {
+                    continue
+                }
+                let optionState = Object.assign({}, state, { errors: [], warnings: [], unknown: [], deprecations: [] })
+                optionStates.push(optionState)
+                checkedNames.push(optionNames[i])
+                checks.push(validators[i](optionNames[i], _appendToPath(state.path, optionNames[i]), optionsObject[optionNames[i]], optionState))
+            }
+            return Promise.all(checks).then( (results) => {
+                results.forEach( (result, i) => {
+                    state.errors.push(...optionStates[i].errors)
+                    state.warnings.push(...optionStates[i].warnings)
+                    state.unknown.push(...optionStates[i].unknown)
+                    state.deprecations.push(...optionStates[i].deprecations)
+                    if (result.valid) {
+                        cleanOptions[checkedNames[i]] = result.value
+                    }
+                })
+                return checkObject(optionsObject, cleanOptions, state)
+            })
+        }
+        for (let i = 0; i < optionNames.length; i++) {
+            let value = optionsObject[optionNames[i]]
+            if (skipIfMissing[i] && value === undefined) {
+                continue
+            }
+            let result = validators[i](optionNames[i], _appendToPath(state.path, optionNames[i]), value, state)
+            if (result.valid) {
+                cleanOptions[optionNames[i]] = result.value
+            }
+        }
+        return checkObject(optionsObject, cleanOptions, state)
+    }
+}
+
+/**
+ * Returns the names of the options that have or are referred to by requiredIf, conflictsWith or implies
+ *
+ * @param {object} optionsDefinition
+ * @return {Set<string>}
+ * @private
+ */
+function _getCrossFieldOptionNames(optionsDefinition) {
+    let names = new Set()
+    for (const optionName of Object.keys(optionsDefinition)) {
+        let definition = optionsDefinition[optionName]
+        if (typeof definition !== 'object' || definition === null) {
+            continue
+        }
+        if (definition.requiredIf !== undefined) {
+            names.add(optionName)
+        }
+        for (const key of [ 'conflictsWith', 'implies']) {
+            let otherNames = definition[key] !== undefined ? _getOptionNameList(definition[key]) : undefined
+            if (otherNames !== undefined) {
+                names.add(optionName)
+                otherNames.forEach( (name) => names.add(name))
+            }
+        }
+    }
+    return names
+}
+
+/**
+ * Checks the requiredIf, conflictsWith and implies rules in an options definition
+ *
+ * Options count as given if they are defined in the options object, even if their value was replaced
+ * by a default. requiredIf conditions with values are checked against the clean options.
+ *
+ * @param {object} optionsObject
+ * @param {object} optionsDefinition
+ * @param {object} cleanOptions
+ * @param {object} state
+ * @private
+ */
+function _checkCrossFieldRules(optionsObject, optionsDefinition, cleanOptions, state) {
+    let isGiven = (name) => optionsObject[name] !== undefined
+    let reportedConflicts = new Set()
+    for (const optionName of Object.keys(optionsDefinition)) {
+        let definition = optionsDefinition[optionName]
+        let optionPath = state.path.concat([optionName])
+        if (definition.requiredIf !== undefined && !isGiven(optionName)) {
+            let condition = undefined
+            if (typeof definition.requiredIf === 'string') {
+                condition = isGiven(definition.requiredIf) ? `'${definition.requiredIf}' is given` : undefined
+            } else if (typeof definition.requiredIf === 'object' && definition.requiredIf !== null) {
+                let names = Object.keys(definition.requiredIf)
+                if (names.every( (name) => cleanOptions[name] === definition.requiredIf[name])) {
+                    condition = names.map( (name) => {
+                        let sensitive = state.sensitive || _resolveReference(optionsDefinition[name]).sensitive === true
+                        return `${name} is ${_printValue(definition.requiredIf[name], sensitive)}`
+                    }).join(' and ')
+                }
+            }
+            if (condition !== undefined) {
+                state.errors.push(_createIssue(state, optionPath, ErrorCode.REQUIRED_MISSING,
+                    `Option '${optionName}' is required when ${condition}`, { received: optionsObject[optionName] }))
+            }
+        }
+        if (!isGiven(optionName)) {
+            continue
+        }
+        if (definition.conflictsWith !== undefined) {
+            for (const name of _getOptionNameList(definition.conflictsWith) || []) {
+                let pairKey = JSON.stringify([ optionName, name ].sort())
+                if (isGiven(name) && !reportedConflicts.has(pairKey)) {
+                    reportedConflicts.add(pairKey)
+                    state.errors.push(_createIssue(state, optionPath, ErrorCode.CONFLICTING_OPTIONS,
+                        `Options '${optionName}' and '${name}' cannot be used together`,
+                        { received: optionsObject[optionName], sensitive: definition.sensitive }))
+                }
+            }
+        }
+        if (definition.implies !== undefined) {
+            for (const name of _getOptionNameList(definition.implies) || []) {
+                if (!isGiven(name)) {
+                    state.errors.push(_createIssue(state, state.path.concat([name]), ErrorCode.REQUIRED_MISSING,
+                        `Option '${name}' is required when '${optionName}' is given`))
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Runs a refine function on a clean value and returns the issues it reports
+ *
+ * @param {function} refine
+ * @param {*} value
+ * @param {string} label  used in the message if the function throws, e.g. "option name"
+ * @param {(string|number)[]} path
+ * @param {object} state
+ * @return {object[]|Promise}
+ * @private
+ */
+function _refine(refine, value, label, path, state) {
+    return _tryCall( () => refine(value), state.settings.async, (result) => _getRefinementIssues(result, label, path, state), (e) => {
+        return [ _createIssue(state, path, ErrorCode.REFINEMENT_FAILED, _appendExceptionMessage(`Refinement failed for ${label}`, e, state), { cause: e }) ]
+    })
+}
+
+/**
+ * Returns the issues of the value returned by a refine function, see _refine
+ *
+ * @param {*} result
+ * @param {string} label
+ * @param {(string|number)[]} path
+ * @param {object} state
+ * @return {object[]}
+ * @private
+ */
+function _getRefinementIssues(result, label, path, state) {
+    if (result === undefined || result === null) {
+        return []
+    }
+    if (!Array.isArray(result)) {
+        return [ _createIssue(state, path, ErrorCode.REFINEMENT_FAILED,
+            `Refinement for ${label} must return an array of issues, ${_printValue(result, state.sensitive)} given`, { received: result }) ]
+    }
+    return result.map( (issue) => {
+        if (typeof issue !== 'object' || issue === null) {
+            return _createIssue(state, path, ErrorCode.REFINEMENT_FAILED, state.sensitive ? `${label} is not valid` : String(issue))
+        }
+        let issuePath = issue.path === undefined ? [] : (Array.isArray(issue.path) ? issue.path : [ issue.path ])
+        return _createIssue(state, path.concat(issuePath), issue.code !== undefined ? issue.code : ErrorCode.REFINEMENT_FAILED,
+            issue.message !== undefined && !state.sensitive ? issue.message : `${label} is not valid`, { expected: issue.expected, received: issue.received })
+    })
+}
+
+/**
+ * Returns the aliases and old names of the options in a definition
+ *
+ * @param {object} optionsDefinition
+ * @return {{name: string, optionName: string, renamed: boolean, sensitive: boolean}[]}
+ * @private
+ */
+function _getOtherOptionNames(optionsDefinition) {
+    let otherNames = []
+    for (const optionName of Object.keys(optionsDefinition)) {
+        let definition = optionsDefinition[optionName]
+        if (typeof definition !== 'object' || definition === null) {
+            continue
+        }
+        let sensitive = definition.sensitive === true
+        if (Array.isArray(definition.aliases)) {
+            definition.aliases.forEach( (name) => { otherNames.push({ name: name, optionName: optionName, renamed: false, sensitive: sensitive }) })
+        }
+        if (definition.renamedFrom !== undefined) {
+            (_getOptionNameList(definition.renamedFrom) || []).forEach( (name) => {
+                otherNames.push({ name: name, optionName: optionName, renamed: true, sensitive: sensitive })
+            })
+        }
+    }
+    return otherNames
+}
+
+/**
+ * Returns a copy of the options object in which the values given with aliases and old names are
+ * assigned to the options' names
+ *
+ * Old names are reported as deprecations and different values given for the same option are reported as errors.
+ *
+ * @param {object} optionsObject
+ * @param {{name: string, optionName: string, renamed: boolean}[]} otherNames
+ * @param {object} state
+ * @return {object}
+ * @private
+ */
+function _resolveOtherNames(optionsObject, otherNames, state) {
+    let resolvedObject = null
+    let givenNames = {}
+    for (const otherName of otherNames) {
+        let value = optionsObject[otherName.name]
+        if (value === undefined) {
+            continue
+        }
+        if (resolvedObject === null) {
+            resolvedObject = {}
+            Object.keys(optionsObject).forEach( (key) => { _setOwnProperty(resolvedObject, key, optionsObject[key]) })
+        }
+        delete resolvedObject[otherName.name]
+        let path = state.path.concat([otherName.name])
+        if (otherName.renamed) {
+            _addDeprecation(state, _createIssue(state, path, ErrorCode.DEPRECATED,
+                `Option '${otherName.name}' has been renamed to '${otherName.optionName}'`,
+                { received: value, suggestion: otherName.optionName, sensitive: otherName.sensitive }))
+        }
+        let optionName = otherName.optionName
+        if (resolvedObject[optionName] === undefined) {
+            resolvedObject[optionName] = value
+            givenNames[optionName] = otherName.name
+        } else if (!_isEqualValue(resolvedObject[optionName], value)) {
+            let givenName = givenNames[optionName] !== undefined ? givenNames[optionName] : optionName
+            state.errors.push(_createIssue(state, path, ErrorCode.CONFLICTING_OPTIONS,
+                `Options '${givenName}' and '${otherName.name}' are the same option '${optionName}' and cannot have different values`,
+                { received: value, sensitive: otherName.sensitive }))
+        }
+    }
+    return resolvedObject === null ? optionsObject : resolvedObject
+}
+
+/**
+ * Returns true if both values are equal, comparing arrays and plain objects element by element
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {boolean}
+ * @private
+ */
+function _isEqualValue(a, b) {
+    if (a === b) {
+        return true
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every( (element, i) => _isEqualValue(element, b[i]))
+    }
+    if (typeof a === 'object' && a !== null && typeof b === 'object' && b !== null &&
+        Object.getPrototypeOf(a) === Object.prototype && Object.getPrototypeOf(b) === Object.prototype) {
+        let keys = Object.keys(a)
+        return keys.length === Object.keys(b).length && keys.every( (key) => b.hasOwnProperty(key) && _isEqualValue(a[key], b[key]))
+    }
+    return false
+}
+
+/**
+ * Deals with the properties of an options object that are not in the definition according
+ * to the state's unknownProperties policy
+ *
+ * @param {object} optionsObject
+ * @param {object} optionsDefinition
+ * @param {string[]} optionNames
+ * @param {object} cleanOptions
+ * @param {object} state
+ * @private
+ */
+function _checkUnknownProperties(optionsObject, optionsDefinition, optionNames, cleanOptions, state) {
+    for (const name of Object.keys(optionsObject)) {
+        if (optionsDefinition.hasOwnProperty(name)) {
+            continue
+        }
+        let suggestion = _getClosestName(name, optionNames)
+        let message = `Unknown option '${name}'` + (suggestion !== undefined ? `, did you mean '${suggestion}'?` : '')
+        let issue = _createIssue(state, state.path.concat([name]), ErrorCode.UNKNOWN_PROPERTY, message,
+            { received: optionsObject[name], suggestion: suggestion })
+        state.unknown.push(issue)
+        switch (state.unknownProperties) {
+            case 'warn':
+                _addWarning(state, issue)
+                break
+
+            case 'error':
+                state.errors.push(issue)
+                break
+
+            case 'passthrough':
+                state.settings.debug && state.settings.logger.debug(`Passing through unknown option '${name}'`)
+                _setOwnProperty(cleanOptions, name, optionsObject[name])
+                break
+        }
+    }
+}
+
+/**
+ * Returns the name in the list that is closest to the given one, if it is close enough to be
+ * a likely misspelling; otherwise, returns undefined.
+ *
+ * Names are compared regardless of case using an edit distance.
+ *
+ * @param {string} name
+ * @param {string[]} names
+ * @return {string|undefined}
+ * @private
+ */
+function _getClosestName(name, names) {
+    let maxDistance = Math.max(1, Math.floor(name.length / 3))
+    let closestName = undefined
+    let closestDistance = maxDistance + 1
+    for (const candidate of names) {
+        let distance = _getEditDistance(name.toLowerCase(), candidate.toLowerCase())
+        if (distance < closestDistance) {
+            closestName = candidate
+            closestDistance = distance
+        }
+    }
+    return closestName
+}
+
+/**
+ * Returns the Levenshtein distance between two strings, counting the transposition of two adjacent characters
+ * as a single edit, e.g., 'nmae' => 'name'
+ *
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ * @private
+ */
+function _getEditDistance(a, b) {
+    let distances = []
+    for (let i = 0; i <= a.length; i++) {
+        distances.push([ i ])
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                distances[i].push(j)
+                continue
+            }
+            let substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1
+            let distance = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + substitutionCost)
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, distances[i - 2][j - 2] + 1)
+            }
+            distances[i].push(distance)
+        }
+    }
+    return distances[a.length][b.length]
+}
+
+/**
+ * The context object given to the check and normalize functions of a type
+ *
+ * Issues found in nested values are collected in the nestedStates array, in the order in which the
+ * nested checks were requested. Warnings and unknown properties are kept apart only when checking
+ * asynchronously, otherwise they go directly to the option's state.
+ *
+ * When checking asynchronously, checkObject and checkValue return promises.
+ *
+ * @private
+ */
+class TypeContext {
+
+    /**
+     * @param {string} optionName
+     * @param {(string|number)[]} optionPath
+     * @param {object} state  the option's state
+     */
+    constructor(optionName, optionPath, state) {
+        this.optionName = optionName
+        this.optionPath = optionPath
+        this.state = state
+        // created when needed, most values have no nested values
+        this.nestedStates = null
+        this.failures = null
+    }
+
+    // derived from the state when read, most type checks never read them
+    get contextStr() {
+        return this.state.context
+    }
+
+    get async() {
+        return this.state.settings.async === true
+    }
+
+    get sensitive() {
+        return this.state.sensitive === true
+    }
+
+    get formats() {
+        return this.state.settings.formats !== undefined ? this.state.settings.formats : null
+    }
+
+    checkObject(object, optionsDefinition) {
+        let nestedState = this.getNestedState(`${this.contextStr} : ${this.optionName}`)
+        let cleanObject = _getObjectValidator(optionsDefinition, this.state.settings.types)(object, nestedState)
+        return this.async ? Promise.resolve(cleanObject) : cleanObject
+    }
+
+    /**
+     * If a note is given, the errors found in the value do not make the option invalid, they are reported as
+     * warnings with the note appended to their messages instead. If a default note is given, it is appended
+     * to the warnings instead of 'Default assigned.' when the value is replaced by its default.
+     */
+    checkValue(value, definition, key, label = `element ${key}`, name = 'element', note = undefined, defaultNote = undefined) {
+        let nestedState = this.getNestedState(`${this.contextStr} : ${this.optionName} : ${label}`)
+        if (defaultNote !== undefined) {
+            nestedState.defaultNote = defaultNote
+        }
+        let result = _getOptionValidator(definition, this.state.settings.types)(name, _appendToPath(this.optionPath, key), value, nestedState)
+        if (note === undefined) {
+            return this.async ? Promise.resolve(result) : result
+        }
+        return _then(result, this.async, (resolvedResult) => {
+            nestedState.errors.forEach( (issue) => { _addWarning(nestedState, Object.assign({}, issue, { message: _appendSentence(issue.message, note) })) })
+            nestedState.errors = []
+            return resolvedResult
+        })
+    }
+
+    /**
+     * Returns true if the value matches the definition, without reporting anything, or a promise when checking asynchronously
+     */
+    matchesValue(value, definition, key, name = 'element') {
+        let silentState = _getNestedState(this.state, this.optionPath, this.contextStr)
+        Object.assign(silentState, {
+            warnings: [],
+            unknown: [],
+            deprecations: [],
+            settings: Object.assign({}, this.state.settings, { verbose: false, hooks: {} })
+        })
+        let result = _getOptionValidator(definition, this.state.settings.types)(name, _appendToPath(this.optionPath, key), value, silentState)
+        return _then(result, this.async, (resolvedResult) => resolvedResult.valid)
+    }
+
+    /**
+     * Makes the option invalid with the given failure, for failures found after checking nested values
+     */
+    fail(code, message, details = {}) {
+        if (this.failures === null) {
+            this.failures = []
+        }
+        this.failures.push(_createIssue(this.state, this.optionPath, code, message, details))
+    }
+
+    getNestedState(contextStr) {
+        let nestedState = _getNestedState(this.state, this.optionPath, contextStr)
+        if (this.async) {
+            nestedState.warnings = []
+            nestedState.unknown = []
+            nestedState.deprecations = []
+        }
+        if (this.nestedStates === null) {
+            this.nestedStates = []
+        }
+        this.nestedStates.push(nestedState)
+        return nestedState
+    }
+
+    /**
+     * Returns the errors found in nested checks and the failures given to fail, adding the warnings, unknown properties
+     * and deprecations of nested checks to the option's state if they were kept apart
+     * @return {object[]}
+     */
+    collectNestedIssues() {
+        let errors = []
+        if (this.nestedStates !== null) {
+            for (const nestedState of this.nestedStates) {
+                errors.push(...nestedState.errors)
+                if (nestedState.warnings !== this.state.warnings) {
+                    this.state.warnings.push(...nestedState.warnings)
+                    this.state.unknown.push(...nestedState.unknown)
+                    this.state.deprecations.push(...nestedState.deprecations)
+                }
+            }
+        }
+        if (this.failures !== null) {
+            errors.push(...this.failures)
+        }
+        return errors
+    }
+}
+
+/**
+ * Converts a string value into a value of the given type, if coercion is turned on
+ *
+ * Returns an object with either the value to check or a failure issue.
+ *
+ * @param {*} value
+ * @param {object} optionDefinition
+ * @param {object} typeSpec
+ * @param {string} optionName
+ * @param {(string|number)[]} optionPath
+ * @param {object} state
+ * @return {{value?: *, failure?: object}}
+ * @private
+ */
+function _coerceValue(value, optionDefinition, typeSpec, optionName, optionPath, state) {
+    if (!state.coerce || typeof value !== 'string' || typeSpec.coerce === undefined) {
+        return { value: value }
+    }
+    try {
+        let coercedValue = typeSpec.coerce(value, optionDefinition)
+        state.settings.debug && state.settings.logger.debug(`Value coerced to ${_printValue(coercedValue, state.sensitive)}`)
+        return { value: coercedValue }
+    } catch (e) {
+        return {
+            failure: _createIssue(state, optionPath, ErrorCode.COERCION_FAILED,
+                `${optionName} could not be converted to ${typeSpec.describe(optionDefinition)}, ${_printValue(value, state.sensitive)} given`,
+                { expected: typeSpec.name, received: value, cause: e })
+        }
+    }
+}
+
+/**
+ * Checks a value against the type in an option definition.
+ *
+ * Returns an object { failures: <array of issues>, value: <clean value> }, or a promise that resolves to it
+ * when checking asynchronously
+ *
+ * @param {*} value
+ * @param {object} optionDefinition
+ * @param {object} typeSpec
+ * @param {string} optionName
+ * @param {(string|number)[]} optionPath
+ * @param {object} state
+ * @return {{failures: object[], value: *}|Promise}
+ * @private
+ */
+function _checkType(value, optionDefinition, typeSpec, optionName, optionPath, state) {
+    let context = new TypeContext(optionName, optionPath, state)
+    if (context.async) {
+        return _checkTypeAsync(value, optionDefinition, typeSpec, context)
+    }
+    let checkResult
+    try {
+        checkResult = _getSyncResult(typeSpec.check(value, optionDefinition, context))
+    } catch (e) {
+        checkResult = _getTypeExceptionResult(e, 'checked', optionDefinition, typeSpec, context)
+    }
+    if (checkResult !== true) {
+        return _getTypeFailureResult(checkResult, value, optionDefinition, typeSpec, context)
+    }
+    if (typeSpec.normalize === undefined) {
+        return { failures: context.collectNestedIssues(), value: value }
+    }
+    let cleanValue
+    try {
+        cleanValue = _getSyncResult(typeSpec.normalize(value, optionDefinition, context))
+    } catch (e) {
+        return _getTypeFailureResult(_getTypeExceptionResult(e, 'normalized', optionDefinition, typeSpec, context), value, optionDefinition, typeSpec, context)
+    }
+    return { failures: context.collectNestedIssues(), value: cleanValue }
+}
+
+/**
+ * The same as _checkType when checking asynchronously
+ * @private
+ */
+async function _checkTypeAsync(value, optionDefinition, typeSpec, context) {
+    let checkResult
+    try {
+        checkResult = await typeSpec.check(value, optionDefinition, context)
+    } catch (e) {
+        checkResult = _getTypeExceptionResult(e, 'checked', optionDefinition, typeSpec, context)
+    }
+    if (checkResult !== true) {
+        return _getTypeFailureResult(checkResult, value, optionDefinition, typeSpec, context)
+    }
+    if (typeSpec.normalize === undefined) {
+        return { failures: context.collectNestedIssues(), value: value }
+    }
+    let cleanValue
+    try {
+        cleanValue = await typeSpec.normalize(value, optionDefinition, context)
+    } catch (e) {
+        return _getTypeFailureResult(_getTypeExceptionResult(e, 'normalized', optionDefinition, typeSpec, context), value, optionDefinition, typeSpec, context)
+    }
+    return { failures: context.collectNestedIssues(), value: cleanValue }
+}
+
+/**
+ * Returns the failure for an exception thrown by a type's check or normalize function
+ *
+ * @param {*} e
+ * @param {string} action  'checked' or 'normalized'
+ * @param {object} optionDefinition
+ * @param {object} typeSpec
+ * @param {TypeContext} context
+ * @return {{message: string, cause: *}}
+ * @private
+ */
+function _getTypeExceptionResult(e, action, optionDefinition, typeSpec, context) {
+    _throwIfStackOverflow(e)
+    return {
+        message: _appendExceptionMessage(`${context.optionName} could not be ${action} as ${typeSpec.describe(optionDefinition)}`, e, context.state),
+        cause: e
+    }
+}
+
+/**
+ * Returns the result of _checkType for a value that is not valid, given the result of the type's check function
+ * or the failure for an exception
+ *
+ * @param {false|string|object} checkResult
+ * @param {*} value
+ * @param {object} optionDefinition
+ * @param {object} typeSpec
+ * @param {TypeContext} context
+ * @return {{failures: object[], value: *}}
+ * @private
+ */
+function _getTypeFailureResult(checkResult, value, optionDefinition, typeSpec, context) {
+    let failure = {
+        code: ErrorCode.TYPE_MISMATCH,
+        message: undefined,
+        expected: typeSpec.name,
+        cause: undefined
+    }
+    if (typeof checkResult === 'string') {
+        failure.message = checkResult
+    } else if (typeof checkResult === 'object' && checkResult !== null) {
+        Object.assign(failure, checkResult)
+    }
+    if (failure.message === undefined) {
+        failure.message = `${context.optionName} should be ${typeSpec.describe(optionDefinition)}, ${_printValue(value, context.state.sensitive)} given`
+    }
+    let issue = _createIssue(context.state, context.optionPath, failure.code, failure.message,
+        { expected: failure.expected, received: value, cause: failure.cause })
+    context.collectNestedIssues()
+    return { failures: [ issue ], value: value }
+}
+
+/**
+ * Returns a copy of a definition to be used as an alternative in a union
+ *
+ * Defaults are removed from the copy and strictDefault is set so that invalid values do not
+ * match alternatives by falling back to a default. Overrides with an undefined value remove the property from the copy.
+ *
+ * @param {object} definition
+ * @param {object} overrides
+ * @return {object}
+ * @private
+ */
+function _getAlternativeDefinition(definition, overrides) {
+    let alternative = Object.assign({}, definition, overrides)
+    if (referencedDefinitions.has(definition)) {
+        referencedDefinitions.set(alternative, referencedDefinitions.get(definition))
+    }
+    delete alternative.default
+    delete alternative.defaultFactory
+    // so that defaults derived from an object definition are not used either
+    alternative.strictDefault = true
+    for (const key in overrides) {
+        if (overrides.hasOwnProperty(key) && overrides[key] === undefined) {
+            delete alternative[key]
+        }
+    }
+    return alternative
+}
+
+/**
+ * Checks a value against a list of alternative definitions.
+ *
+ * The clean value is the one given by the first matching alternative. If none matches, the only
+ * failure returned summarises the errors found in each alternative.
+ *
+ * @param {string} optionName
+ * @param {(string|number)[]} optionPath
+ * @param {*} value
+ * @param {function[]} alternatives  the validators of the alternative definitions
+ * @param {object} state
+ * @return {{failures: object[], value: *}|Promise}
+ * @private
+ */
+function _checkAlternatives(optionName, optionPath, value, alternatives, state) {
+    let summaries = []
+    let checkAlternative = (i) => {
+        if (i === alternatives.length) {
+            let issue = _createIssue(state, optionPath, ErrorCode.NO_MATCHING_ALTERNATIVE,
+                `${optionName} does not match any of the allowed alternatives: ${summaries.join('; ')}`, { received: value })
+            return { failures: [ issue ], value: value }
+        }
+        // warnings and hook calls are only reported for the matching alternative
+        let alternativeState = _getNestedState(state, state.path, state.context)
+        alternativeState.warnings = []
+        alternativeState.unknown = []
+        alternativeState.deprecations = []
+        let hookCalls = []
+        alternativeState.settings = Object.assign({}, state.settings, {
+            verbose: false,
+            hooks: {
+                onDefaultAssigned: (...args) => { hookCalls.push([ 'onDefaultAssigned', args ]) },
+                onTransform: (...args) => { hookCalls.push([ 'onTransform', args ]) }
+            }
+        })
+        return _then(alternatives[i](optionName, optionPath, value, alternativeState), state.settings.async, (result) => {
+            if (result.valid) {
+                hookCalls.forEach( ([ hookName, args ]) => { _callHook(state, args[0], hookName, ...args) })
+                alternativeState.warnings.forEach( (issue) => { _addWarning(state, issue) })
+                state.unknown.push(...alternativeState.unknown)
+                alternativeState.deprecations.forEach( (issue) => { _addDeprecation(state, issue) })
+                return { failures: [], value: result.value }
+            }
+            summaries.push(`(${i+1}) ${alternativeState.errors.map( (issue) => issue.message).join(', ')}`)
+            return checkAlternative(i + 1)
+        })
+    }
+    return checkAlternative(0)
+}
+
+/**
+ * Checks an object against the definition in the option's oneOf object that corresponds to the value
+ * of its discriminator property.
+ *
+ * The discriminator property is kept in the clean object even if the selected definition does not
+ * include it.
+ *
+ * @param {string} optionName
+ * @param {(string|number)[]} optionPath
+ * @param {*} value
+ * @param {string} discriminator
+ * @param {object} alternatives  the validators of the oneOf definitions, { discriminatorValue: validator, ... }
+ * @param {object} state
+ * @return {{failures: object[], value: *}|Promise}
+ * @private
+ */
+function _checkDiscriminatedUnion(optionName, optionPath, value, discriminator, alternatives, state) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        let issue = _createIssue(state, optionPath, ErrorCode.TYPE_MISMATCH, `${optionName} must be an object, ${_printValue(value, state.sensitive)} given`,
+            { expected: 'object', received: value })
+        return { failures: [ issue ], value: value }
+    }
+    let discriminatorValue = value[discriminator]
+    if (typeof discriminatorValue !== 'string' || !alternatives.hasOwnProperty(discriminatorValue)) {
+        let allowedValues = Object.keys(alternatives)
+        let issue = _createIssue(state, optionPath.concat([discriminator]), ErrorCode.NO_MATCHING_ALTERNATIVE,
+            `${optionName}.${discriminator} must be one of ${allowedValues.map( (key) => `'${key}'`).join(', ')}; ${_printValue(discriminatorValue, state.sensitive)} given`,
+            { expected: allowedValues, received: discriminatorValue })
+        return { failures: [ issue ], value: value }
+    }
+    let alternativeState = _getNestedState(state, state.path, state.context)
+    return _then(alternatives[discriminatorValue](optionName, optionPath, value, alternativeState), state.settings.async, (result) => {
+        if (!result.valid) {
+            return { failures: alternativeState.errors, value: value }
+        }
+        let cleanValue = result.value
+        if (typeof cleanValue === 'object' && cleanValue !== null && cleanValue[discriminator] === undefined) {
+            cleanValue = Object.assign({ [discriminator]: discriminatorValue }, cleanValue)
+        }
+        return { failures: [], value: cleanValue }
+    })
+}
+
+/**
+ * Looks for a value in a list of allowed values.
+ *
+ * If caseInsensitive is true, strings are compared regardless of case and the value returned
+ * is the allowed one, i.e., its canonical form.
+ *
+ * @param {*} value
+ * @param {*[]} allowedValues
+ * @param {boolean} caseInsensitive
+ * @return {{found: boolean, value?: *}}
+ * @private
+ */
+function _findAllowedValue(value, allowedValues, caseInsensitive) {
+    // includes also finds NaN
+    if (allowedValues.includes(value)) {
+        return { found: true, value: value }
+    }
+    if (caseInsensitive && typeof value === 'string') {
+        let lowerCaseValue = value.toLowerCase()
+        let canonicalValue = allowedValues.find( (allowed) => typeof allowed === 'string' && allowed.toLowerCase() === lowerCaseValue)
+        if (canonicalValue !== undefined) {
+            return { found: true, value: canonicalValue }
+        }
+    }
+    return { found: false }
+}
+
+/**
+ * Returns a check function for values with the given option definition:
+ *   (optionName, optionPath, value, state) => { ... }
+ *
+ * The function returns an object { valid: true|false, value: <clean value> }, or a promise that resolves to it
+ * when checking asynchronously. Errors and warnings are added to the given state. The option name is the name
+ * used in messages.
+ *
+ * Everything that does not depend on the value, e.g. the type specification, the validators for union
+ * alternatives or the list of checks a given value goes through, is worked out here only once. Nested object and element definitions are compiled
+ * the first time they are used.
+ *
+ * Errors in the definition are reported when the option is checked, since definitions given by types, e.g.
+ * in checkObject or checkValue, are not checked when the checker is constructed.
+ *
+ * @param {object} optionDefinition
+ * @param {Map<string, object>|null} types
+ * @return {function}
+ * @private
+ */
+function _compileOptionDefinition(optionDefinition, types) {
+    if (optionDefinition.ref !== undefined) {
+        return _compileReference(optionDefinition, types)
+    }
+    let definitionError = undefined
+    let invalidDefinition = (code, getMessage) => {
+        definitionError = definitionError !== undefined ? definitionError : { code: code, getMessage: getMessage }
+    }
+
+    if (optionDefinition.unknownProperties !== undefined && UNKNOWN_PROPERTIES_POLICIES.indexOf(optionDefinition.unknownProperties) === -1) {
+        invalidDefinition(ErrorCode.INVALID_DEFINITION, (optionName) => {
+            return `Invalid unknownProperties in definition for ${optionName}, need one of ${UNKNOWN_PROPERTIES_POLICIES.map( (policy) => `'${policy}'`).join(', ')}`
+        })
+    }
+
+    let typeSpec = undefined
+    let typeAlternatives = undefined
+    if (Array.isArray(optionDefinition.type)) {
+        // union of types, each type is checked with the rest of the definition
+        if (optionDefinition.type.length === 0 || !optionDefinition.type.every( (type) => typeof type === 'string' && type !== '')) {
+            invalidDefinition(ErrorCode.INVALID_DEFINITION, (optionName) => {
+                return `Invalid type in definition for ${optionName}, need a non-empty array of non-empty strings`
+            })
+        } else {
+            typeAlternatives = optionDefinition.type.map( (type) => {
+                return _compileOptionDefinition(_getAlternativeDefinition(optionDefinition, {
+                    type: type,
+                    anyOf: undefined,
+                    oneOf: undefined,
+                    discriminator: undefined,
+                    customCheck: undefined,
+                    transformFunction: undefined,
+                    refine: undefined
+                }), types)
+            })
+        }
+    } else if (optionDefinition.type !== undefined) {
+        if (typeof optionDefinition.type !== 'string' || optionDefinition.type === '') {
+            invalidDefinition(ErrorCode.INVALID_DEFINITION, (optionName) => {
+                return `Invalid type in definition for ${optionName}, need a non-empty string, ${sPrettyPrint(optionDefinition.type)} given`
+            })
+        } else {
+            typeSpec = _getTypeSpec(optionDefinition.type, types)
+            if (typeSpec === undefined) {
+                invalidDefinition(ErrorCode.UNKNOWN_TYPE, (optionName) => {
+                    return `Unrecognized type '${optionDefinition.type}' in the definition of '${optionName}'`
+                })
+            }
+        }
+    }
+
+    let anyOfAlternatives = undefined
+    if (optionDefinition.anyOf !== undefined) {
+        if (!Array.isArray(optionDefinition.anyOf) || optionDefinition.anyOf.length === 0) {
+            invalidDefinition(ErrorCode.INVALID_DEFINITION, (optionName) => {
+                return `Invalid anyOf in definition for ${optionName}, need a non-empty array of definitions`
+            })
+        } else {
+            anyOfAlternatives = optionDefinition.anyOf.map( (alternative) => _compileOptionDefinition(_getAlternativeDefinition(alternative, {}), types))
+        }
+    }
+
+    let oneOfAlternatives = undefined
+    if (optionDefinition.oneOf !== undefined) {
+        let discriminator = optionDefinition.discriminator
+        if (typeof discriminator !== 'string' || typeof optionDefinition.oneOf !== 'object' || optionDefinition.oneOf === null) {
+            invalidDefinition(ErrorCode.INVALID_DEFINITION, (optionName) => {
+                return `Invalid oneOf in definition for ${optionName}, need a discriminator property name and an object with definitions`
+            })
+        } else {
+            oneOfAlternatives = {}
+            for (const discriminatorValue of Object.keys(optionDefinition.oneOf)) {
+                let definition = optionDefinition.oneOf[discriminatorValue]
+                // named definitions are used as they are
+                let alternative = _getAlternativeDefinition(definition.ref !== undefined ? definition : Object.assign({ type: 'object' }, definition), {})
+                if (alternative.objectDefinition !== undefined && !alternative.objectDefinition.hasOwnProperty(discriminator)) {
+                    // so that the discriminator is not taken as an unknown property
+                    alternative.objectDefinition = Object.assign({ [discriminator]: { literal: discriminatorValue } }, alternative.objectDefinition)
+                }
+                oneOfAlternatives[discriminatorValue] = _compileOptionDefinition(alternative, types)
+            }
+        }
+    }
+
+    let allowedValues = undefined
+    if (optionDefinition.values !== undefined || optionDefinition.hasOwnProperty('literal')) {
+        allowedValues = optionDefinition.hasOwnProperty('literal') ? [ optionDefinition.literal ] : optionDefinition.values
+        if (!Array.isArray(allowedValues) || allowedValues.length === 0) {
+            invalidDefinition(ErrorCode.INVALID_DEFINITION, (optionName) => {
+                return `Invalid values in definition for ${optionName}, need a non-empty array`
+            })
+        }
+    }
+    let caseInsensitive = optionDefinition.caseInsensitive === true
+    let transformFunction = typeof optionDefinition.transformFunction === 'function' ? optionDefinition.transformFunction : undefined
+    let hasDefault = _hasDefault(optionDefinition)
+
+    // returns { valid: true, value: <a new default value> } or an invalid result if the default cannot be built
+    let getDefault = (optionName, optionPath, state) => {
+        if (optionDefinition.defaultFactory !== undefined) {
+            return _tryCall( () => optionDefinition.defaultFactory(), state.settings.async, (defaultValue) => ({ valid: true, value: defaultValue }), (e) => {
+                return _fail(state, optionPath, ErrorCode.NO_DEFAULT, _appendExceptionMessage(`Default factory failed for option ${optionName}`, e, state), { cause: e })
+            })
+        }
+        if (optionDefinition.default !== undefined) {
+            return { valid: true, value: _cloneDefault(optionDefinition.default) }
+        }
+        // default derived from the object definition
+        let nestedState = _getNestedState(state, optionPath, `${state.context} : ${optionName}`)
+        return _then(_getObjectValidator(optionDefinition.objectDefinition, types)({}, nestedState), state.settings.async, (defaultValue) => {
+            if (nestedState.errors.length !== 0) {
+                state.errors.push(...nestedState.errors)
+                return { valid: false }
+            }
+            return { valid: true, value: defaultValue }
+        })
+    }
+
+    let assignDefault = (optionName, optionPath, state, reason) => {
+        return _then(getDefault(optionName, optionPath, state), state.settings.async, (result) => {
+            if (result.valid) {
+                _callHook(state, optionPath, 'onDefaultAssigned', optionPath, reason)
+            }
+            return result
+        })
+    }
+
+    // The checks of a given value, run one after the other until one of them fails, see _runValueChecks.
+    // They take the value's check object, { optionName, optionPath, value, cleanValue, failures, state }, and
+    // return { failures: <array of issues>, value: <clean value> }, or a promise that resolves to it when
+    // checking asynchronously. The type check replaces the check object's value when it is coerced.
+    let valueChecks = []
+    if (typeAlternatives !== undefined) {
+        valueChecks.push( (check) => _checkAlternatives(check.optionName, check.optionPath, check.value, typeAlternatives, check.state))
+    } else if (typeSpec !== undefined) {
+        valueChecks.push( (check) => {
+            let state = check.state
+            state.settings.debug && state.settings.logger.debug(`Type: '${typeSpec.name}'`)
+            if (state.coerce && typeof check.value === 'string') {
+                let coerceResult = _coerceValue(check.value, optionDefinition, typeSpec, check.optionName, check.optionPath, state)
+                if (coerceResult.failure !== undefined) {
+                    return { failures: [ coerceResult.failure ], value: check.cleanValue }
+                }
+                check.value = coerceResult.value
+            }
+            return _checkType(check.value, optionDefinition, typeSpec, check.optionName, check.optionPath, state)
+        })
+    }
+    if (anyOfAlternatives !== undefined) {
+        valueChecks.push( (check) => _checkAlternatives(check.optionName, check.optionPath, check.value, anyOfAlternatives, check.state))
+    }
+    if (oneOfAlternatives !== undefined) {
+        valueChecks.push( (check) => {
+            return _checkDiscriminatedUnion(check.optionName, check.optionPath, check.value, optionDefinition.discriminator, oneOfAlternatives, check.state)
+        })
+    }
+    if (allowedValues !== undefined) {
+        valueChecks.push( (check) => {
+            let state = check.state
+            let allowedValue = _findAllowedValue(check.cleanValue, allowedValues, caseInsensitive)
+            if (allowedValue.found) {
+                return { failures: [], value: allowedValue.value }
+            }
+            // the allowed values of sensitive options, e.g. a literal token, are not shown either
+            let expected = state.sensitive ? 'one of the allowed values' : allowedValues.length === 1 ? sPrettyPrint(allowedValues[0]) :
+                `one of ${allowedValues.map( (allowed) => sPrettyPrint(allowed)).join(', ')}`
+            let issue = _createIssue(state, check.optionPath, ErrorCode.VALUE_NOT_ALLOWED,
+                `${check.optionName} must be ${expected}; ${_printValue(check.cleanValue, state.sensitive)} given`,
+                { expected: state.sensitive ? undefined : allowedValues, received: check.value })
+            return { failures: [ issue ], value: check.cleanValue }
+        })
+    }
+    if (optionDefinition.customCheck !== undefined) {
+        // Perform extra check if no errors found
+        valueChecks.push( (check) => {
+            let state = check.state
+            let value = check.value
+            let getResult = (checkResult, checkException) => {
+                let failures = []
+                if (checkException instanceof PromiseInSyncCheckError) {
+                    failures.push(_createIssue(state, check.optionPath, ErrorCode.CUSTOM_CHECK_FAILED,
+                        `customCheck for option ${check.optionName} returned a promise, use getCleanOptionsAsync`,
+                        { expected: optionDefinition.customCheckDescription, received: value, cause: checkException }))
+                } else if (!checkResult) {
+                    // custom check fails
+                    failures.push(_createIssue(state, check.optionPath, ErrorCode.CUSTOM_CHECK_FAILED,
+                        `${check.optionName} must be ${optionDefinition.customCheckDescription}, ${_printValue(value, state.sensitive)} given`,
+                        { expected: optionDefinition.customCheckDescription, received: value, cause: checkException }))
+                }
+                return { failures: failures, value: check.cleanValue }
+            }
+            return _tryCall( () => optionDefinition.customCheck(value), state.settings.async, (checkResult) => getResult(checkResult, undefined),
+                (e) => getResult(false, e))
+        })
+    }
+    if (optionDefinition.refine !== undefined) {
+        valueChecks.push( (check) => {
+            return _then(_refine(optionDefinition.refine, check.cleanValue, `option ${check.optionName}`, check.optionPath, check.state),
+                check.state.settings.async, (failures) => ({ failures: failures, value: check.cleanValue }))
+        })
+    }
+
+    // returns the result for a value once its checks are done
+    let getCheckResult = (check) => {
+        let { optionName, optionPath, state } = check
+        if (check.failures.length !== 0) {
+            let optionStrictDefault = optionDefinition.strictDefault !== undefined ? optionDefinition.strictDefault : state.settings.strictDefault
+            if (optionStrictDefault || !hasDefault) {
+                state.errors.push(...check.failures)
+                return { valid: false }
+            }
+            check.failures.forEach( (issue) => {
+                let assignedTo = issue.path.length > optionPath.length ? ` to '${optionName}'` : ''
+                let note = state.defaultNote !== undefined ? state.defaultNote : `Default assigned${assignedTo}.`
+                _addWarning(state, Object.assign({}, issue, { message: _appendSentence(issue.message, note) }))
+            })
+            return assignDefault(optionName, optionPath, state, 'invalid')
+        }
+        if (transformFunction === undefined) {
+            return { valid: true, value: check.cleanValue }
+        }
+
+        // apply transform function
+        state.settings.debug && state.settings.logger.debug(`Applying transform function`)
+        let valueToTransform = check.cleanValue
+        return _tryCall( () => transformFunction(valueToTransform), state.settings.async, (cleanValue) => {
+            if (cleanValue === undefined) {
+                return _fail(state, optionPath, ErrorCode.TRANSFORM_FAILED, `Transform function returned undefined value for option ${optionName}`)
+            }
+            _callHook(state, optionPath, 'onTransform', optionPath, ...(state.sensitive ? [ REDACTED_VALUE, REDACTED_VALUE ] : [ valueToTransform, cleanValue ]))
+            return { valid: true, value: cleanValue }
+        }, (e) => {
+            return _fail(state, optionPath, ErrorCode.TRANSFORM_FAILED,
+                _appendExceptionMessage(`Transform function failed for option ${optionName}`, e, state), { received: valueToTransform, cause: e })
+        })
+    }
+
+    return function checkOption(optionName, optionPath, value, state) {
+        let debug = state.settings.debug
+        if (definitionError !== undefined) {
+            return _fail(state, optionPath, definitionError.code, definitionError.getMessage(optionName))
+        }
+        if (optionDefinition.coerce !== undefined && optionDefinition.coerce !== state.coerce) {
+            // the option's coerce flag applies to its nested definitions as well
+            state = Object.assign({}, state, { coerce: optionDefinition.coerce })
+        }
+        if (optionDefinition.unknownProperties !== undefined && optionDefinition.unknownProperties !== state.unknownProperties) {
+            // as with coerce, the policy applies to nested definitions as well
+            state = Object.assign({}, state, { unknownProperties: optionDefinition.unknownProperties })
+        }
+        if (optionDefinition.sensitive === true && !state.sensitive) {
+            // values nested in a sensitive option are sensitive as well
+            state = Object.assign({}, state, { sensitive: true })
+        }
+        debug && state.settings.logger.debug(`Checking option '${optionName}', value: ${_printValue(value, state.sensitive)}`)
+
+        if (value === undefined) {
+            // optionName is NOT in optionsObject
+            if (optionDefinition.required) {
+                return _fail(state, optionPath, ErrorCode.REQUIRED_MISSING, `Required option '${optionName}' not found`, { received: value })
+            }
+            if (!hasDefault) {
+                return _fail(state, optionPath, ErrorCode.NO_DEFAULT, `No default defined for option '${optionName}'`)
+            }
+            debug && state.settings.logger.debug(`Assigning default`)
+            return assignDefault(optionName, optionPath, state, 'missing')
+        }
+        if (value === null && optionDefinition.nullable === true) {
+            return { valid: true, value: null }
+        }
+
+        // optionName is present in optionsObject
+        // failures collects the issues that make the value invalid
+        let check = { optionName: optionName, optionPath: optionPath, value: value, cleanValue: value, failures: [], state: state }
+        return _then(_runValueChecks(valueChecks, check, 0), state.settings.async, getCheckResult)
+    }
+}
+
+/**
+ * Runs the checks of a value compiled by _compileOptionDefinition, starting with the one at the given index, until
+ * one of them finds failures
+ *
+ * Returns the value's check object, or a promise that resolves to it when checking asynchronously.
+ *
+ * @param {function[]} valueChecks
+ * @param {object} check
+ * @param {number} index
+ * @return {object|Promise}
+ * @private
+ */
+function _runValueChecks(valueChecks, check, index) {
+    for (let i = index; i < valueChecks.length && check.failures.length === 0; i++) {
+        let result = valueChecks[i](check)
+        if (check.state.settings.async) {
+            return Promise.resolve(result).then( (resolvedResult) => {
+                check.failures = resolvedResult.failures
+                check.cleanValue = resolvedResult.value
+                return _runValueChecks(valueChecks, check, i + 1)
+            })
+        }
+        check.failures = result.failures
+        check.cleanValue = result.value
+    }
+    return check
+}
+
+/**
+ * Returns a check function for an option definition with a ref, see _compileOptionDefinition
+ *
+ * The named definition is only compiled when the first value is checked, so that recursive definitions do not
+ * have to be compiled all the way down. The objects checked against named definitions are kept in state.references,
+ * so that a value that contains itself is reported instead of being checked forever. Values nested so deeply that
+ * the stack runs out before maxDepth is reached are reported as too deep as well.
+ *
+ * @param {object} optionDefinition
+ * @param {Map<string, object>|null} types
+ * @return {function}
+ * @private
+ */
+function _compileReference(optionDefinition, types) {
+    let resolvedDefinition = _resolveReference(optionDefinition)
+    let validator = undefined
+    return function checkReference(optionName, optionPath, value, state) {
+        if (resolvedDefinition === optionDefinition) {
+            return _fail(state, optionPath, ErrorCode.INVALID_DEFINITION, `Unknown definition '${optionDefinition.ref}' in the definition of '${optionName}'`)
+        }
+        if (typeof value === 'object' && value !== null) {
+            if (state.references.indexOf(value) !== -1) {
+                return _fail(state, optionPath, ErrorCode.CIRCULAR_REFERENCE, `Circular reference in option ${optionName}, the value contains itself`)
+            }
+            if (state.references.length >= state.settings.maxDepth) {
+                return _fail(state, optionPath, ErrorCode.MAX_DEPTH_EXCEEDED,
+                    `Option ${optionName} is nested too deeply, the maximum depth is ${state.settings.maxDepth}`)
+            }
+            state = Object.assign({}, state, { references: state.references.concat([ value ]) })
+        }
+        if (validator === undefined) {
+            validator = _getOptionValidator(resolvedDefinition, types)
+        }
+        return _tryCall( () => validator(optionName, optionPath, value, state), state.settings.async, (result) => result, (e) => {
+            _throwIfStackOverflow(e, false)
+            return _fail(state, optionPath, ErrorCode.MAX_DEPTH_EXCEEDED, `Option ${optionName} is nested too deeply to be checked`)
+        })
+    }
+}
+
+/**
+ * Throws the given exception again if it is caused by running out of stack, so that it is not reported as a failure
+ * of a user function or type, or, with overflow false, if it is not
+ *
+ * @param {*} e
+ * @param {boolean} overflow
+ * @private
+ */
+function _throwIfStackOverflow(e, overflow = true) {
+    // no regular expressions here or in the reporting of issues, compiling them without stack left can crash the engine
+    let isStackOverflow = e instanceof Error && typeof e.message === 'string' &&
+        (e.message.includes('call stack') || e.message.includes('too much recursion'))
+    if (isStackOverflow === overflow) {
+        throw e
+    }
+}
+
+/**
+ * Returns an options definition in which the option definitions with a ref are replaced by the definitions
+ * they stand for, or the given one if there are no refs in it
+ *
+ * @param {object} optionsDefinition
+ * @return {object}
+ * @private
+ */
+function _getResolvedOptionsDefinition(optionsDefinition) {
+    let optionNames = Object.keys(optionsDefinition)
+    if (optionNames.every( (optionName) => optionsDefinition[optionName].ref === undefined)) {
+        return optionsDefinition
+    }
+    let resolvedDefinition = {}
+    optionNames.forEach( (optionName) => { resolvedDefinition[optionName] = _resolveReference(optionsDefinition[optionName]) })
+    return resolvedDefinition
+}
+
+/**
+ * Returns true if the option has a default: a default value, a default factory or a default
+ * derived from its object definition
+ *
+ * @param {object} definition
+ * @param {Set<object>} visiting  the definitions whose derived default is being looked into
+ * @return {boolean}
+ * @private
+ */
+function _hasDefault(definition, visiting = new Set()) {
+    definition = _resolveReference(definition)
+    return definition.default !== undefined || definition.defaultFactory !== undefined || _hasDerivedDefault(definition, visiting)
+}
+
+/**
+ * Returns true if the default of an object option can be derived from its object definition, i.e.,
+ * if the option is not required, has no explicit default and all the options in its object
+ * definition have defaults.
+ *
+ * A recursive named definition cannot derive its default from itself.
+ *
+ * @param {object} definition
+ * @param {Set<object>} visiting  the definitions whose derived default is being looked into
+ * @return {boolean}
+ * @private
+ */
+function _hasDerivedDefault(definition, visiting = new Set()) {
+    if (definition.required || definition.default !== undefined || definition.defaultFactory !== undefined ||
+        !_isTypeDefinition(definition, [ 'object']) || typeof definition.objectDefinition !== 'object' || definition.objectDefinition === null ||
+        visiting.has(definition)) {
+        return false
+    }
+    visiting.add(definition)
+    let ruleNames = _getCrossFieldOptionNames(definition.objectDefinition)
+    let hasDerivedDefault = Object.keys(definition.objectDefinition).every( (optionName) => {
+        let nestedDefinition = definition.objectDefinition[optionName]
+        return typeof nestedDefinition === 'object' && nestedDefinition !== null &&
+            (_hasDefault(nestedDefinition, visiting) || _isOmittable(nestedDefinition, ruleNames.has(optionName), visiting))
+    })
+    visiting.delete(definition)
+    return hasDerivedDefault
+}
+
+/**
+ * Returns true if the option is left out of the clean options when it is not given: optional options and
+ * options in cross-field rules that have no default
+ *
+ * @param {object} definition
+ * @param {boolean} inCrossFieldRule
+ * @param {Set<object>} visiting  see _hasDerivedDefault
+ * @return {boolean}
+ * @private
+ */
+function _isOmittable(definition, inCrossFieldRule, visiting = new Set()) {
+    definition = _resolveReference(definition)
+    return (definition.optional === true || inCrossFieldRule) && !definition.required && !_hasDefault(definition, visiting)
+}
+
+/**
+ * Returns a deep copy of the arrays, plain objects, dates, maps and sets in a default value, so that
+ * clean options objects never share them. Other objects, e.g., class instances, and functions are not copied.
+ *
+ * @param {*} value
+ * @return {*}
+ * @private
+ */
+function _cloneDefault(value) {
+    if (typeof value !== 'object' || value === null) {
+        return value
+    }
+    if (Array.isArray(value)) {
+        return value.map(_cloneDefault)
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime())
+    }
+    if (value instanceof Map) {
+        return new Map(Array.from(value, ([ key, mapValue ]) => [ key, _cloneDefault(mapValue) ]))
+    }
+    if (value instanceof Set) {
+        return new Set(Array.from(value, _cloneDefault))
+    }
+    let prototype = Object.getPrototypeOf(value)
+    if (prototype !== Object.prototype && prototype !== null) {
+        return value
+    }
+    let copy = Object.create(prototype)
+    for (const key of Object.keys(value)) {
+        copy[key] = _cloneDefault(value[key])
+    }
+    return copy
+}
+
+/**
+ * Creates an issue object
+ *
+ * The optional details object can have the properties expected, received, cause and suggestion, which
+ * are only added to the issue if they are defined. If the state or details.sensitive flag is set, the
+ * received value is redacted, also where the message prints it, and the cause is left out.
+ *
+ * @param {object} state
+ * @param {(string|number)[]} path
+ * @param {string} code
+ * @param {string} message
+ * @param {object} details
+ * @return {object}
+ * @private
+ */
+function _createIssue(state, path, code, message, details = {}) {
+    let issue = {
+        path: path,
+        code: code,
+        message: message,
+        context: state.context
+    }
+    for (const key of [ 'expected', 'received', 'cause', 'suggestion']) {
+        if (details[key] !== undefined) {
+            issue[key] = details[key]
+        }
+    }
+    if (state.sensitive || details.sensitive === true) {
+        // messages from custom types or functions may still print the value
+        if (typeof issue.received === 'string' && issue.received !== '') {
+            issue.message = issue.message.split(sPrettyPrint(issue.received)).join(REDACTED_VALUE)
+        } else if (issue.received !== undefined) {
+            issue.message = issue.message.split(`${sPrettyPrint(issue.received)} given`).join(`${REDACTED_VALUE} given`)
+        }
+        if (issue.received !== undefined) {
+            issue.received = REDACTED_VALUE
+        }
+        // exception messages often include the value as well
+        delete issue.cause
+    }
+    return issue
+}
+
+/**
+ * Adds an error to the state and returns an invalid check result
+ * @private
+ */
+function _fail(state, path, code, message, details = {}) {
+    state.errors.push(_createIssue(state, path, code, message, details))
+    return { valid: false }
+}
+
+/**
+ * Sets a property of an object built out of given values, defining it so that a '__proto__' key, e.g. from
+ * JSON.parse, becomes an own property instead of replacing the object's prototype
+ *
+ * @param {object} object
+ * @param {string} key
+ * @param {*} value
+ * @private
+ */
+function _setOwnProperty(object, key, value) {
+    Object.defineProperty(object, key, { value: value, enumerable: true, writable: true, configurable: true })
+}
+
+/**
+ * Appends a sentence to an issue message, with a period unless the message already ends with a punctuation mark
+ *
+ * @param {string} message
+ * @param {string} sentence
+ * @return {string}
+ * @private
+ */
+function _appendSentence(message, sentence) {
+    // no regular expression, see _throwIfStackOverflow
+    return message !== '' && '.?!'.includes(message.charAt(message.length - 1)) ? `${message} ${sentence}` : `${message}. ${sentence}`
+}
+
+/**
+ * Appends the message of an exception thrown by a user function to an issue message. It is left out for sensitive
+ * values, since exception messages often include the value.
+ *
+ * @param {string} message
+ * @param {Error} e
+ * @param {object} state
+ * @return {string}
+ * @private
+ */
+function _appendExceptionMessage(message, e, state) {
+    return state.sensitive ? message : `${message}: ${e.message}`
+}
+
+function _addWarning(state, issue) {
+    state.settings.verbose && state.settings.logger.warn(`${issue.context} : ${issue.message}`)
+    state.warnings.push(issue)
+    _callHook(state, issue.path, 'onWarning', issue)
+}
+
+/**
+ * Calls one of the checker's hooks, if given. Exceptions thrown by the hook are reported as errors at the given path
+ *
+ * @param {object} state
+ * @param {Array} path
+ * @param {string} hookName  'onDefaultAssigned', 'onTransform' or 'onWarning'
+ * @param {...*} args
+ * @private
+ */
+function _callHook(state, path, hookName, ...args) {
+    let hooks = state.settings.hooks
+    if (hooks !== undefined && typeof hooks[hookName] === 'function') {
+        try {
+            hooks[hookName](...args)
+        } catch (e) {
+            state.errors.push(_createIssue(state, path, ErrorCode.HOOK_FAILED, _appendExceptionMessage(`Hook ${hookName} failed`, e, state), { cause: e }))
+        }
+    }
+}
+
+/**
+ * Adds a deprecation to the state and logs it if verbose, only once for the messages in settings.loggedDeprecations
+ * @private
+ */
+function _addDeprecation(state, issue) {
+    let message = `${issue.context} : ${issue.message}`
+    let loggedDeprecations = state.settings.loggedDeprecations
+    if (state.settings.verbose && (loggedDeprecations === undefined || !loggedDeprecations.has(message))) {
+        loggedDeprecations !== undefined && loggedDeprecations.add(message)
+        state.settings.logger.warn(message)
+    }
+    state.deprecations.push(issue)
+}
+
+/**
+ * Assigns to the target object only the properties of the source object that are defined
+ *
+ * @param {object} target
+ * @param {object} source
+ * @return {object} the target object
+ * @private
+ */
+function _assignDefined(target, source) {
+    for (const key in source) {
+        if (source.hasOwnProperty(key) && source[key] !== undefined) {
+            target[key] = source[key]
+        }
+    }
+    return target
+}
+
+/**
+ * Returns a string representation of an option path, e.g. 'items[3].name'
+ *
+ * @param {(string|number)[]} path
+ * @return {string}
+ * @private
+ */
+function _pathToString(path) {
+    return path.map( (element, i) => {
+        if (typeof element === 'number') {
+            return `[${element}]`
+        }
+        return i === 0 ? element : `.${element}`
+    }).join('')
+}
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema'
+
+/**
+ * JSON Schema keywords that do not affect validation and are ignored when translating from JSON Schema
+ */
+const JSON_SCHEMA_ANNOTATIONS = [ '$schema', '$id', '$comment', 'title', 'description', 'examples', 'deprecated', 'readOnly', 'writeOnly']
+
+function _getOnUnsupportedPolicy(options, contextStr) {
+    let policy = options.onUnsupported !== undefined ? options.onUnsupported : 'error'
+    if ([ 'error', 'warn', 'ignore'].indexOf(policy) === -1) {
+        throw new OptionsCheckerError(`${contextStr} : onUnsupported must be 'error', 'warn' or 'ignore', ${sPrettyPrint(policy)} given`,
+            { code: ErrorCode.INVALID_DEFINITION, received: policy, context: contextStr })
+    }
+    return policy
+}
+
+/**
+ * Reports a list of features that could not be translated according to the given policy
+ *
+ * @param {{path: (string|number)[], feature: string}[]} unsupported
+ * @param {string} policy
+ * @param {string} messagePrefix
+ * @param {string} contextStr
+ * @param {object} logger  used to report the features with the 'warn' policy
+ * @private
+ */
+function _reportUnsupportedFeatures(unsupported, policy, messagePrefix, contextStr, logger) {
+    if (unsupported.length === 0 || policy === 'ignore') {
+        return
+    }
+    let featureList = unsupported.map( (item) => {
+        return item.path.length === 0 ? item.feature : `${item.feature} in '${_pathToString(item.path)}'`
+    }).join(', ')
+    let message = `${contextStr} : ${messagePrefix}: ${featureList}`
+    if (policy === 'warn') {
+        logger.warn(message)
+        return
+    }
+    throw new OptionsCheckerError(message, {
+        optionPath: unsupported[0].path,
+        code: ErrorCode.UNSUPPORTED_FEATURE,
+        received: unsupported,
+        context: contextStr
+    })
+}
+
+/**
+ * Returns true if the given value can be represented in JSON
+ *
+ * @param {*} value
+ * @return {boolean}
+ * @private
+ */
+function _isJsonValue(value) {
+    switch (typeof value) {
+        case 'string':
+        case 'boolean':
+            return true
+
+        case 'number':
+            return isFinite(value)
+
+        case 'object':
+            if (value === null) {
+                return true
+            }
+            if (Array.isArray(value)) {
+                return value.every( (element) => _isJsonValue(element))
+            }
+            if (Object.getPrototypeOf(value) !== Object.prototype) {
+                return false
+            }
+            return Object.keys(value).every( (key) => _isJsonValue(value[key]))
+    }
+    return false
+}
+
+function _optionsDefinitionToJsonSchema(optionsDefinition, path, unsupported, types, formats) {
+    let schema = { type: 'object', properties: {} }
+    let required = []
+    let dependentRequired = {}
+    let ruleNames = _getCrossFieldOptionNames(optionsDefinition)
+    for (const optionName in optionsDefinition) {
+        if (!optionsDefinition.hasOwnProperty(optionName)) {
+            continue
+        }
+        let optionDefinition = optionsDefinition[optionName]
+        // the annotations of named definitions are in their own schemas
+        schema.properties[optionName] = _addJsonSchemaAnnotations(
+            _optionDefinitionToJsonSchema(optionDefinition, path.concat([optionName]), unsupported, types, formats), optionDefinition)
+        let resolvedDefinition = _resolveReference(optionDefinition)
+        if (resolvedDefinition.required || (!_hasDefault(optionDefinition) && !_isOmittable(optionDefinition, ruleNames.has(optionName)))) {
+            required.push(optionName)
+        }
+        if (resolvedDefinition.implies !== undefined) {
+            dependentRequired[optionName] = _getOptionNameList(resolvedDefinition.implies).slice()
+        }
+    }
+    // aliases and old names accept the same values as their option
+    _getOtherOptionNames(_getResolvedOptionsDefinition(optionsDefinition)).forEach( (otherName) => {
+        schema.properties[otherName.name] = Object.assign({}, schema.properties[otherName.optionName], otherName.renamed ? { deprecated: true } : {})
+    })
+    if (required.length !== 0) {
+        schema.required = required
+    }
+    if (Object.keys(dependentRequired).length !== 0) {
+        schema.dependentRequired = dependentRequired
+    }
+    return schema
+}
+
+/**
+ * Adds the deprecated flag, description and examples in an option definition to the option's schema and returns it.
+ * The schema of a sensitive option is replaced by a redacted copy, see _getRedactedJsonSchema.
+ *
+ * @param {object} schema
+ * @param {object} optionDefinition
+ * @return {object}
+ * @private
+ */
+function _addJsonSchemaAnnotations(schema, optionDefinition) {
+    if (optionDefinition.deprecated !== undefined && optionDefinition.deprecated !== false) {
+        schema.deprecated = true
+    }
+    if (optionDefinition.description !== undefined) {
+        schema.description = optionDefinition.description
+    }
+    if (optionDefinition.examples !== undefined && _isJsonValue(optionDefinition.examples)) {
+        schema.examples = optionDefinition.examples.slice()
+    }
+    if (optionDefinition.sensitive === true) {
+        return Object.assign(_getRedactedJsonSchema(schema), { writeOnly: true })
+    }
+    return schema
+}
+
+/**
+ * Returns a copy of the schema of a sensitive option without defaults and examples, also in its subschemas
+ *
+ * @param {*} schema
+ * @return {*}
+ * @private
+ */
+function _getRedactedJsonSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(_getRedactedJsonSchema)
+    }
+    if (typeof schema !== 'object' || schema === null) {
+        return schema
+    }
+    let redactedSchema = {}
+    for (const keyword of Object.keys(schema)) {
+        if (keyword === 'properties') {
+            // property names are not keywords
+            redactedSchema.properties = {}
+            for (const name of Object.keys(schema.properties)) {
+                redactedSchema.properties[name] = _getRedactedJsonSchema(schema.properties[name])
+            }
+        } else if (keyword !== 'default' && keyword !== 'examples') {
+            redactedSchema[keyword] = _getRedactedJsonSchema(schema[keyword])
+        }
+    }
+    return redactedSchema
+}
+
+function _optionDefinitionToJsonSchema(optionDefinition, path, unsupported, types, formats) {
+    let schema = {}
+    let reportUnsupported = (feature) => { unsupported.push({ path: path, feature: feature }) }
+    let alternativeToJsonSchema = (definition, overrides) => {
+        return _optionDefinitionToJsonSchema(_getAlternativeDefinition(definition, overrides), path, unsupported, types, formats)
+    }
+    if (optionDefinition.ref !== undefined) {
+        schema.$ref = `#/$defs/${optionDefinition.ref}`
+    }
+    // each union is translated into a list of anyOf alternatives
+    let unions = []
+    if (Array.isArray(optionDefinition.type)) {
+        unions.push(optionDefinition.type.map( (type) => {
+            return alternativeToJsonSchema(optionDefinition, {
+                type: type,
+                anyOf: undefined,
+                oneOf: undefined,
+                discriminator: undefined,
+                customCheck: undefined,
+                transformFunction: undefined,
+                refine: undefined
+            })
+        }))
+    } else if (optionDefinition.type !== undefined) {
+        let typeSpec = typeof optionDefinition.type === 'string' ? _getTypeSpec(optionDefinition.type, types) : undefined
+        if (typeSpec === undefined) {
+            reportUnsupported(`type ${sPrettyPrint(optionDefinition.type)}`)
+        } else if (typeSpec.toJsonSchema === undefined) {
+            reportUnsupported(`type '${typeSpec.name}'`)
+        } else {
+            Object.assign(schema, typeSpec.toJsonSchema(optionDefinition, {
+                optionPath: path,
+                unsupported: reportUnsupported,
+                formats: formats,
+                objectToJsonSchema: (optionsDefinition) => {
+                    return _optionsDefinitionToJsonSchema(optionsDefinition, path, unsupported, types, formats)
+                },
+                toJsonSchema: (definition, key) => {
+                    return _optionDefinitionToJsonSchema(definition, key === undefined ? path : path.concat([key]), unsupported, types, formats)
+                }
+            }))
+        }
+    }
+    if (Array.isArray(optionDefinition.anyOf)) {
+        unions.push(optionDefinition.anyOf.map( (alternative) => alternativeToJsonSchema(alternative, {})))
+    }
+    if (unions.length === 1) {
+        schema.anyOf = unions[0]
+    } else if (unions.length > 1) {
+        schema.allOf = unions.map( (union) => { return { anyOf: union } })
+    }
+    if (typeof optionDefinition.oneOf === 'object' && optionDefinition.oneOf !== null) {
+        let discriminator = optionDefinition.discriminator
+        schema.oneOf = Object.keys(optionDefinition.oneOf).map( (key) => {
+            let alternativeSchema = alternativeToJsonSchema(Object.assign({ type: 'object' }, optionDefinition.oneOf[key]), {})
+            let properties = alternativeSchema.properties !== undefined ? alternativeSchema.properties : {}
+            let required = alternativeSchema.required !== undefined ? alternativeSchema.required : []
+            alternativeSchema.properties = Object.assign({}, properties, { [discriminator]: Object.assign({}, properties[discriminator], { const: key }) })
+            alternativeSchema.required = [ discriminator ].concat(required.filter( (name) => name !== discriminator))
+            return alternativeSchema
+        })
+    }
+    if (optionDefinition.hasOwnProperty('literal')) {
+        schema.const = optionDefinition.literal
+    } else if (Array.isArray(optionDefinition.values)) {
+        schema.enum = optionDefinition.values.slice()
+    }
+    if (optionDefinition.caseInsensitive) {
+        reportUnsupported('caseInsensitive')
+    }
+    if (optionDefinition.nullable === true) {
+        schema = { anyOf: [ schema, { type: 'null' } ] }
+    }
+    if (optionDefinition.default !== undefined && !optionDefinition.required) {
+        if (_isJsonValue(optionDefinition.default)) {
+            schema.default = optionDefinition.default
+        } else {
+            reportUnsupported('default')
+        }
+    }
+    for (const feature of [ 'customCheck', 'transformFunction', 'defaultFactory', 'requiredIf', 'conflictsWith', 'refine']) {
+        if (optionDefinition[feature] !== undefined) {
+            reportUnsupported(feature)
+        }
+    }
+    return schema
+}
+
+/**
+ * Returns the type of a JSON Schema, inferring 'object' and 'array' from the keywords
+ * used if the schema has no type
+ *
+ * @param {object} schema
+ * @return {*}
+ * @private
+ */
+function _getJsonSchemaType(schema) {
+    if (schema.type !== undefined) {
+        return schema.type
+    }
+    if (schema.properties !== undefined) {
+        return 'object'
+    }
+    if (schema.items !== undefined) {
+        return 'array'
+    }
+    return undefined
+}
+
+function _jsonSchemaToOptionsDefinition(schema, path, unsupported) {
+    let optionsDefinition = {}
+    let requiredProperties = Array.isArray(schema.required) ? schema.required : []
+    let properties = schema.properties !== undefined ? schema.properties : {}
+    for (const propertyName in properties) {
+        if (!properties.hasOwnProperty(propertyName)) {
+            continue
+        }
+        optionsDefinition[propertyName] = _jsonSchemaToOptionDefinition(properties[propertyName], path.concat([propertyName]),
+            unsupported, requiredProperties.indexOf(propertyName) !== -1)
+    }
+    return optionsDefinition
+}
+
+/**
+ * Adds to the unsupported list the keywords in the given schema that are not annotations
+ * or in the list of handled keywords
+ * @private
+ */
+function _reportUnhandledJsonSchemaKeywords(schema, handledKeywords, path, unsupported) {
+    for (const keyword in schema) {
+        if (schema.hasOwnProperty(keyword) && handledKeywords.indexOf(keyword) === -1 && JSON_SCHEMA_ANNOTATIONS.indexOf(keyword) === -1) {
+            unsupported.push({ path: path, feature: keyword })
+        }
+    }
+}
+
+function _jsonSchemaToOptionDefinition(schema, path, unsupported, required) {
+    let optionDefinition = {}
+    let reportUnsupported = (feature) => { unsupported.push({ path: path, feature: feature }) }
+    if (required) {
+        optionDefinition.required = true
+    }
+    if (schema === true) {
+        if (!required) {
+            optionDefinition.optional = true
+        }
+        return optionDefinition
+    }
+    if (typeof schema !== 'object' || schema === null) {
+        reportUnsupported(`schema ${sPrettyPrint(schema)}`)
+        return optionDefinition
+    }
+
+    if (typeof schema.$ref === 'string' && schema.$ref.startsWith('#/$defs/')) {
+        // a named definition, which can have its own default
+        optionDefinition.ref = schema.$ref.substring('#/$defs/'.length)
+        if (schema.default !== undefined && !required) {
+            optionDefinition.default = schema.default
+        } else if (!required) {
+            optionDefinition.optional = true
+        }
+        if (typeof schema.description === 'string') {
+            optionDefinition.description = schema.description
+        }
+        _reportUnhandledJsonSchemaKeywords(schema, [ '$ref', 'default'], path, unsupported)
+        return optionDefinition
+    }
+
+    // keywords translated by the type, the rest are reported
+    let handledKeywords = [ 'type', 'default']
+    let schemaType = _getJsonSchemaType(schema)
+    switch (schemaType) {
+        case 'string':
+            optionDefinition.type = 'string'
+            handledKeywords.push('minLength', 'maxLength', 'pattern')
+            _assignDefined(optionDefinition, { minLength: schema.minLength, maxLength: schema.maxLength, pattern: schema.pattern})
+            if (typeof schema.format === 'string') {
+                let formatSpec = Array.from(globalFormats.values()).find( (spec) => spec.jsonSchemaFormat === schema.format)
+                if (formatSpec !== undefined || globalFormats.has(schema.format)) {
+                    optionDefinition.format = formatSpec !== undefined ? formatSpec.name : schema.format
+                    handledKeywords.push('format')
+                }
+            }
+            break
+
+        case 'integer':
+            optionDefinition.type = 'integer'
+            handledKeywords.push('minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf')
+            _assignDefined(optionDefinition, {
+                min: schema.minimum,
+                max: schema.maximum,
+                exclusiveMin: schema.exclusiveMinimum,
+                exclusiveMax: schema.exclusiveMaximum,
+                multipleOf: schema.multipleOf
+            })
+            break
+
+        case 'number':
+            optionDefinition.type = 'number'
+            handledKeywords.push('minimum', 'maximum')
+            _assignDefined(optionDefinition, { min: schema.minimum, max: schema.maximum})
+            if (schema.exclusiveMinimum === 0 && schema.minimum === undefined) {
+                optionDefinition.type = 'NumberGreaterThanZero'
+                handledKeywords.push('exclusiveMinimum')
+            }
+            break
+
+        case 'boolean':
+            optionDefinition.type = 'boolean'
+            break
+
+        case 'object':
+            optionDefinition.type = 'object'
+            handledKeywords.push('properties', 'required')
+            if (schema.properties !== undefined) {
+                optionDefinition.objectDefinition = _jsonSchemaToOptionsDefinition(schema, path, unsupported)
+            }
+            break
+
+        case 'array':
+            optionDefinition.type = 'array'
+            handledKeywords.push('minItems', 'maxItems', 'items', 'uniqueItems', 'contains')
+            _assignDefined(optionDefinition, { minLength: schema.minItems, maxLength: schema.maxItems, uniqueItems: schema.uniqueItems})
+            if (schema.items !== undefined) {
+                optionDefinition.elementDefinition = _jsonSchemaToOptionDefinition(schema.items, path.concat(['*']), unsupported, true)
+            }
+            if (schema.contains !== undefined) {
+                optionDefinition.contains = _jsonSchemaToOptionDefinition(schema.contains, path.concat(['<contains>']), unsupported, true)
+                delete optionDefinition.contains.required
+            }
+            break
+
+        case undefined:
+            break
+
+        default:
+            if (Array.isArray(schemaType) && schemaType.every( (type) => [ 'string', 'number', 'boolean', 'object', 'array'].indexOf(type) !== -1)) {
+                optionDefinition.type = schemaType.slice()
+                handledKeywords.push('minLength', 'maxLength', 'minimum', 'maximum')
+                _assignDefined(optionDefinition, { minLength: schema.minLength, maxLength: schema.maxLength, min: schema.minimum, max: schema.maximum})
+                break
+            }
+            reportUnsupported(`type ${Array.isArray(schemaType) ? `[${schemaType.join(', ')}]` : sPrettyPrint(schemaType)}`)
+    }
+
+    if (schema.const !== undefined) {
+        handledKeywords.push('const')
+        optionDefinition.literal = schema.const
+    }
+    if (Array.isArray(schema.enum)) {
+        handledKeywords.push('enum')
+        optionDefinition.values = schema.enum.slice()
+    }
+    if (Array.isArray(schema.anyOf)) {
+        handledKeywords.push('anyOf')
+        optionDefinition.anyOf = schema.anyOf.map( (alternative) => {
+            let alternativeDefinition = _jsonSchemaToOptionDefinition(alternative, path, unsupported, true)
+            delete alternativeDefinition.required
+            return alternativeDefinition
+        })
+    }
+    if (schema.default !== undefined && !required) {
+        optionDefinition.default = schema.default
+    }
+    if (typeof schema.description === 'string') {
+        optionDefinition.description = schema.description
+    }
+    if (Array.isArray(schema.examples) && schema.examples.length !== 0) {
+        optionDefinition.examples = schema.examples.slice()
+    }
+    if (!required && optionDefinition.default === undefined) {
+        // also covers object properties whose default the checker derives from their properties' defaults
+        optionDefinition.optional = true
+    }
+    _reportUnhandledJsonSchemaKeywords(schema, handledKeywords, path, unsupported)
+    return optionDefinition
+}
+
+/**
+ * Returns the options in a definition that are not objects with an object definition, recursing into
+ * those that are. Options with a ref are replaced by the definitions they stand for; objects whose
+ * definition is already being recursed into, i.e., recursive named definitions, are leaves.
+ *
+ * @param {object} optionsDefinition
+ * @param {string[]} path
+ * @param {boolean} sensitive  true if the options are nested in a sensitive option
+ * @param {object[]} visiting  the options definitions being recursed into
+ * @return {{path: string[], definition: object, sensitive: boolean}[]}
+ * @private
+ */
+function _getLeafOptions(optionsDefinition, path, sensitive = false, visiting = []) {
+    let leaves = []
+    for (const optionName in optionsDefinition) {
+        if (!optionsDefinition.hasOwnProperty(optionName)) {
+            continue
+        }
+        let definition = _resolveReference(optionsDefinition[optionName])
+        let optionPath = path.concat([optionName])
+        let optionSensitive = sensitive || definition.sensitive === true
+        if (_isTypeDefinition(definition, [ 'object']) && definition.objectDefinition !== undefined && visiting.indexOf(definition.objectDefinition) === -1) {
+            leaves.push(..._getLeafOptions(definition.objectDefinition, optionPath, optionSensitive, visiting.concat([ definition.objectDefinition ])))
+        } else {
+            leaves.push({ path: optionPath, definition: definition, sensitive: optionSensitive })
+        }
+    }
+    return leaves
+}
+
+/**
+ * Returns true if the definition's type is one of the given lower case type names
+ * @private
+ */
+function _isTypeDefinition(definition, typeNames) {
+    return typeof definition.type === 'string' && typeNames.indexOf(definition.type.toLowerCase()) !== -1
+}
+
+function _setPathValue(object, path, value) {
+    let target = object
+    for (let i = 0; i < path.length - 1; i++) {
+        if (typeof target[path[i]] !== 'object' || target[path[i]] === null) {
+            target[path[i]] = {}
+        }
+        target = target[path[i]]
+    }
+    target[path[path.length - 1]] = value
+}
+
+/**
+ * Converts an option name into an environment variable name, e.g. 'maxLength' => 'MAX_LENGTH'
+ * @private
+ */
+function _toEnvName(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase()
+}
+
+/**
+ * Converts an option name into a command line flag name, e.g. 'maxLength' => 'max-length'
+ * @private
+ */
+function _toFlagName(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[^A-Za-z0-9]+/g, '-').toLowerCase()
+}
+
+function _getHelpValueLabel(definition, sensitive) {
+    if (Array.isArray(definition.values) && !sensitive) {
+        return definition.values.map( (value) => `${value}`).join('|')
+    }
+    if (Array.isArray(definition.type)) {
+        return definition.type.join('|')
+    }
+    return typeof definition.type === 'string' ? definition.type : 'value'
+}
+
+const DESCRIPTION_CONSTRAINT_KEYS = [ 'min', 'max', 'exclusiveMin', 'exclusiveMax', 'multipleOf', 'minLength', 'maxLength', 'pattern', 'format', 'uniqueItems',
+    'onInvalidElement', 'values', 'literal',
+    'caseInsensitive', 'nullable', 'objectClass', 'subclassOf', 'customCheckDescription', 'unknownProperties', 'requiredIf', 'conflictsWith', 'implies' ]
+
+/**
+ * Returns the description entries for the options in a normalized options definition, see OptionsChecker.describe
+ *
+ * @param {object} optionsDefinition
+ * @param {Array} path
+ * @param {boolean} sensitive  true if the options are nested in a sensitive option
+ * @return {object[]}
+ * @private
+ */
+function _describeOptionsDefinition(optionsDefinition, path, sensitive) {
+    let ruleNames = _getCrossFieldOptionNames(optionsDefinition)
+    return Object.keys(optionsDefinition).map( (optionName) => {
+        let definition = optionsDefinition[optionName]
+        let optional = _isOmittable(definition, ruleNames.has(optionName))
+        let description = _describeOptionDefinition(definition, path.concat([ optionName ]), sensitive, {
+            name: optionName,
+            path: path.concat([ optionName ]),
+            required: _resolveReference(definition).required === true || (!_hasDefault(definition) && !optional),
+            optional: optional
+        })
+        let requiredIf = description.constraints.requiredIf
+        if (typeof requiredIf === 'object' && requiredIf !== null) {
+            // the values of sensitive options in the conditions are redacted
+            description.constraints.requiredIf = {}
+            for (const name of Object.keys(requiredIf)) {
+                let isSensitive = sensitive || _resolveReference(optionsDefinition[name]).sensitive === true
+                description.constraints.requiredIf[name] = isSensitive ? REDACTED_VALUE : requiredIf[name]
+            }
+        }
+        return description
+    })
+}
+
+/**
+ * Returns the description entry for a normalized option definition
+ *
+ * Defaults, examples and allowed values of sensitive options, and of the options nested in them, are left out.
+ *
+ * Entries for definitions with a ref describe the named definition they stand for, without its nested definitions.
+ *
+ * @param {object} definition
+ * @param {Array} path
+ * @param {boolean} sensitive  true if the option is nested in a sensitive option
+ * @param {object} entry  the entry's name, path and requiredness, only the path for elements, keys, values and alternatives
+ * @return {object}
+ * @private
+ */
+function _describeOptionDefinition(definition, path, sensitive, entry = { path: path }) {
+    let description = Object.assign({}, entry)
+    let ref = definition.ref
+    definition = _resolveReference(definition)
+    let isSensitive = sensitive || definition.sensitive === true
+    if (definition.type !== undefined) {
+        description.type = Array.isArray(definition.type) ? definition.type.join('|') : definition.type
+    }
+    description.hasDefault = _hasDefault(definition)
+    if (definition.default !== undefined && !isSensitive) {
+        description.default = definition.default
+    }
+    if (definition.defaultFactory !== undefined) {
+        description.defaultFactory = true
+    }
+    let constraints = {}
+    for (const key of DESCRIPTION_CONSTRAINT_KEYS) {
+        if (definition[key] !== undefined && !(isSensitive && (key === 'values' || key === 'literal'))) {
+            if (key === 'objectClass' || key === 'subclassOf') {
+                constraints[key] = definition[key].name
+            } else if (key === 'pattern') {
+                constraints[key] = `${definition[key]}`
+            } else if (key === 'uniqueItems') {
+                constraints[key] = typeof definition[key] === 'function' ? 'by key' : definition[key]
+            } else {
+                constraints[key] = definition[key]
+            }
+        }
+    }
+    description.constraints = constraints
+    for (const key of [ 'description', 'examples', 'aliases', 'renamedFrom', 'deprecated']) {
+        if (definition[key] !== undefined && !(key === 'examples' && isSensitive)) {
+            description[key] = definition[key]
+        }
+    }
+    if (isSensitive) {
+        description.sensitive = true
+    }
+    if (ref !== undefined) {
+        // the named definition is described on its own
+        description.ref = ref
+        return description
+    }
+    if (definition.objectDefinition !== undefined) {
+        description.options = _describeOptionsDefinition(definition.objectDefinition, path, isSensitive)
+    }
+    if (definition.elementDefinition !== undefined) {
+        description.element = _describeOptionDefinition(definition.elementDefinition, path.concat([ '*' ]), isSensitive)
+    }
+    if (definition.contains !== undefined) {
+        description.contains = _describeOptionDefinition(definition.contains, path.concat([ '<contains>' ]), isSensitive)
+    }
+    if (definition.keyDefinition !== undefined) {
+        description.key = _describeOptionDefinition(definition.keyDefinition, path.concat([ '<key>' ]), isSensitive)
+    }
+    if (definition.valueDefinition !== undefined) {
+        description.value = _describeOptionDefinition(definition.valueDefinition, path.concat([ '*' ]), isSensitive)
+    }
+    if (definition.items !== undefined) {
+        description.items = definition.items.map( (item, i) => _describeOptionDefinition(item, path.concat([ i ]), isSensitive))
+    }
+    if (definition.rest !== undefined) {
+        description.rest = _describeOptionDefinition(definition.rest, path.concat([ '*' ]), isSensitive)
+    }
+    if (definition.anyOf !== undefined) {
+        description.anyOf = definition.anyOf.map( (alternative) => _describeOptionDefinition(alternative, path, isSensitive))
+    }
+    if (definition.oneOf !== undefined) {
+        description.discriminator = definition.discriminator
+        description.oneOf = {}
+        for (const discriminatorValue of Object.keys(definition.oneOf)) {
+            let alternative = definition.oneOf[discriminatorValue]
+            description.oneOf[discriminatorValue] = _describeOptionDefinition(alternative.type !== undefined || alternative.ref !== undefined ? alternative :
+                Object.assign({ type: 'object' }, alternative), path, isSensitive)
+        }
+    }
+    return description
+}
+
+/**
+ * Returns a short representation of a value for the documentation, e.g. 'text', [ 1, 2 ] or { a: true }
+ *
+ * @param {*} value
+ * @return {string}
+ * @private
+ */
+function _formatDescriptionValue(value) {
+    if (typeof value === 'function') {
+        return value.name !== '' ? `[Function ${value.name}]` : '[Function]'
+    }
+    if (!_isJsonValue(value) || typeof value !== 'object' || value === null) {
+        return sPrettyPrint(value)
+    }
+    if (Array.isArray(value)) {
+        return value.length === 0 ? '[]' : `[ ${value.map(_formatDescriptionValue).join(', ')} ]`
+    }
+    let keys = Object.keys(value)
+    return keys.length === 0 ? '{}' : `{ ${keys.map( (key) => `${key}: ${_formatDescriptionValue(value[key])}`).join(', ')} }`
+}
+
+function _formatDescriptionNames(names) {
+    return (Array.isArray(names) ? names : [ names ]).map( (name) => `'${name}'`).join(', ')
+}
+
+/**
+ * Returns the summary of a description entry, e.g. "string, minLength: 1, the user name; required"
+ *
+ * @param {object} description
+ * @return {string}
+ * @private
+ */
+function _getDescriptionSummary(description) {
+    let constraints = description.constraints
+    let typeLabel = description.type !== undefined ? description.type : 'any'
+    if (description.ref !== undefined) {
+        typeLabel = description.ref
+    } else if (constraints.values !== undefined) {
+        typeLabel = constraints.values.map(_formatDescriptionValue).join('|')
+    } else if (constraints.literal !== undefined) {
+        typeLabel = _formatDescriptionValue(constraints.literal)
+    } else if (description.type === 'boolean' || description.type === 'bool') {
+        typeLabel = 'true|false'
+    } else if (description.anyOf !== undefined) {
+        typeLabel = 'any of'
+    } else if (description.oneOf !== undefined) {
+        typeLabel = `${description.type !== undefined ? description.type : 'object'} by ${description.discriminator}`
+    }
+    let parts = [ typeLabel ]
+    for (const key of [ 'min', 'max', 'exclusiveMin', 'exclusiveMax', 'multipleOf', 'minLength', 'maxLength', 'pattern', 'format']) {
+        if (constraints[key] !== undefined) {
+            parts.push(`${key}: ${_formatBound(constraints[key])}`)
+        }
+    }
+    if (constraints.uniqueItems === true || constraints.uniqueItems === 'by key') {
+        parts.push(constraints.uniqueItems === true ? 'unique elements' : 'unique elements by key')
+    }
+    if (constraints.onInvalidElement !== undefined) {
+        parts.push(`invalid elements: ${constraints.onInvalidElement}`)
+    }
+    if (constraints.caseInsensitive === true) {
+        parts.push('case-insensitive')
+    }
+    if (constraints.nullable === true) {
+        parts.push('nullable')
+    }
+    if (constraints.objectClass !== undefined) {
+        parts.push(`instance of ${constraints.objectClass}`)
+    }
+    if (constraints.subclassOf !== undefined) {
+        parts.push(`subclass of ${constraints.subclassOf}`)
+    }
+    if (constraints.customCheckDescription !== undefined) {
+        parts.push(constraints.customCheckDescription)
+    }
+    if (constraints.unknownProperties !== undefined) {
+        parts.push(`unknown properties: ${constraints.unknownProperties}`)
+    }
+    if (typeof constraints.requiredIf === 'string') {
+        parts.push(`required if '${constraints.requiredIf}' is given`)
+    } else if (constraints.requiredIf !== undefined) {
+        parts.push(`required if ${Object.keys(constraints.requiredIf).map( (name) => {
+            let value = constraints.requiredIf[name]
+            return `${name} is ${value === REDACTED_VALUE ? value : _formatDescriptionValue(value)}`
+        }).join(' and ')}`)
+    }
+    if (constraints.conflictsWith !== undefined) {
+        parts.push(`conflicts with ${_formatDescriptionNames(constraints.conflictsWith)}`)
+    }
+    if (constraints.implies !== undefined) {
+        parts.push(`implies ${_formatDescriptionNames(constraints.implies)}`)
+    }
+    if (description.aliases !== undefined) {
+        parts.push(`aliases: ${_formatDescriptionNames(description.aliases)}`)
+    }
+    if (description.renamedFrom !== undefined) {
+        parts.push(`formerly ${_formatDescriptionNames(description.renamedFrom)}`)
+    }
+    if (description.deprecated !== undefined && description.deprecated !== false) {
+        parts.push(typeof description.deprecated === 'string' ? `deprecated: ${description.deprecated}` : 'deprecated')
+    }
+    if (description.sensitive) {
+        parts.push('sensitive')
+    }
+    if (description.description !== undefined) {
+        parts.push(description.description)
+    }
+    if (description.examples !== undefined) {
+        parts.push(`e.g. ${description.examples.map(_formatDescriptionValue).join(', ')}`)
+    }
+    let note = ''
+    if (description.required) {
+        note = 'required'
+    } else if (description.default !== undefined) {
+        note = `default: ${_formatDescriptionValue(description.default)}`
+    } else if (description.defaultFactory) {
+        note = 'default: computed'
+    } else if (description.hasDefault && description.sensitive) {
+        note = `default: ${REDACTED_VALUE}`
+    } else if (description.hasDefault) {
+        note = 'default: built from the nested defaults'
+    } else if (description.optional) {
+        note = 'optional'
+    }
+    return parts.join(', ') + (note !== '' ? `; ${note}` : '')
+}
+
+/**
+ * Adds the lines documenting a description entry and its nested entries to the given array
+ *
+ * @param {object} description
+ * @param {string|null} label  the option name or another label for the entry, null for elements and '...' for
+ *      a tuple's rest
+ * @param {string} indent
+ * @param {string[]} lines
+ * @private
+ */
+function _getDescriptionLines(description, label, indent, lines) {
+    let prefix = label === null ? '' : (label === '...' ? label : `${label}: `)
+    let line = `${indent}${prefix}<${_getDescriptionSummary(description)}>`
+    let nestedIndent = `${indent}    `
+    if (description.options !== undefined) {
+        lines.push(`${line} {`)
+        description.options.forEach( (option) => { _getDescriptionLines(option, option.name, nestedIndent, lines) })
+        lines.push(`${indent}}`)
+    } else if (description.element !== undefined) {
+        lines.push(`${line} [`)
+        _getDescriptionLines(description.element, null, nestedIndent, lines)
+        lines.push(`${indent}]`)
+    } else if (description.key !== undefined || description.value !== undefined) {
+        lines.push(`${line} {`)
+        if (description.key !== undefined) {
+            _getDescriptionLines(description.key, '[key]', nestedIndent, lines)
+        }
+        if (description.value !== undefined) {
+            _getDescriptionLines(description.value, '[value]', nestedIndent, lines)
+        }
+        lines.push(`${indent}}`)
+    } else if (description.items !== undefined) {
+        lines.push(`${line} [`)
+        description.items.forEach( (item) => { _getDescriptionLines(item, null, nestedIndent, lines) })
+        if (description.rest !== undefined) {
+            _getDescriptionLines(description.rest, '...', nestedIndent, lines)
+        }
+        lines.push(`${indent}]`)
+    } else {
+        lines.push(line)
+    }
+    if (description.contains !== undefined) {
+        _getDescriptionLines(description.contains, 'contains', nestedIndent, lines)
+    }
+    if (description.anyOf !== undefined) {
+        description.anyOf.forEach( (alternative, i) => { _getDescriptionLines(alternative, `(${i + 1})`, nestedIndent, lines) })
+    }
+    if (description.oneOf !== undefined) {
+        for (const discriminatorValue of Object.keys(description.oneOf)) {
+            _getDescriptionLines(description.oneOf[discriminatorValue],
+                `when ${description.discriminator} is '${discriminatorValue}'`, nestedIndent, lines)
+        }
+    }
+}
+
+/**
+ * Returns the entries nested in a description entry together with the labels used to document them
+ *
+ * @param {object} description
+ * @return {object[]}  [ { label, description }, ... ]
+ * @private
+ */
+function _getNestedDescriptions(description) {
+    let nested = []
+    if (description.options !== undefined) {
+        description.options.forEach( (option) => { nested.push({ label: `<code>${_escapeHtml(option.name)}</code>`, description: option }) })
+    }
+    if (description.element !== undefined) {
+        nested.push({ label: '<em>elements</em>', description: description.element })
+    }
+    if (description.contains !== undefined) {
+        nested.push({ label: '<em>contains</em>', description: description.contains })
+    }
+    if (description.key !== undefined) {
+        nested.push({ label: '<em>keys</em>', description: description.key })
+    }
+    if (description.value !== undefined) {
+        nested.push({ label: '<em>values</em>', description: description.value })
+    }
+    if (description.items !== undefined) {
+        description.items.forEach( (item, i) => { nested.push({ label: `<em>element ${i}</em>`, description: item }) })
+    }
+    if (description.rest !== undefined) {
+        nested.push({ label: '<em>other elements</em>', description: description.rest })
+    }
+    if (description.anyOf !== undefined) {
+        description.anyOf.forEach( (alternative, i) => { nested.push({ label: `<em>alternative ${i + 1}</em>`, description: alternative }) })
+    }
+    if (description.oneOf !== undefined) {
+        for (const discriminatorValue of Object.keys(description.oneOf)) {
+            nested.push({
+                label: `<em>${_escapeHtml(`when ${description.discriminator} is '${discriminatorValue}'`)}</em>`,
+                description: description.oneOf[discriminatorValue]
+            })
+        }
+    }
+    return nested
+}
+
+/**
+ * Returns an HTML list documenting the given entries, { label, description }, and their nested entries
+ *
+ * @param {object[]} entries
+ * @param {string} indent
+ * @return {string}
+ * @private
+ */
+function _getDescriptionListHtml(entries, indent) {
+    let items = entries.map( (entry) => {
+        let nested = _getNestedDescriptions(entry.description)
+        let item = `${indent}  <li>${entry.label}: ${_escapeHtml(_getDescriptionSummary(entry.description))}`
+        if (nested.length === 0) {
+            return `${item}</li>`
+        }
+        return `${item}\n${_getDescriptionListHtml(nested, `${indent}    `)}\n${indent}  </li>`
+    })
+    return [ `${indent}<ul>` ].concat(items, [ `${indent}</ul>` ]).join('\n')
+}
+
+function _escapeHtml(str) {
+    return `${str}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+}
@@ -0,0 +1,123 @@
+/*
+ *  Copyright (C) 2021 Universität zu Köln
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * Compares the time it takes to check large arrays and deep objects with the current OptionsChecker and
+ * with version 1.1.4, which created a new checker for every array element and nested object.
+ *
+ * Run it with `npm run benchmark` to print the timings. The spec suite runs the same benchmarks with fewer runs in a
+ * new process and checks that the current OptionsChecker is faster.
+ */
+
+import { deepStrictEqual } from 'assert'
+import { fileURLToPath } from 'url'
+import { OptionsChecker } from '../OptionsChecker.mjs'
+import { OptionsChecker as OriginalOptionsChecker } from 'optionschecker-1.1.4'
+
+const RUNS = 30
+
+function median(times) {
+    let sortedTimes = times.slice().sort( (a, b) => a - b)
+    return sortedTimes[Math.floor(sortedTimes.length / 2)]
+}
+
+/**
+ * Returns the median time in milliseconds of several runs of f and g, after a warm-up run of each, and their
+ * last results. Runs of f and g alternate, so that changes in the machine's load affect both in the same way.
+ */
+function timeBoth(f, g, runs) {
+    let results = [ f(), g() ]
+    let times = [ [], [] ]
+    for (let i = 0; i < runs; i++) {
+        [ f, g ].forEach( (h, j) => {
+            let start = performance.now()
+            results[j] = h()
+            times[j].push(performance.now() - start)
+        })
+    }
+    return times.map( (runTimes, j) => { return { time: median(runTimes), result: results[j] } })
+}
+
+/**
+ * Checks the options objects with both versions and returns { title, time, originalTime }, with the median times in milliseconds
+ */
+function compare(title, optionsDefinition, optionsObjects, runs) {
+    let checker = new OptionsChecker({ optionsDefinition: optionsDefinition, context: title })
+    let originalChecker = new OriginalOptionsChecker({ optionsDefinition: optionsDefinition, context: title })
+    let [ current, original ] = timeBoth(
+        () => optionsObjects.map( (optionsObject) => checker.getCleanOptions(optionsObject)),
+        () => optionsObjects.map( (optionsObject) => originalChecker.getCleanOptions(optionsObject)), runs)
+    deepStrictEqual(current.result, original.result)
+    return { title: title, time: current.time, originalTime: original.time }
+}
+
+export function benchmarkLargeArray(runs = RUNS) {
+    let items = []
+    for (let i = 0; i < 10000; i++) {
+        items.push({ id: i, name: `item ${i}`, tags: [ 'a', 'b' ] })
+    }
+    return compare(`${items.length} array elements`, {
+        items: {
+            type: 'array',
+            required: true,
+            elementDefinition: {
+                type: 'object',
+                objectDefinition: {
+                    id: { type: 'number', required: true },
+                    name: { type: 'NonEmptyString', required: true },
+                    tags: { type: 'array', elementDefinition: { type: 'string' }, default: [] },
+                    visible: { type: 'boolean', default: true }
+                }
+            }
+        }
+    }, [ { items: items } ], runs)
+}
+
+export function benchmarkDeepObjects(runs = RUNS) {
+    let depth = 8
+    let getDefinition = (level) => {
+        let definition = {
+            name: { type: 'string', default: '' },
+            size: { type: 'number', min: 0, default: 0 },
+            visible: { type: 'boolean', default: true }
+        }
+        if (level < depth) {
+            definition.child = { type: 'object', objectDefinition: getDefinition(level + 1), default: {} }
+        }
+        return definition
+    }
+    let getObject = (level) => {
+        let object = { name: `level ${level}`, size: level }
+        if (level < depth) {
+            object.child = getObject(level + 1)
+        }
+        return object
+    }
+    let objects = []
+    for (let i = 0; i < 1000; i++) {
+        objects.push(getObject(1))
+    }
+    return compare(`${objects.length} objects ${depth} levels deep`, getDefinition(1), objects, runs)
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    for (const result of [ benchmarkLargeArray(), benchmarkDeepObjects() ]) {
+        console.log(`${result.title}: ${result.time.toFixed(1)} ms, version 1.1.4: ${result.originalTime.toFixed(1)} ms ` +
+            `(${(result.originalTime / result.time).toFixed(2)}x)`)
+    }
+}
@@ -17,7 +17,9 @@
  */
 
 
-import {OptionsChecker} from '../OptionsChecker.mjs';
+import {OptionsChecker, OptionsCheckerError, ErrorCode} from '../OptionsChecker.mjs';
+import {execFile} from 'child_process';
+import {promisify} from 'util';
 
 
 describe("OptionsChecker", () => {
@@ -58,13 +60,14 @@ describe("OptionsChecker", () => {
         })
 
         it('should throw error on wrong type',  () => {
-            let oc = new OptionsChecker({
-                optionsDefinition: {
-                    option2 : { type: 'someBadType', default: 'defaultOption2'}
-                },
-                context: 'Wrong Type Test'
-            })
-            expect(() => {oc.getCleanOptions({ option2: 123 })}).toThrow()
+            expect(() => {
+                new OptionsChecker({
+                    optionsDefinition: {
+                        option2 : { type: 'someBadType', default: 'defaultOption2'}
+                    },
+                    context: 'Wrong Type Test'
+                })
+            }).toThrow()
         })
 
         it ("should check types correctly",  () => {
@@ -292,4 +295,2461 @@ describe("OptionsChecker", () => {
         })
 
     })
-})
\ No newline at end of file
+
+    describe("Validation reports", () => {
+
+        it("should collect all errors without throwing", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    name: { type: 'string', required: true },
+                    size: { type: 'number', min: 1, max: 10 },
+                    color: { type: 'string', default: 'red' },
+                    user: {
+                        type: 'object',
+                        objectDefinition: {
+                            name: { type: 'string', required: true },
+                            age: { type: 'number', required: true }
+                        }
+                    },
+                    items: {
+                        type: 'array',
+                        elementDefinition: {
+                            type: 'object',
+                            objectDefinition: { name: { type: 'string', required: true } }
+                        }
+                    }
+                },
+                context: 'Validation Report Test'
+            })
+            let report
+            expect(() => { report = oc.validate({
+                size: 20,
+                color: 3,
+                user: { name: 10 },
+                items: [ { name: 'a'}, { name: 'b'}, { name: 'c'}, { name: 4 } ]
+            })}).not.toThrow()
+            expect(report.valid).toBeFalse()
+            expect(report.errors.map( (e) => e.path)).toEqual([
+                [ 'name' ],
+                [ 'size' ],
+                [ 'user', 'name' ],
+                [ 'user', 'age' ],
+                [ 'items', 3, 'name' ]
+            ])
+            expect(report.errors.map( (e) => e.code)).toEqual([
+                ErrorCode.REQUIRED_MISSING,
+                ErrorCode.OUT_OF_RANGE,
+                ErrorCode.TYPE_MISMATCH,
+                ErrorCode.REQUIRED_MISSING,
+                ErrorCode.TYPE_MISMATCH
+            ])
+            report.errors.forEach( (e) => { expect(typeof e.message).toBe('string')})
+            expect(report.warnings.length).toBe(1)
+            expect(report.warnings[0].path).toEqual([ 'color' ])
+            expect(report.warnings[0].code).toBe(ErrorCode.TYPE_MISMATCH)
+            expect(report.cleanOptions.color).toBe('red')
+        })
+
+        it("should report valid options", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    size: { type: 'number', default: 1 },
+                    user: {
+                        type: 'object',
+                        default: { name: 'nobody' },
+                        objectDefinition: { name: { type: 'string', required: true } }
+                    }
+                },
+                context: 'Valid Report Test'
+            })
+            let report = oc.validate({ size: 3 })
+            expect(report).toEqual({ valid: true, cleanOptions: { size: 3, user: { name: 'nobody'} }, errors: [], warnings: [], unknownProperties: [], deprecations: [] })
+
+            report = oc.validate({ user: { name: 23 } })
+            expect(report.valid).toBeTrue()
+            expect(report.cleanOptions.user).toEqual({ name: 'nobody'})
+            expect(report.warnings.length).toBe(1)
+            expect(report.warnings[0].path).toEqual([ 'user', 'name' ])
+        })
+
+        it("should throw on the first error in getCleanOptions", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    option1: { type: 'number', required: true },
+                    option2: { type: 'string', required: true }
+                },
+                context: 'First Error Test'
+            })
+            expect( () => { oc.getCleanOptions({ option2: 3 })}).toThrowError(/First Error Test : Required option 'option1'/)
+        })
+
+        it("should report values that are not objects", async () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: { option1: { type: 'number', default: 1 } },
+                context: 'Not An Object Test'
+            })
+            for (const value of [ null, undefined, 'option1' ]) {
+                let report
+                expect( () => { report = oc.validate(value) }).not.toThrow()
+                expect(report.valid).toBeFalse()
+                expect(report.cleanOptions).toEqual({})
+                expect(report.errors.map( (e) => [ e.path, e.code ])).toEqual([ [ [], ErrorCode.TYPE_MISMATCH ] ])
+            }
+            expect(oc.validate(null).errors[0].message).toBe('The options should be an object, null given')
+            await expectAsync(oc.getCleanOptionsAsync(null)).toBeRejectedWith(
+                new OptionsCheckerError('Not An Object Test : The options should be an object, null given'))
+        })
+    })
+
+    describe("Errors", () => {
+
+        it("should throw OptionsCheckerError objects", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    size: { type: 'number', min: 1, max: 10 },
+                    items: {
+                        type: 'array',
+                        elementDefinition: {
+                            type: 'object',
+                            objectDefinition: { name: { type: 'string', required: true } }
+                        }
+                    }
+                },
+                context: 'Error Class Test'
+            })
+            let error = null
+            try {
+                oc.getCleanOptions({ size: 5, items: [ { name: 'a'}, { name: 'b'}, { name: 'c'}, { name: 4 } ] })
+            } catch (e) {
+                error = e
+            }
+            expect(error instanceof OptionsCheckerError).toBeTrue()
+            expect(error instanceof Error).toBeTrue()
+            expect(error.optionPath).toEqual([ 'items', 3, 'name' ])
+            expect(error.code).toBe(ErrorCode.TYPE_MISMATCH)
+            expect(error.expected).toBe('string')
+            expect(error.received).toBe(4)
+            expect(error.context).toBe('Error Class Test : items : element 3 : element')
+            expect(error.message).toBe("Error Class Test : items : element 3 : element : name should be a string, 4 given")
+
+            try {
+                oc.getCleanOptions({ size: 11, items: [] })
+            } catch (e) {
+                error = e
+            }
+            expect(error.optionPath).toEqual([ 'size' ])
+            expect(error.code).toBe(ErrorCode.OUT_OF_RANGE)
+            expect(error.expected).toBe('<= 10')
+            expect(error.received).toBe(11)
+
+            expect( () => { new OptionsChecker({ optionsDefinition: {} })}).toThrowError(OptionsCheckerError)
+        })
+
+        it("should report exceptions in user functions as causes", () => {
+            let checkError = new Error('Check exception')
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    option1: { type: 'string', customCheck: () => { throw checkError }, customCheckDescription: 'good' },
+                    option2: { type: 'string', default: 'x', transformFunction: () => { throw new Error('Transform exception')} }
+                },
+                context: 'Error Cause Test'
+            })
+            let report = oc.validate({ option1: 'test', option2: 'test'})
+            expect(report.errors.length).toBe(2)
+            expect(report.errors[0].code).toBe(ErrorCode.CUSTOM_CHECK_FAILED)
+            expect(report.errors[0].cause).toBe(checkError)
+            expect(report.errors[1].code).toBe(ErrorCode.TRANSFORM_FAILED)
+            expect(report.errors[1].cause.message).toBe('Transform exception')
+            expect( () => { oc.getCleanOptions({ option1: 'test'})}).toThrowMatching( (e) => e.cause === checkError)
+        })
+    })
+
+    describe("Type registry", () => {
+
+        it("should use global types", () => {
+            OptionsChecker.registerType('EvenNumber', {
+                check: (value) => { return typeof value === 'number' && value % 2 === 0 },
+                describe: () => 'an even number'
+            })
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    option1: { type: 'evennumber', required: true },
+                    option2: { type: 'EVENNUMBER', default: 2 }
+                },
+                context: 'Global Type Test'
+            })
+            expect(oc.getCleanOptions({ option1: 4 })).toEqual({ option1: 4, option2: 2 })
+            expect(oc.getCleanOptions({ option1: 4, option2: 3 })).toEqual({ option1: 4, option2: 2 })
+            let report = oc.validate({ option1: 'four'})
+            expect(report.errors[0].code).toBe(ErrorCode.TYPE_MISMATCH)
+            expect(report.errors[0].expected).toBe('EvenNumber')
+            expect(report.errors[0].message).toBe(`option1 should be an even number, 'four' given`)
+            OptionsChecker.registerType('Odd', { check: (value) => value % 2 === 1 })
+            expect(new OptionsChecker({ optionsDefinition: { a: { type: 'Odd' } }, context: 'Odd Test' }).validate({ a: 4 }).errors[0].message)
+                .toBe('a should be a value of type Odd, 4 given')
+            expect( () => { OptionsChecker.registerType('evenNumber', { check: () => true })}).toThrowError(OptionsCheckerError)
+            expect( () => { OptionsChecker.registerType('', { check: () => true })}).toThrowError(OptionsCheckerError)
+            expect( () => { OptionsChecker.registerType('BadSpecType', { describe: () => 'nothing' })}).toThrowError(OptionsCheckerError)
+        })
+
+        it("should use checker types", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    color: { type: 'HexColor', default: '#000000' },
+                    palette: { type: 'array', elementDefinition: { type: 'hexcolor' }, default: [] }
+                },
+                context: 'Checker Type Test',
+                strictDefault: true,
+                types: {
+                    HexColor: {
+                        check: (value, definition, context) => {
+                            if (typeof value !== 'string') {
+                                return false
+                            }
+                            return /^#[0-9a-f]{6}$/i.test(value) ? true : { code: 'BAD_COLOR', message: `${context.optionName} is not a hex color` }
+                        },
+                        describe: () => 'a hex color string',
+                        normalize: (value) => value.toLowerCase()
+                    }
+                }
+            })
+            expect(oc.getCleanOptions({ color: '#FF0000', palette: [ '#00FF00', '#0000ff']}))
+                .toEqual({ color: '#ff0000', palette: [ '#00ff00', '#0000ff'] })
+            let report = oc.validate({ color: 'red', palette: [ '#000000', 12 ] })
+            expect(report.errors.map( (e) => e.code)).toEqual([ 'BAD_COLOR', ErrorCode.TYPE_MISMATCH ])
+            expect(report.errors[0].message).toBe('color is not a hex color')
+            expect(report.errors[1].path).toEqual([ 'palette', 1 ])
+
+            expect( () => {
+                new OptionsChecker({
+                    optionsDefinition: { color: { type: 'HexColor' } },
+                    context: 'Checker Type Test 2'
+                })
+            }).toThrowMatching( (e) => e.code === ErrorCode.INVALID_DEFINITION && e.issues[0].code === ErrorCode.UNKNOWN_TYPE)
+        })
+
+        it("should let checker types override global ones", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: { option1: { type: 'string', required: true } },
+                context: 'Type Override Test'
+            })
+            oc.registerType('String', { check: (value) => value === 'only this' })
+            expect(oc.getCleanOptions({ option1: 'only this' }).option1).toBe('only this')
+            expect( () => { oc.getCleanOptions({ option1: 'something else' })}).toThrow()
+        })
+
+        it("should print given values without a prototype", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    a: { type: 'string', default: 'x' },
+                    b: { type: 'object', objectClass: Date, optional: true }
+                },
+                context: 'Null Prototype Test'
+            })
+            let report = oc.validate({ a: Object.create(null), b: Object.create(null) })
+            expect(report.warnings.map( (issue) => issue.message)).toEqual([ 'a should be a string, [Object] given. Default assigned.' ])
+            expect(report.errors.map( (issue) => [ issue.code, issue.message ])).toEqual([
+                [ ErrorCode.CLASS_MISMATCH, 'b must be an object of class Date, Object given' ]
+            ])
+            expect(oc.validate({ a: Symbol('s') }).warnings[0].message).toBe('a should be a string, Symbol(s) given. Default assigned.')
+        })
+    })
+
+    describe("JSON Schema", () => {
+
+        it("should export option definitions", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    name: { type: 'NonEmptyString', required: true },
+                    size: { type: 'number', min: 1, max: 10, default: 5 },
+                    visible: { type: 'bool', default: true },
+                    label: { type: 'string', minLength: 2, maxLength: 20, default: 'label' },
+                    user: {
+                        type: 'object',
+                        objectDefinition: {
+                            name: { type: 'string', required: true },
+                            age: { type: 'NumberGreaterThanZero', default: 18 }
+                        }
+                    },
+                    tags: { type: 'array', maxLength: 3, elementDefinition: { type: 'string' }, default: [] }
+                },
+                context: 'JSON Schema Export Test'
+            })
+            expect(oc.toJsonSchema()).toEqual({
+                $schema: 'https://json-schema.org/draft/2020-12/schema',
+                title: 'JSON Schema Export Test',
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    size: { type: 'number', minimum: 1, maximum: 10, default: 5 },
+                    visible: { type: 'boolean', default: true },
+                    label: { type: 'string', minLength: 2, maxLength: 20, default: 'label' },
+                    user: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            age: { type: 'number', exclusiveMinimum: 0, default: 18 }
+                        },
+                        required: [ 'name' ]
+                    },
+                    tags: { type: 'array', maxItems: 3, items: { type: 'string' }, default: [] }
+                },
+                required: [ 'name', 'user' ]
+            })
+        })
+
+        it("should report features that cannot be exported", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    option1: { type: 'string', default: 'a', transformFunction: (s) => s.toUpperCase() },
+                    option2: { type: 'object', objectClass: Date, default: new Date() },
+                    option3: {
+                        type: 'array',
+                        default: [],
+                        elementDefinition: { type: 'number', customCheck: (n) => n > 2, customCheckDescription: 'greater than 2' }
+                    },
+                    option4: { type: 'function', default: () => {} }
+                },
+                context: 'JSON Schema Unsupported Test'
+            })
+            let error = null
+            try {
+                oc.toJsonSchema()
+            } catch (e) {
+                error = e
+            }
+            expect(error instanceof OptionsCheckerError).toBeTrue()
+            expect(error.code).toBe(ErrorCode.UNSUPPORTED_FEATURE)
+            expect(error.received.map( (item) => item.feature)).toEqual([
+                'transformFunction', 'objectClass', 'default', 'customCheck', `type 'function'`, 'default'
+            ])
+            expect(error.message).toContain(`customCheck in 'option3.*'`)
+
+            let schema = oc.toJsonSchema({ onUnsupported: 'ignore' })
+            expect(schema.properties.option1).toEqual({ type: 'string', default: 'a' })
+            expect(schema.properties.option3.items).toEqual({ type: 'number' })
+            expect( () => { oc.toJsonSchema({ onUnsupported: 'drop' })}).toThrowError(OptionsCheckerError)
+        })
+
+        it("should import JSON Schemas", () => {
+            let oc = OptionsChecker.fromJsonSchema({
+                $schema: 'https://json-schema.org/draft/2020-12/schema',
+                title: 'Some options',
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1, description: 'The name' },
+                    size: { type: 'integer', minimum: 1, maximum: 10, default: 5 },
+                    user: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            age: { type: 'number', exclusiveMinimum: 0, default: 18 }
+                        },
+                        required: [ 'name' ]
+                    },
+                    tags: { type: 'array', maxItems: 3, items: { type: 'string' }, default: [] }
+                },
+                required: [ 'name', 'user' ]
+            }, 'JSON Schema Import Test')
+            expect(oc.optionsDefinition.name).toEqual({ required: true, type: 'string', minLength: 1, description: 'The name' })
+            expect(oc.getCleanOptions({ name: 'test', user: { name: 'Rafael' } }))
+                .toEqual({ name: 'test', size: 5, user: { name: 'Rafael', age: 18 }, tags: [] })
+            expect( () => { oc.getCleanOptions({ name: 'test', user: { name: 'Rafael' }, size: 2.5 })}).toThrow()
+            expect( () => { oc.getCleanOptions({ name: 'test', user: { name: 'Rafael', age: 0 } })}).toThrow()
+            expect( () => { oc.getCleanOptions({ name: 'test', user: { name: 'Rafael' }, tags: [ 'a', 'b', 'c', 'd'] })}).toThrow()
+            expect( () => { oc.getCleanOptions({ name: '', user: { name: 'Rafael' } })}).toThrow()
+        })
+
+        it("should import the schemas it exports", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    name: { type: 'string', required: true },
+                    layout: {
+                        type: 'object',
+                        objectDefinition: {
+                            width: { type: 'number', default: 100 },
+                            margins: {
+                                type: 'object',
+                                objectDefinition: { top: { type: 'number', default: 0 }, bottom: { type: 'number', default: 0 } }
+                            }
+                        }
+                    }
+                },
+                context: 'JSON Schema Round Trip Test'
+            })
+            let schema = oc.toJsonSchema()
+            expect(schema.required).toEqual([ 'name' ])
+            let imported = OptionsChecker.fromJsonSchema(schema, 'JSON Schema Round Trip Test')
+            expect(imported.toJsonSchema()).toEqual(schema)
+            expect(imported.getCleanOptions({ name: 'a' })).toEqual(oc.getCleanOptions({ name: 'a' }))
+            expect(imported.getCleanOptions({ name: 'a', layout: { margins: { top: 5 } } }))
+                .toEqual({ name: 'a', layout: { width: 100, margins: { top: 5, bottom: 0 } } })
+        })
+
+        it("should report keywords that cannot be imported", () => {
+            let schema = {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', format: 'hostname', default: 'abc' },
+                    id: { type: [ 'string', 'null'], default: 'none' },
+                    other: { type: 'string' }
+                },
+                required: [],
+                additionalProperties: false
+            }
+            let error = null
+            try {
+                OptionsChecker.fromJsonSchema(schema, 'JSON Schema Import Unsupported Test')
+            } catch (e) {
+                error = e
+            }
+            expect(error instanceof OptionsCheckerError).toBeTrue()
+            expect(error.code).toBe(ErrorCode.UNSUPPORTED_FEATURE)
+            expect(error.received).toEqual([
+                { path: [ 'name' ], feature: 'format' },
+                { path: [ 'id' ], feature: 'type [string, null]' },
+                { path: [], feature: 'additionalProperties' }
+            ])
+            let oc = OptionsChecker.fromJsonSchema(schema, 'JSON Schema Import Unsupported Test', { onUnsupported: 'ignore' })
+            expect(oc.getCleanOptions({ other: 'x' })).toEqual({ name: 'abc', id: 'none', other: 'x' })
+            expect(oc.getCleanOptions({})).toEqual({ name: 'abc', id: 'none' })
+            oc = OptionsChecker.fromJsonSchema({ type: 'object', properties: { any: true, count: { type: 'number' } } }, 'JSON Schema Optional Test')
+            expect(oc.optionsDefinition).toEqual({ any: { optional: true }, count: { type: 'number', optional: true } })
+            expect(oc.getCleanOptions({})).toEqual({})
+            expect(oc.getCleanOptions({ any: null, count: 1 })).toEqual({ any: null, count: 1 })
+            expect( () => { OptionsChecker.fromJsonSchema({ type: 'array' }, 'Bad Schema Test')}).toThrowError(OptionsCheckerError)
+        })
+    })
+
+    describe("Unions", () => {
+
+        it("should accept type lists", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    id: { type: [ 'string', 'number' ], minLength: 2, min: 10, required: true },
+                    other: { type: [ 'NonEmptyString', 'bool' ], default: false }
+                },
+                context: 'Type List Test'
+            })
+            expect(oc.getCleanOptions({ id: 'ab' }).id).toBe('ab')
+            expect(oc.getCleanOptions({ id: 12 }).id).toBe(12)
+            expect(oc.getCleanOptions({ id: 12, other: 'x' }).other).toBe('x')
+            expect(oc.getCleanOptions({ id: 12, other: '' }).other).toBe(false)
+            let report = oc.validate({ id: 5 })
+            expect(report.errors.length).toBe(1)
+            expect(report.errors[0].code).toBe(ErrorCode.NO_MATCHING_ALTERNATIVE)
+            expect(report.errors[0].message).toBe(`id does not match any of the allowed alternatives: ` +
+                `(1) id should be a string, 5 given; (2) Number 'id' should be equal to or greater than 10, 5 given`)
+            expect( () => { oc.getCleanOptions({ id: true })}).toThrowError(OptionsCheckerError)
+        })
+
+        it("should check anyOf alternatives", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    size: {
+                        anyOf: [
+                            { type: 'number', min: 0 },
+                            { type: 'string', customCheck: (s) => /^\d+px$/.test(s), customCheckDescription: 'a pixel size',
+                                transformFunction: (s) => parseInt(s) },
+                            { type: 'object', objectDefinition: { width: { type: 'number', required: true }, unit: { type: 'string', default: 'px' } } }
+                        ],
+                        default: 10
+                    }
+                },
+                context: 'AnyOf Test',
+                strictDefault: true
+            })
+            expect(oc.getCleanOptions({ size: 20 }).size).toBe(20)
+            expect(oc.getCleanOptions({ size: '30px' }).size).toBe(30)
+            expect(oc.getCleanOptions({ size: { width: 40 } }).size).toEqual({ width: 40, unit: 'px' })
+            expect(oc.getCleanOptions({}).size).toBe(10)
+            let report = oc.validate({ size: 'big' })
+            expect(report.valid).toBeFalse()
+            expect(report.errors[0].message).toContain(`(2) size must be a pixel size, 'big' given`)
+            expect(report.errors[0].message).toContain(`(3) size should be an object, 'big' given`)
+        })
+
+        it("should check discriminated unions", () => {
+            let shapeDefinition = {
+                type: 'object',
+                discriminator: 'kind',
+                oneOf: {
+                    circle: { objectDefinition: { radius: { type: 'NumberGreaterThanZero', required: true } } },
+                    rectangle: {
+                        objectDefinition: {
+                            width: { type: 'NumberGreaterThanZero', required: true },
+                            height: { type: 'NumberGreaterThanZero', required: true }
+                        }
+                    }
+                }
+            }
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    shapes: { type: 'array', elementDefinition: shapeDefinition }
+                },
+                context: 'Discriminated Union Test'
+            })
+            expect(oc.getCleanOptions({ shapes: [ { kind: 'circle', radius: 1, color: 'red' }, { kind: 'rectangle', width: 2, height: 3 } ]}))
+                .toEqual({ shapes: [ { kind: 'circle', radius: 1 }, { kind: 'rectangle', width: 2, height: 3 } ]})
+            let report = oc.validate({ shapes: [ { kind: 'circle', radius: 1 }, { kind: 'triangle' }, { kind: 'rectangle', width: 2 }, 'square' ]})
+            expect(report.errors.map( (e) => e.path)).toEqual([
+                [ 'shapes', 1, 'kind' ],
+                [ 'shapes', 2, 'height' ],
+                [ 'shapes', 3 ]
+            ])
+            expect(report.errors[0].code).toBe(ErrorCode.NO_MATCHING_ALTERNATIVE)
+            expect(report.errors[0].message).toBe(`element.kind must be one of 'circle', 'rectangle'; 'triangle' given`)
+            expect(report.errors[1].code).toBe(ErrorCode.REQUIRED_MISSING)
+            expect(report.errors[2].code).toBe(ErrorCode.TYPE_MISMATCH)
+        })
+
+        it("should translate unions to JSON Schema", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    id: { type: [ 'string', 'number' ], required: true },
+                    shape: {
+                        type: 'object',
+                        required: true,
+                        discriminator: 'kind',
+                        oneOf: { circle: { objectDefinition: { radius: { type: 'number', required: true } } } }
+                    }
+                },
+                context: 'Union JSON Schema Test'
+            })
+            let schema = oc.toJsonSchema()
+            expect(schema.properties.id).toEqual({ anyOf: [ { type: 'string' }, { type: 'number' } ] })
+            expect(schema.properties.shape.oneOf).toEqual([ {
+                type: 'object',
+                properties: { radius: { type: 'number' }, kind: { const: 'circle' } },
+                required: [ 'kind', 'radius' ]
+            } ])
+            let oc2 = OptionsChecker.fromJsonSchema({
+                type: 'object',
+                properties: {
+                    id: { type: [ 'string', 'number' ] },
+                    size: { anyOf: [ { type: 'number' }, { type: 'string', minLength: 2 } ] }
+                },
+                required: [ 'id', 'size' ]
+            }, 'Union JSON Schema Import Test')
+            expect(oc2.getCleanOptions({ id: 1, size: 'ab' })).toEqual({ id: 1, size: 'ab' })
+            expect( () => { oc2.getCleanOptions({ id: 1, size: 'a' })}).toThrow()
+        })
+    })
+
+    describe("Allowed values", () => {
+
+        it("should check allowed values", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    align: { type: 'string', values: [ 'left', 'right', 'center' ], default: 'left' },
+                    size: { type: 'number', values: [ 1, 2, 4 ], required: true },
+                    version: { literal: 2, required: true },
+                    enabled: { type: 'boolean', values: [ true ], default: true }
+                },
+                context: 'Allowed Values Test'
+            })
+            expect(oc.getCleanOptions({ size: 2, version: 2 })).toEqual({ align: 'left', size: 2, version: 2, enabled: true })
+            expect(oc.getCleanOptions({ align: 'right', size: 4, version: 2 }).align).toBe('right')
+            let report = oc.validate({ align: 'top', size: 3, version: 1, enabled: false })
+            expect(report.cleanOptions.align).toBe('left')
+            expect(report.cleanOptions.enabled).toBe(true)
+            expect(report.warnings.map( (w) => w.code)).toEqual([ ErrorCode.VALUE_NOT_ALLOWED, ErrorCode.VALUE_NOT_ALLOWED ])
+            expect(report.warnings[0].message).toBe(`align must be one of 'left', 'right', 'center'; 'top' given. Default assigned.`)
+            expect(report.errors.map( (e) => e.code)).toEqual([ ErrorCode.VALUE_NOT_ALLOWED, ErrorCode.VALUE_NOT_ALLOWED ])
+            expect(report.errors[0].expected).toEqual([ 1, 2, 4 ])
+            expect(report.errors[1].message).toBe(`version must be 2; 1 given`)
+        })
+
+        it("should match NaN and check defaults against the allowed values", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: { ratio: { type: 'number', values: [ 1, NaN ], default: NaN } },
+                context: 'NaN Values Test'
+            })
+            expect(oc.getCleanOptions({ ratio: NaN }).ratio).toBeNaN()
+            expect( () => {
+                new OptionsChecker({
+                    optionsDefinition: {
+                        align: { values: [ 'left', 'right' ], default: 'up' },
+                        mode: { values: [ 'Fast', 'slow' ], caseInsensitive: true, default: 'fast' },
+                        version: { literal: 2, default: 1 }
+                    },
+                    context: 'Default Values Test'
+                })
+            }).toThrowMatching( (e) => e.issues.map( (issue) => `${issue.path.join('.')}: ${issue.message}`).join('; ') ===
+                `align: The default 'up' is not one of the allowed values; version: The default 1 is not one of the allowed values`)
+        })
+
+        it("should match strings regardless of case", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    align: { type: 'string', values: [ 'left', 'Right', 'center' ], caseInsensitive: true, default: 'left' },
+                    mode: { values: [ 'Fast', 'slow' ], default: 'slow' }
+                },
+                context: 'Case Insensitive Values Test',
+                strictDefault: true
+            })
+            expect(oc.getCleanOptions({ align: 'RIGHT' }).align).toBe('Right')
+            expect(oc.getCleanOptions({ align: 'Center' }).align).toBe('center')
+            expect(oc.getCleanOptions({ mode: 'Fast' }).mode).toBe('Fast')
+            expect( () => { oc.getCleanOptions({ mode: 'fast' })}).toThrowMatching( (e) => e.code === ErrorCode.VALUE_NOT_ALLOWED)
+            expect( () => { oc.getCleanOptions({ align: 'top' })}).toThrowMatching( (e) => e.code === ErrorCode.VALUE_NOT_ALLOWED)
+        })
+
+        it("should translate allowed values to JSON Schema", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    align: { type: 'string', values: [ 'left', 'right' ], required: true },
+                    version: { literal: 2, required: true }
+                },
+                context: 'Allowed Values JSON Schema Test'
+            })
+            let schema = oc.toJsonSchema()
+            expect(schema.properties).toEqual({ align: { type: 'string', enum: [ 'left', 'right' ] }, version: { const: 2 } })
+            let oc2 = OptionsChecker.fromJsonSchema(schema, 'Allowed Values JSON Schema Import Test')
+            expect(oc2.getCleanOptions({ align: 'left', version: 2 })).toEqual({ align: 'left', version: 2 })
+            expect( () => { oc2.getCleanOptions({ align: 'center', version: 2 })}).toThrow()
+            expect( () => { oc2.getCleanOptions({ align: 'left', version: 3 })}).toThrow()
+        })
+    })
+
+    describe("Coercion", () => {
+
+        it("should coerce string values", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    size: { type: 'number', min: 1, default: 1 },
+                    visible: { type: 'boolean', default: false },
+                    tags: { type: 'array', default: [] },
+                    ids: { type: 'array', elementDefinition: { type: 'NumberGreaterThanZero' }, default: [] },
+                    config: { type: 'object', objectDefinition: { depth: { type: 'number', default: 0 } }, default: {} },
+                    start: { type: 'object', objectClass: Date, default: new Date(0) },
+                    name: { type: 'string', default: '' }
+                },
+                context: 'Coercion Test',
+                coerce: true
+            })
+            let clean = oc.getCleanOptions({
+                size: ' 42 ',
+                visible: 'YES',
+                tags: 'a, b,c',
+                ids: '1,2,3',
+                config: '{ "depth": "5" }',
+                start: '2021-03-04T10:00:00Z',
+                name: '123'
+            })
+            expect(clean.size).toBe(42)
+            expect(clean.visible).toBeTrue()
+            expect(clean.tags).toEqual([ 'a', 'b', 'c' ])
+            expect(clean.ids).toEqual([ 1, 2, 3 ])
+            expect(clean.config).toEqual({ depth: 5 })
+            expect(clean.start instanceof Date).toBeTrue()
+            expect(clean.start.toISOString()).toBe('2021-03-04T10:00:00.000Z')
+            expect(clean.name).toBe('123')
+            expect(oc.getCleanOptions({ visible: '0', tags: '["x", "y"]' })).toEqual(jasmine.objectContaining({ visible: false, tags: [ 'x', 'y' ] }))
+            expect(oc.getCleanOptions({ size: 3, visible: true }).size).toBe(3)
+        })
+
+        it("should report invalid coercions", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    size: { type: 'number', default: 1 },
+                    visible: { type: 'boolean', required: true },
+                    config: { type: 'object', required: true },
+                    start: { type: 'object', objectClass: Date, required: true },
+                    count: { type: 'number', min: 10, required: true }
+                },
+                context: 'Invalid Coercion Test',
+                coerce: true
+            })
+            let report = oc.validate({ size: 'big', visible: 'maybe', config: '{ bad json', start: 'yesterday', count: '5' })
+            expect(report.cleanOptions.size).toBe(1)
+            expect(report.warnings.map( (w) => w.code)).toEqual([ ErrorCode.COERCION_FAILED ])
+            expect(report.errors.map( (e) => e.code)).toEqual([
+                ErrorCode.COERCION_FAILED, ErrorCode.COERCION_FAILED, ErrorCode.COERCION_FAILED, ErrorCode.OUT_OF_RANGE
+            ])
+            expect(report.errors[0].message).toBe(`visible could not be converted to a boolean, 'maybe' given`)
+            expect(report.errors[1].cause instanceof SyntaxError).toBeTrue()
+            for (const size of [ '0x10', '0b1', '0o7', 'Infinity', '1e', '.', '' ]) {
+                expect(oc.validate({ size: size, visible: true, config: {}, start: new Date(), count: 10 }).warnings.map( (w) => w.code))
+                    .withContext(size).toEqual([ ErrorCode.COERCION_FAILED ])
+            }
+            expect(oc.getCleanOptions({ size: '-1.5e3', visible: true, config: {}, start: new Date(), count: '+.5e2' }))
+                .toEqual(jasmine.objectContaining({ size: -1500, count: 50 }))
+            for (const start of [ '2020-02-30', '2021-02-29T10:00:00Z', '2020-13-01', '2020-01-01junk' ]) {
+                expect(oc.validate({ visible: true, config: {}, start: start, count: 10 }).errors.map( (e) => e.message))
+                    .withContext(start).toEqual([ `start could not be converted to an object, '${start}' given` ])
+            }
+            expect(oc.getCleanOptions({ visible: true, config: {}, start: '2020-02-29', count: 10 }).start.toISOString()).toBe('2020-02-29T00:00:00.000Z')
+        })
+
+        it("should coerce only the options that ask for it", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    size: { type: 'number', coerce: true, required: true },
+                    count: { type: 'number', required: true },
+                    user: {
+                        type: 'object',
+                        coerce: true,
+                        objectDefinition: { age: { type: 'number', required: true }, height: { type: 'number', coerce: false, default: 0 } },
+                        required: true
+                    }
+                },
+                context: 'Option Coercion Test'
+            })
+            expect(oc.getCleanOptions({ size: '1', count: 2, user: { age: '30', height: 170 } })).toEqual({ size: 1, count: 2, user: { age: 30, height: 170 } })
+            expect( () => { oc.getCleanOptions({ size: '1', count: '2', user: { age: 30 } })}).toThrowMatching( (e) => e.code === ErrorCode.TYPE_MISMATCH)
+            let report = oc.validate({ size: 1, count: 2, user: { age: 30, height: '170' } })
+            expect(report.cleanOptions.user.height).toBe(0)
+            expect(report.warnings[0].path).toEqual([ 'user', 'height' ])
+        })
+    })
+
+    describe("Environment and command line", () => {
+
+        let definition = {
+            port: { type: 'number', default: 8080 },
+            verbose: { type: 'boolean', default: false },
+            maxConnections: { type: 'NumberGreaterThanZero', default: 10 },
+            tags: { type: 'array', elementDefinition: { type: 'string' }, default: [] },
+            mode: { type: 'string', values: [ 'dev', 'prod' ], required: true },
+            db: {
+                type: 'object',
+                objectDefinition: {
+                    host: { type: 'string', default: 'localhost' },
+                    port: { type: 'number', default: 5432 }
+                },
+                default: { host: 'localhost', port: 5432 }
+            }
+        }
+
+        it("should get options from environment variables", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Env Test' })
+            let clean = oc.getCleanOptionsFromEnv({
+                APP_PORT: '3000',
+                APP_VERBOSE: 'yes',
+                APP_MAX_CONNECTIONS: '20',
+                APP_TAGS: 'a,b',
+                APP_MODE: 'prod',
+                APP_DB__HOST: 'db.example.com',
+                PORT: '1'
+            }, { prefix: 'APP_' })
+            expect(clean).toEqual({
+                port: 3000,
+                verbose: true,
+                maxConnections: 20,
+                tags: [ 'a', 'b' ],
+                mode: 'prod',
+                db: { host: 'db.example.com', port: 5432 }
+            })
+            expect(oc.getCleanOptionsFromEnv({ MODE: 'dev' }).port).toBe(8080)
+            expect( () => { oc.getCleanOptionsFromEnv({ APP_MODE: 'dev' }) }).toThrowMatching( (e) => e.code === ErrorCode.REQUIRED_MISSING)
+            expect( () => { oc.getCleanOptionsFromEnv(undefined) }).toThrowMatching( (e) => {
+                return e.code === ErrorCode.INVALID_ARGUMENT && e.message === 'Env Test : env : The environment must be an object, undefined given'
+            })
+        })
+
+        it("should get options from command line arguments", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Argv Test' })
+            let clean = oc.getCleanOptionsFromArgv([ '--port', '3000', '--verbose', '--max-connections=20', '--tags', 'a',
+                '--tags', 'b', '--mode', 'prod', '--db.host=db.example.com', '--db.port', '1234' ])
+            expect(clean).toEqual({
+                port: 3000,
+                verbose: true,
+                maxConnections: 20,
+                tags: [ 'a', 'b' ],
+                mode: 'prod',
+                db: { host: 'db.example.com', port: 1234 }
+            })
+            clean = oc.getCleanOptionsFromArgv([ '--no-verbose', '--tags=x,y', '--maxConnections', '5', '--mode', 'dev' ])
+            expect(clean.verbose).toBeFalse()
+            expect(clean.tags).toEqual([ 'x', 'y' ])
+            expect(clean.maxConnections).toBe(5)
+            expect( () => { oc.getCleanOptionsFromArgv([ '--mode', 'dev', '--colour', 'red' ])}).toThrowMatching( (e) => e.code === ErrorCode.INVALID_ARGUMENT)
+            expect( () => { oc.getCleanOptionsFromArgv([ '--mode', 'dev', 'extra' ])}).toThrowMatching( (e) => e.code === ErrorCode.INVALID_ARGUMENT)
+            expect( () => { oc.getCleanOptionsFromArgv([ '--mode' ])}).toThrowMatching( (e) => e.code === ErrorCode.INVALID_ARGUMENT)
+            expect( () => { oc.getCleanOptionsFromArgv([ '--mode', 'test' ])}).toThrowMatching( (e) => e.code === ErrorCode.VALUE_NOT_ALLOWED)
+        })
+
+        it("should reject flags without a value and arguments that are not strings", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Argv Test' })
+            expect( () => { oc.getCleanOptionsFromArgv([ '--mode', 'dev', '--port', '--verbose' ])}).toThrowMatching( (e) => {
+                return e.code === ErrorCode.INVALID_ARGUMENT && e.message === `Argv Test : argv : Missing value for option '--port'` && e.received === '--port'
+            })
+            expect(oc.getCleanOptionsFromArgv([ '--mode', 'dev', '--tags=--x', '--port', '-1' ])).toEqual(jasmine.objectContaining({ tags: [ '--x' ], port: -1 }))
+            expect( () => { oc.getCleanOptionsFromArgv([ '--mode', 'dev', '--port', 3000 ])}).toThrowMatching( (e) => {
+                return e.code === ErrorCode.INVALID_ARGUMENT && e.message === 'Argv Test : argv : Argument 3 should be a string, 3000 given'
+            })
+            expect( () => { oc.getCleanOptionsFromArgv('--mode dev')}).toThrowMatching( (e) => e.code === ErrorCode.INVALID_ARGUMENT)
+        })
+
+        it("should generate help text", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Help Test' })
+            let helpText = null
+            expect(oc.getCleanOptionsFromArgv([ '--port', '1', '--help' ], { onHelp: (text) => { helpText = text } })).toBeNull()
+            expect(helpText).toBe(oc.getArgvHelpText())
+            expect(helpText).toBe([
+                'Options for Help Test:',
+                '  --port <number>                            default: 8080',
+                '  --[no-]verbose                             default: false',
+                '  --max-connections <NumberGreaterThanZero>  default: 10',
+                '  --tags <array>                             default: []',
+                '  --mode <dev|prod>                          required',
+                '  --db.host <string>                         default: "localhost"',
+                '  --db.port <number>                         default: 5432'
+            ].join('\n'))
+        })
+    })
+    describe("Async checking", () => {
+
+        let delay = (ms, value) => { return new Promise( (resolve) => { setTimeout( () => { resolve(value) }, ms) }) }
+
+        it("should await custom checks and transform functions", async () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    id: { type: 'string', required: true, customCheck: (id) => delay(5, id.startsWith('doc')), customCheckDescription: 'a document id' },
+                    user: { type: 'object', default: {}, objectDefinition: {
+                        name: { type: 'string', default: 'nobody', transformFunction: (name) => delay(5, name.toUpperCase()) }
+                    }},
+                    tags: { type: 'array', default: [], elementDefinition: { type: 'string', transformFunction: async (tag) => `#${tag}` } },
+                    size: { type: 'number', default: 10 }
+                },
+                context: 'Async Test'
+            })
+            expect(await oc.getCleanOptionsAsync({ id: 'doc1', user: { name: 'rafael' }, tags: [ 'a', 'b' ] })).toEqual({
+                id: 'doc1',
+                user: { name: 'RAFAEL' },
+                tags: [ '#a', '#b' ],
+                size: 10
+            })
+            await expectAsync(oc.getCleanOptionsAsync({ id: 'other' })).toBeRejectedWith(jasmine.objectContaining({
+                code: ErrorCode.CUSTOM_CHECK_FAILED,
+                optionPath: [ 'id' ]
+            }))
+        })
+
+        it("should report promises returned when checking synchronously", async () => {
+            let unhandledRejections = []
+            let onUnhandledRejection = (reason) => { unhandledRejections.push(reason) }
+            process.on('unhandledRejection', onUnhandledRejection)
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    id: { type: 'string', required: true, customCheck: async (id) => id.startsWith('doc'), customCheckDescription: 'a document id' },
+                    owner: { type: 'string', default: 'nobody', customCheck: () => Promise.reject(new Error('boom')), customCheckDescription: 'a user' },
+                    tags: { type: 'array', required: true, elementDefinition: { type: 'string', transformFunction: async (tag) => `#${tag}` } }
+                },
+                context: 'Sync Promise Test'
+            })
+            let report = oc.validate({ id: 'other', owner: 'rafael', tags: [ 'a' ] })
+            expect(report.valid).toBeFalse()
+            expect(report.errors.map( (e) => `${e.code} ${e.path.join('.')}: ${e.message}`)).toEqual([
+                `${ErrorCode.CUSTOM_CHECK_FAILED} id: customCheck for option id returned a promise, use getCleanOptionsAsync`,
+                `${ErrorCode.TRANSFORM_FAILED} tags.0: Transform function failed for option element: ` +
+                    `a promise was returned, use getCleanOptionsAsync to check options asynchronously`
+            ])
+            expect(report.warnings.map( (w) => w.path)).toEqual([ [ 'owner' ] ])
+            expect( () => { oc.getCleanOptions({ id: 'doc1', tags: [] })}).toThrowMatching( (e) => e.code === ErrorCode.CUSTOM_CHECK_FAILED)
+            await delay(5)
+            process.removeListener('unhandledRejection', onUnhandledRejection)
+            expect(unhandledRejections).toEqual([])
+        })
+
+        it("should check independent options concurrently", async () => {
+            let running = 0
+            let maxRunning = 0
+            let slowCheck = async () => {
+                running++
+                maxRunning = Math.max(maxRunning, running)
+                await delay(10)
+                running--
+                return true
+            }
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    a: { type: 'string', default: '', customCheck: slowCheck },
+                    b: { type: 'string', default: '', customCheck: slowCheck },
+                    c: { type: 'array', default: [], elementDefinition: { type: 'number', customCheck: slowCheck } }
+                },
+                context: 'Async Concurrency Test'
+            })
+            await oc.getCleanOptionsAsync({ a: 'x', b: 'y', c: [ 1, 2, 3 ] })
+            expect(maxRunning).toBe(5)
+        })
+
+        it("should fall back to defaults and report errors in definition order", async () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    first: { type: 'number', default: 1, customCheck: (value) => delay(20, value > 0) },
+                    second: { type: 'number', default: 2, customCheck: (value) => delay(1, value > 0) },
+                    third: { type: 'string', default: 'c', transformFunction: () => Promise.reject(new Error('no way')) }
+                },
+                context: 'Async Errors Test',
+                strictDefault: true
+            })
+            let error = null
+            try {
+                await oc.getCleanOptionsAsync({ first: -1, second: -2 })
+            } catch (e) {
+                error = e
+            }
+            expect(error instanceof OptionsCheckerError).toBeTrue()
+            expect(error.optionPath).toEqual([ 'first' ])
+
+            let lenientChecker = new OptionsChecker({ optionsDefinition: oc.optionsDefinition, context: 'Async Errors Test', strictDefault: false })
+            expect(await lenientChecker.getCleanOptionsAsync({ first: -1, second: 5 })).toEqual({ first: 1, second: 5, third: 'c' })
+            await expectAsync(lenientChecker.getCleanOptionsAsync({ third: 'x' })).toBeRejectedWith(jasmine.objectContaining({
+                code: ErrorCode.TRANSFORM_FAILED,
+                optionPath: [ 'third' ]
+            }))
+        })
+
+        it("should support async types", async () => {
+            let existingIds = [ 'a1', 'b2' ]
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    docs: { type: 'array', elementDefinition: { type: 'ExistingId' }, default: [] }
+                },
+                context: 'Async Type Test',
+                strictDefault: true,
+                types: {
+                    ExistingId: {
+                        check: async (value) => typeof value === 'string' && existingIds.indexOf(await delay(1, value)) !== -1,
+                        describe: () => 'an existing id',
+                        normalize: (value) => delay(1, { id: value })
+                    }
+                }
+            })
+            expect(await oc.getCleanOptionsAsync({ docs: [ 'a1', 'b2' ] })).toEqual({ docs: [ { id: 'a1' }, { id: 'b2' } ] })
+            await expectAsync(oc.getCleanOptionsAsync({ docs: [ 'a1', 'c3' ] })).toBeRejectedWith(jasmine.objectContaining({
+                optionPath: [ 'docs', 1 ],
+                message: 'Async Type Test : docs : element 1 : element should be an existing id, \'c3\' given'
+            }))
+        })
+    })
+    describe("Unknown properties", () => {
+
+        let definition = {
+            maxLength: { type: 'number', default: 10 },
+            user: { type: 'object', default: {}, objectDefinition: { name: { type: 'string', default: 'nobody' } } }
+        }
+
+        it("should strip unknown properties by default and report them", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Unknown Strip Test', strictDefault: true })
+            let report = oc.validate({ maxLenght: 5, user: { nmae: 'Rafael' }, other: 1 })
+            expect(report.valid).toBeTrue()
+            expect(report.cleanOptions).toEqual({ maxLength: 10, user: { name: 'nobody' } })
+            expect(report.warnings).toEqual([])
+            expect(report.unknownProperties.map( (issue) => issue.path)).toEqual([ [ 'user', 'nmae' ], [ 'maxLenght' ], [ 'other' ] ])
+            expect(report.unknownProperties[0].suggestion).toBe('name')
+            expect(report.unknownProperties[1].message).toBe(`Unknown option 'maxLenght', did you mean 'maxLength'?`)
+            expect(report.unknownProperties[1].code).toBe(ErrorCode.UNKNOWN_PROPERTY)
+            expect(report.unknownProperties[2].message).toBe(`Unknown option 'other'`)
+            expect(report.unknownProperties[2].suggestion).toBeUndefined()
+        })
+
+        it("should warn about unknown properties", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Unknown Warn Test', unknownProperties: 'warn' })
+            let report = oc.validate({ MaxLength: 5 })
+            expect(report.valid).toBeTrue()
+            expect(report.warnings.length).toBe(1)
+            expect(report.warnings[0].message).toBe(`Unknown option 'MaxLength', did you mean 'maxLength'?`)
+            expect(report.warnings[0].context).toBe('Unknown Warn Test')
+        })
+
+        it("should reject unknown properties", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Unknown Error Test', unknownProperties: 'error', strictDefault: true })
+            expect( () => { oc.getCleanOptions({ maxLength: 5, user: { name: 'Rafael' } })}).not.toThrow()
+            expect( () => { oc.getCleanOptions({ maxLenght: 5 })}).toThrowMatching( (e) => {
+                return e.code === ErrorCode.UNKNOWN_PROPERTY && e.message === `Unknown Error Test : Unknown option 'maxLenght', did you mean 'maxLength'?`
+            })
+            expect( () => { oc.getCleanOptions({ user: { nmae: 'Rafael' } })}).toThrowMatching( (e) => {
+                return e.code === ErrorCode.UNKNOWN_PROPERTY && e.message === `Unknown Error Test : user : Unknown option 'nmae', did you mean 'name'?`
+            })
+        })
+
+        it("should apply the policy given in an option definition", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    user: { type: 'object', default: {}, unknownProperties: 'passthrough', objectDefinition: { name: { type: 'string', default: 'nobody' } } },
+                    shape: {
+                        discriminator: 'kind',
+                        unknownProperties: 'error',
+                        oneOf: { circle: { objectDefinition: { radius: { type: 'number', default: 1 } } } },
+                        default: { kind: 'circle', radius: 1 }
+                    }
+                },
+                context: 'Unknown Option Policy Test'
+            })
+            let report = oc.validate({ user: { name: 'Rafael', age: 48 }, shape: { kind: 'circle', radius: 2 } })
+            expect(report.cleanOptions.user).toEqual({ name: 'Rafael', age: 48 })
+            expect(report.cleanOptions.shape).toEqual({ kind: 'circle', radius: 2 })
+            expect(report.unknownProperties.length).toBe(1)
+            expect(report.errors).toEqual([])
+
+            report = oc.validate({ shape: { kind: 'circle', radios: 2 } })
+            expect(report.cleanOptions.shape).toEqual({ kind: 'circle', radius: 1 })
+            expect(report.warnings.length).toBe(1)
+            expect(report.warnings[0].message).toBe(`Unknown option 'radios', did you mean 'radius'? Default assigned to 'shape'.`)
+        })
+
+        it("should pass through __proto__ properties as own properties", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Unknown Proto Test', unknownProperties: 'passthrough' })
+            let clean = oc.getCleanOptions(JSON.parse('{ "__proto__": { "polluted": 1 }, "user": { "__proto__": { "polluted": 2 } } }'))
+            expect(Object.getPrototypeOf(clean)).toBe(Object.prototype)
+            expect(Object.keys(clean)).toEqual([ 'maxLength', 'user', '__proto__' ])
+            expect(clean.polluted).toBeUndefined()
+            expect(Object.getOwnPropertyDescriptor(clean, '__proto__').value).toEqual({ polluted: 1 })
+            expect(Object.getPrototypeOf(clean.user)).toBe(Object.prototype)
+            expect(clean.user.polluted).toBeUndefined()
+            expect({}.polluted).toBeUndefined()
+
+            let aliasChecker = new OptionsChecker({
+                optionsDefinition: { size: { type: 'number', default: 1, aliases: [ 's' ] }, mode: { type: 'string', default: 'a' } },
+                context: 'Unknown Proto Alias Test'
+            })
+            expect(aliasChecker.getCleanOptions(JSON.parse('{ "__proto__": { "mode": "b" }, "s": 3 }'))).toEqual({ size: 3, mode: 'a' })
+        })
+    })
+    describe("Definition checking", () => {
+
+        it("should report all errors in the definition at construction", () => {
+            let error = null
+            try {
+                new OptionsChecker({
+                    optionsDefinition: {
+                        size: { type: 'number', min: 10, max: 1, default: 5 },
+                        name: { type: 'stirng', required: true, default: 'none' },
+                        check: { type: 'string', default: '', customCheck: 'not a function' },
+                        tags: { type: 'array', default: [], elementDefiniton: { type: 'string' } },
+                        user: { type: 'object', default: {}, objectDefinition: {
+                            emails: { type: 'array', default: [], elementDefinition: { type: 'string', minLength: 5, maxLength: 2 } }
+                        }},
+                        mode: { type: 'object', default: {}, unknownProperties: 'ignore' }
+                    },
+                    context: 'Definition Test'
+                })
+            } catch (e) {
+                error = e
+            }
+            expect(error instanceof OptionsCheckerError).toBeTrue()
+            expect(error.code).toBe(ErrorCode.INVALID_DEFINITION)
+            expect(error.issues.map( (issue) => [ issue.path, issue.code ])).toEqual([
+                [ [ 'size' ], ErrorCode.INVALID_DEFINITION ],
+                [ [ 'name' ], ErrorCode.UNKNOWN_TYPE ],
+                [ [ 'name' ], ErrorCode.INVALID_DEFINITION ],
+                [ [ 'check' ], ErrorCode.INVALID_DEFINITION ],
+                [ [ 'tags' ], ErrorCode.INVALID_DEFINITION ],
+                [ [ 'user', 'emails', '*' ], ErrorCode.INVALID_DEFINITION ],
+                [ [ 'mode' ], ErrorCode.INVALID_DEFINITION ]
+            ])
+            expect(error.issues[4].message).toBe(`Unknown key 'elementDefiniton' in the option definition, did you mean 'elementDefinition'?`)
+            expect(error.message).toContain(`Definition Test : Invalid options definition: size: min (10) is greater than max (1); name: Unrecognized type 'stirng';`)
+            expect(error.message).toContain(`user.emails.*: minLength (5) is greater than maxLength (2)`)
+        })
+
+        it("should keep a normalized and frozen copy of the definition", () => {
+            let definition = {
+                name: { type: 'NONEMPTYSTRING', default: 'none' },
+                tags: { type: 'Array', default: [], elementDefinition: { type: [ 'String', 'number' ] } },
+                size: { type: 'EvenInteger', default: 2, step: 2 }
+            }
+            let copy = JSON.parse(JSON.stringify(definition))
+            let oc = new OptionsChecker({
+                optionsDefinition: definition,
+                context: 'Normalized Definition Test',
+                types: {
+                    EvenInteger: { check: (value, optionDefinition) => Number.isInteger(value) && value % optionDefinition.step === 0, definitionKeys: [ 'step' ] }
+                }
+            })
+            expect(oc.getCleanOptions({ name: 'test', size: 4 })).toEqual({ name: 'test', tags: [], size: 4 })
+            expect(JSON.parse(JSON.stringify(definition))).toEqual(copy)
+            expect(oc.optionsDefinition).not.toBe(definition)
+            expect(oc.optionsDefinition.name.type).toBe('NonEmptyString')
+            expect(oc.optionsDefinition.tags.type).toBe('array')
+            expect(oc.optionsDefinition.tags.elementDefinition.type).toEqual([ 'string', 'number' ])
+            expect(Object.isFrozen(oc.optionsDefinition)).toBeTrue()
+            expect(Object.isFrozen(oc.optionsDefinition.tags.elementDefinition)).toBeTrue()
+            expect(Object.isFrozen(oc.optionsDefinition.tags.elementDefinition.type)).toBeTrue()
+            expect(Object.isFrozen(definition.tags)).toBeFalse()
+        })
+
+        it("should copy the names and conditions of cross-field rules and other names", () => {
+            let requiredIf = { mode: 'remote' }
+            let aliases = [ 'address' ]
+            let definition = {
+                mode: { type: 'string', default: 'local' },
+                url: { type: 'string', requiredIf: requiredIf, aliases: aliases, conflictsWith: [ 'file' ] },
+                file: { type: 'string', optional: true }
+            }
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Copied Rules Test' })
+            expect(oc.optionsDefinition.url.requiredIf).not.toBe(requiredIf)
+            expect(oc.optionsDefinition.url.requiredIf).toEqual({ mode: 'remote' })
+            for (const key of [ 'requiredIf', 'aliases', 'conflictsWith']) {
+                expect(Object.isFrozen(oc.optionsDefinition.url[key])).withContext(key).toBeTrue()
+            }
+            requiredIf.mode = 'local'
+            aliases.push('mode')
+            definition.url.conflictsWith.push('mode')
+            expect(oc.validate({ mode: 'remote' }).errors.map( (issue) => issue.message)).toEqual([ `Option 'url' is required when mode is 'remote'` ])
+            expect(oc.getCleanOptions({ address: 'http://example.org' })).toEqual({ mode: 'local', url: 'http://example.org' })
+        })
+
+        it("should report ranges that do not fit the type", () => {
+            let error = null
+            try {
+                new OptionsChecker({
+                    optionsDefinition: {
+                        name: { type: 'string', min: 3, default: 'none' },
+                        size: { type: 'number', min: new Date(), default: 1 },
+                        count: { type: 'integer', exclusiveMax: 10, default: 1 },
+                        id: { type: 'bigint', max: 10, optional: true },
+                        since: { type: 'date', min: new Date('2020-01-01'), max: 0, optional: true },
+                        value: { type: [ 'number', 'bigint' ], min: 0, optional: true },
+                        step: { type: 'Step', min: 2, optional: true }
+                    },
+                    context: 'Range Definition Test',
+                    types: { Step: { check: (value, optionDefinition) => value === optionDefinition.min } }
+                })
+            } catch (e) {
+                error = e
+            }
+            expect(error instanceof OptionsCheckerError).toBeTrue()
+            expect(error.issues.map( (issue) => `${issue.path.join('.')}: ${issue.message}`)).toEqual([
+                `name: min cannot be used with type 'string'`,
+                `size: min must be a number for type 'number', [Date] given`,
+                `id: max must be a bigint for type 'bigint', 10 given`,
+                `since: max must be a date for type 'date', 0 given`
+            ])
+        })
+    })
+    describe("Defaults", () => {
+        it("should assign a fresh copy of object and array defaults", () => {
+            class Point {
+                constructor(x, y) { this.x = x; this.y = y }
+            }
+            let origin = new Point(0, 0)
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    tags: { type: 'array', default: [ 'a', [ 'b' ] ] },
+                    style: { type: 'object', default: { colors: { fg: 'black' }, since: new Date(0) } },
+                    ids: { type: 'object', objectClass: Set, default: new Set([ 1, 2 ]) },
+                    origin: { type: 'object', objectClass: Point, default: origin }
+                },
+                context: 'Defaults Test'
+            })
+            let defaults1 = oc.getDefaults()
+            let defaults2 = oc.getDefaults()
+            expect(defaults1).toEqual(defaults2)
+            expect(defaults1.tags).not.toBe(defaults2.tags)
+            expect(defaults1.tags[1]).not.toBe(defaults2.tags[1])
+            expect(defaults1.style.colors).not.toBe(defaults2.style.colors)
+            expect(defaults1.style.since).not.toBe(defaults2.style.since)
+            expect(defaults1.ids).not.toBe(defaults2.ids)
+            defaults1.tags.push('c')
+            defaults1.style.colors.fg = 'white'
+            expect(oc.getDefaults()).toEqual(defaults2)
+            // class instances are not copied
+            expect(defaults1.origin).toBe(origin)
+            // invalid values fall back to a copy too
+            expect(oc.getCleanOptions({ tags: 'a' }).tags).toEqual([ 'a', [ 'b' ] ])
+            expect(oc.getCleanOptions({ tags: 'a' }).tags).not.toBe(oc.getCleanOptions({ tags: 'a' }).tags)
+        })
+
+        it("should call the default factory every time a default is needed", () => {
+            let calls = 0
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    id: { type: 'number', defaultFactory: () => ++calls },
+                    list: { type: 'array', elementDefinition: { type: 'number' }, defaultFactory: () => [ 1, 2 ] }
+                },
+                context: 'Factory Test'
+            })
+            expect(oc.getDefaults()).toEqual({ id: 1, list: [ 1, 2 ] })
+            expect(oc.getCleanOptions({ id: 'x' }).id).toBe(2)
+            expect(oc.getCleanOptions({ id: 10 }).id).toBe(10)
+            expect(calls).toBe(2)
+            let failing = new OptionsChecker({
+                optionsDefinition: { id: { type: 'number', defaultFactory: () => { throw new Error('no ids left') } } },
+                context: 'Factory Test'
+            })
+            expect( () => { failing.getDefaults() }).toThrowMatching( (e) => e.code === ErrorCode.NO_DEFAULT &&
+                e.message === 'Factory Test : Default factory failed for option id: no ids left' && e.cause.message === 'no ids left')
+        })
+
+        it("should await default factories in async mode", async () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: { token: { type: 'string', defaultFactory: () => Promise.resolve('abc') } },
+                context: 'Async Factory Test'
+            })
+            await expectAsync(oc.getCleanOptionsAsync({})).toBeResolvedTo({ token: 'abc' })
+            await expectAsync(oc.getCleanOptionsAsync({ token: 'xyz' })).toBeResolvedTo({ token: 'xyz' })
+        })
+
+        it("should derive the default of object options from their definition", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    server: { type: 'object', objectDefinition: {
+                        host: { type: 'string', default: 'localhost' },
+                        port: { type: 'number', default: 80 },
+                        tls: { type: 'object', objectDefinition: {
+                            enabled: { type: 'boolean', default: false },
+                            protocols: { type: 'array', defaultFactory: () => [ 'TLSv1.3' ] }
+                        } }
+                    } },
+                    auth: { type: 'object', objectDefinition: { user: { type: 'string', required: true } } }
+                },
+                context: 'Derived Default Test'
+            })
+            let expectedServer = { host: 'localhost', port: 80, tls: { enabled: false, protocols: [ 'TLSv1.3' ] } }
+            expect(oc.getCleanOptions({ auth: { user: 'me' } })).toEqual({ server: expectedServer, auth: { user: 'me' } })
+            expect(oc.getCleanOptions({ auth: { user: 'me' }, server: 'x' }).server).toEqual(expectedServer)
+            expect(oc.getCleanOptions({ auth: { user: 'me' }, server: { port: 8080 } }).server.port).toBe(8080)
+            // no default can be derived if a nested option has no default
+            expect( () => { oc.getCleanOptions({}) }).toThrowMatching( (e) => e.code === ErrorCode.NO_DEFAULT && e.optionPath[0] === 'auth')
+        })
+
+        it("should report invalid default definitions", () => {
+            let getChecker = (definition) => {
+                return () => new OptionsChecker({ optionsDefinition: { a: definition }, context: 'Default Definition Test' })
+            }
+            expect(getChecker({ type: 'number', defaultFactory: 3 })).toThrowMatching( (e) => e.code === ErrorCode.INVALID_DEFINITION)
+            expect(getChecker({ type: 'number', required: true, defaultFactory: () => 3 })).toThrowMatching( (e) => e.code === ErrorCode.INVALID_DEFINITION)
+            expect(getChecker({ type: 'number', default: 3, defaultFactory: () => 3 })).toThrowMatching( (e) =>
+                e.message === 'Default Definition Test : Invalid options definition: a: default and defaultFactory cannot be used together')
+        })
+    })
+    describe("Cross-field rules", () => {
+        let getIssues = (report) => report.errors.map( (issue) => [ issue.path, issue.code, issue.message ])
+
+        it("should check requiredIf", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    mode: { type: 'string', values: [ 'local', 'remote' ], default: 'local' },
+                    url: { type: 'string', requiredIf: { mode: 'remote' } },
+                    user: { type: 'string' , default: '' },
+                    password: { type: 'string', requiredIf: 'user' }
+                },
+                context: 'RequiredIf Test'
+            })
+            expect(oc.getCleanOptions({})).toEqual({ mode: 'local', user: '' })
+            expect(oc.getCleanOptions({ mode: 'remote', url: 'https://example.com' }).url).toBe('https://example.com')
+            expect(getIssues(oc.validate({ mode: 'remote', user: 'me' }))).toEqual([
+                [ [ 'url' ], ErrorCode.REQUIRED_MISSING, `Option 'url' is required when mode is 'remote'` ],
+                [ [ 'password' ], ErrorCode.REQUIRED_MISSING, `Option 'password' is required when 'user' is given` ]
+            ])
+            expect( () => { oc.getCleanOptions({ mode: 'remote' }) }).toThrowMatching( (e) => e.code === ErrorCode.REQUIRED_MISSING &&
+                e.message === `RequiredIf Test : Option 'url' is required when mode is 'remote'`)
+        })
+
+        it("should check conflictsWith and implies", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    inline: { type: 'string', conflictsWith: 'src' },
+                    src: { type: 'string', conflictsWith: [ 'inline' ] },
+                    startPage: { type: 'number', implies: [ 'endPage' ] },
+                    endPage: { type: 'number' }
+                },
+                context: 'Conflicts Test'
+            })
+            expect(oc.getCleanOptions({ src: 'a.js' })).toEqual({ src: 'a.js' })
+            expect(oc.getCleanOptions({ startPage: 1, endPage: 2 })).toEqual({ startPage: 1, endPage: 2 })
+            expect(oc.getCleanOptions({ endPage: 2 })).toEqual({ endPage: 2 })
+            expect(getIssues(oc.validate({ inline: 'x = 1', src: 'a.js', startPage: 1 }))).toEqual([
+                [ [ 'inline' ], ErrorCode.CONFLICTING_OPTIONS, `Options 'inline' and 'src' cannot be used together` ],
+                [ [ 'endPage' ], ErrorCode.REQUIRED_MISSING, `Option 'endPage' is required when 'startPage' is given` ]
+            ])
+        })
+
+        it("should apply cross-field rules in nested objects", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    source: { type: 'object', default: { inline: '' }, objectDefinition: {
+                        inline: { type: 'string', conflictsWith: 'src' },
+                        src: { type: 'string' }
+                    } }
+                },
+                context: 'Nested Rules Test'
+            })
+            let report = oc.validate({ source: { inline: 'x', src: 'y' } })
+            expect(report.valid).toBeTrue()
+            expect(report.cleanOptions.source).toEqual({ inline: '' })
+            expect(report.warnings[0].path).toEqual([ 'source', 'inline' ])
+            expect(report.warnings[0].message).toBe(`Options 'inline' and 'src' cannot be used together. Default assigned to 'source'.`)
+        })
+
+        it("should report errors from refine functions", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    range: { type: 'object', objectDefinition: {
+                        startPage: { type: 'number', required: true },
+                        endPage: { type: 'number', required: true }
+                    }, refine: (range) => range.endPage >= range.startPage ? [] : [ { path: 'endPage', message: 'endPage must not be less than startPage' } ] },
+                    items: { type: 'array', elementDefinition: { type: 'string' }, default: [] },
+                    max: { type: 'number', default: 10 }
+                },
+                context: 'Refine Test',
+                refine: (options) => options.items.length > options.max ? [ `Too many items, the maximum is ${options.max}` ] : []
+            })
+            expect(oc.getCleanOptions({ range: { startPage: 1, endPage: 2 } }).range).toEqual({ startPage: 1, endPage: 2 })
+            expect( () => { oc.getCleanOptions({ range: { startPage: 3, endPage: 2 } }) }).toThrowMatching( (e) =>
+                e.code === ErrorCode.REFINEMENT_FAILED && e.message === 'Refine Test : endPage must not be less than startPage' &&
+                e.optionPath.join('.') === 'range.endPage')
+            expect(getIssues(oc.validate({ range: { startPage: 1, endPage: 2 }, items: [ 'a', 'b' ], max: 1 }))).toEqual([
+                [ [], ErrorCode.REFINEMENT_FAILED, 'Too many items, the maximum is 1' ]
+            ])
+            // the checker's refine function is only called if the options are otherwise valid
+            expect(getIssues(oc.validate({ items: [ 'a', 'b' ], max: 1 })).map( (issue) => issue[1])).toEqual([ ErrorCode.NO_DEFAULT ])
+        })
+
+        it("should report refine functions that throw", async () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: { name: { type: 'string', default: '' } },
+                context: 'Refine Test',
+                refine: (options) => { if (options.name === 'x') { throw new Error('bad name') } return [] }
+            })
+            expect( () => { oc.getCleanOptions({ name: 'x' }) }).toThrowMatching( (e) => e.code === ErrorCode.REFINEMENT_FAILED &&
+                e.message === 'Refine Test : Refinement failed for the options: bad name' && e.cause.message === 'bad name')
+            let asyncChecker = new OptionsChecker({
+                optionsDefinition: { name: { type: 'string', required: true, refine: (name) => Promise.resolve(name === 'taken' ? [ 'name is taken' ] : []) } },
+                context: 'Async Refine Test'
+            })
+            await expectAsync(asyncChecker.getCleanOptionsAsync({ name: 'free' })).toBeResolvedTo({ name: 'free' })
+            await expectAsync(asyncChecker.getCleanOptionsAsync({ name: 'taken' })).toBeRejectedWith(jasmine.objectContaining({
+                code: ErrorCode.REFINEMENT_FAILED,
+                optionPath: [ 'name' ],
+                message: 'Async Refine Test : name is taken'
+            }))
+        })
+
+        it("should export implies to JSON Schema", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    startPage: { type: 'number', implies: 'endPage' },
+                    endPage: { type: 'number' },
+                    title: { type: 'string' }
+                },
+                context: 'Rules Schema Test'
+            })
+            let schema = oc.toJsonSchema()
+            expect(schema.required).toEqual([ 'title' ])
+            expect(schema.dependentRequired).toEqual({ startPage: [ 'endPage' ] })
+        })
+
+        it("should check cross-field rules in the definition", () => {
+            expect( () => {
+                new OptionsChecker({
+                    optionsDefinition: {
+                        url: { type: 'string', requiredIf: { mdoe: 'remote' } },
+                        inline: { type: 'string', conflictsWith: 'inline' },
+                        src: { type: 'string', implies: 5, required: true, requiredIf: 'inline' }
+                    },
+                    context: 'Rules Definition Test'
+                })
+            }).toThrowMatching( (e) => e.code === ErrorCode.INVALID_DEFINITION && e.issues.map( (issue) => issue.message).join('; ') ===
+                `requiredIf refers to 'mdoe', which is not another option in the definition; ` +
+                `conflictsWith refers to 'inline', which is not another option in the definition; ` +
+                `A required option cannot have requiredIf; Invalid implies, need an option name or an array of option names`)
+        })
+    })
+    describe("Records and tuples", () => {
+        it("should check records", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    witnesses: {
+                        type: 'record',
+                        keyDefinition: { type: 'NonEmptyString', transformFunction: (key) => key.toUpperCase() },
+                        valueDefinition: { type: 'object', objectDefinition: {
+                            title: { type: 'string', required: true },
+                            pages: { type: 'number', default: 0 }
+                        } },
+                        maxLength: 2,
+                        default: {}
+                    }
+                },
+                context: 'Record Test',
+                strictDefault: true
+            })
+            expect(oc.getDefaults()).toEqual({ witnesses: {} })
+            expect(oc.getCleanOptions({ witnesses: { a: { title: 'A' }, b: { title: 'B', pages: 10 } } })).toEqual({
+                witnesses: { A: { title: 'A', pages: 0 }, B: { title: 'B', pages: 10 } }
+            })
+            let map = new Map([ [ 'a', { title: 'A' } ] ])
+            let cleanMap = oc.getCleanOptions({ witnesses: map }).witnesses
+            expect(cleanMap instanceof Map).toBeTrue()
+            expect(cleanMap).not.toBe(map)
+            expect(cleanMap.get('A')).toEqual({ title: 'A', pages: 0 })
+            expect( () => { oc.getCleanOptions({ witnesses: { a: { pages: 1 } } }) }).toThrowMatching( (e) => e.code === ErrorCode.REQUIRED_MISSING &&
+                e.optionPath.join('.') === 'witnesses.a.title' && e.context === `Record Test : witnesses : value 'a' : value`)
+            expect( () => { oc.getCleanOptions({ witnesses: { '': { title: 'A' } } }) }).toThrowMatching( (e) => e.code === ErrorCode.TYPE_MISMATCH &&
+                e.message === `Record Test : witnesses : key '' : key should be a non-empty string, '' given`)
+            expect( () => { oc.getCleanOptions({ witnesses: [] }) }).toThrowMatching( (e) => e.code === ErrorCode.TYPE_MISMATCH)
+            expect( () => { oc.getCleanOptions({ witnesses: { a: { title: 'A' }, b: { title: 'B' }, c: { title: 'C' } } }) })
+                .toThrowMatching( (e) => e.code === ErrorCode.INVALID_LENGTH)
+        })
+
+        it("should keep __proto__ record keys as own properties", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    labels: { type: 'record', valueDefinition: { type: 'string' }, default: {} }
+                },
+                context: 'Record Proto Test'
+            })
+            let cleanLabels = oc.getCleanOptions({ labels: JSON.parse('{ "__proto__": "proto", "a": "A" }') }).labels
+            expect(Object.getPrototypeOf(cleanLabels)).toBe(Object.prototype)
+            expect(Object.keys(cleanLabels)).toEqual([ '__proto__', 'a' ])
+            expect(Object.getOwnPropertyDescriptor(cleanLabels, '__proto__').value).toBe('proto')
+        })
+
+        it("should check tuples", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    point: { type: 'tuple', items: [ { type: 'number', required: true }, { type: 'number', required: true }, { type: 'string', default: '' } ] },
+                    path: { type: 'tuple', items: [ { type: 'string', transformFunction: (name) => name.trim() , required: true } ],
+                        rest: { type: 'number', min: 0 }, default: [ 'start' ] }
+                },
+                context: 'Tuple Test'
+            })
+            expect(oc.getCleanOptions({ point: [ 1, 2 ] })).toEqual({ point: [ 1, 2, '' ], path: [ 'start' ] })
+            expect(oc.getCleanOptions({ point: [ 1, 2, 'origin' ], path: [ ' a ', 1, 2, 3 ] })).toEqual({ point: [ 1, 2, 'origin' ], path: [ 'a', 1, 2, 3 ] })
+            expect( () => { oc.getCleanOptions({ point: [ 1 ] }) }).toThrowMatching( (e) => e.code === ErrorCode.REQUIRED_MISSING &&
+                e.optionPath.join('.') === 'point.1' && e.message === `Tuple Test : point : element 1 : Required option 'element 1' not found`)
+            expect( () => { oc.getCleanOptions({ point: [ 1, 2, 'a', 4 ] }) }).toThrowMatching( (e) => e.code === ErrorCode.INVALID_LENGTH &&
+                e.message === `Tuple Test : Tuple 'point' should not have more than 3 element(s), it has 4`)
+            let report = oc.validate({ point: [ 1, 2 ], path: [ 'a', -1 ] })
+            expect(report.cleanOptions.path).toEqual([ 'start' ])
+            expect(report.warnings.map( (issue) => issue.path)).toEqual([ [ 'path', 1 ] ])
+        })
+
+        it("should check records and tuples asynchronously", async () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    ids: { type: 'record', valueDefinition: { type: 'number', transformFunction: (id) => Promise.resolve(id * 2) } },
+                    pair: { type: 'tuple', items: [ { type: 'string', customCheck: (s) => Promise.resolve(s !== ''), customCheckDescription: 'not empty' }, { type: 'number', default: 0 } ] }
+                },
+                context: 'Async Container Test',
+                strictDefault: true
+            })
+            await expectAsync(oc.getCleanOptionsAsync({ ids: new Map([ [ 1, 1 ], [ 2, 2 ] ]), pair: [ 'a' ] })).toBeResolvedTo({
+                ids: new Map([ [ 1, 2 ], [ 2, 4 ] ]),
+                pair: [ 'a', 0 ]
+            })
+            await expectAsync(oc.getCleanOptionsAsync({ ids: {}, pair: [ '' ] })).toBeRejectedWith(jasmine.objectContaining({
+                code: ErrorCode.CUSTOM_CHECK_FAILED,
+                optionPath: [ 'pair', 0 ]
+            }))
+        })
+
+        it("should check record and tuple definitions and export them to JSON Schema", () => {
+            expect( () => {
+                new OptionsChecker({
+                    optionsDefinition: {
+                        a: { type: 'tuple', items: { type: 'number' } },
+                        b: { type: 'record', valueDefinition: { type: 'numbr' } },
+                        c: { type: 'array', keyDefinition: { type: 'string' } }
+                    },
+                    context: 'Container Definition Test'
+                })
+            }).toThrowMatching( (e) => e.issues.map( (issue) => [ issue.path.join('.'), issue.code ]).join(';') ===
+                'a,INVALID_DEFINITION;b.*,UNKNOWN_TYPE;c,INVALID_DEFINITION')
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    scores: { type: 'record', keyDefinition: { type: 'string', minLength: 2 }, valueDefinition: { type: 'number' }, default: {} },
+                    point: { type: 'tuple', items: [ { type: 'number', required: true }, { type: 'string', default: '' } ], default: [ 0 ] }
+                },
+                context: 'Container Schema Test'
+            })
+            let schema = oc.toJsonSchema()
+            expect(schema.properties.scores).toEqual({
+                type: 'object', propertyNames: { type: 'string', minLength: 2 }, additionalProperties: { type: 'number' }, default: {}
+            })
+            expect(schema.properties.point).toEqual({
+                type: 'array', prefixItems: [ { type: 'number' }, { type: 'string', default: '' } ], items: false, minItems: 1, default: [ 0 ]
+            })
+        })
+    })
+    describe("Definition composition", () => {
+        let getBaseChecker = () => new OptionsChecker({
+            optionsDefinition: {
+                id: { type: 'number', required: true },
+                name: { type: 'string', default: '' },
+                style: { type: 'object', default: {}, objectDefinition: {
+                    color: { type: 'string', default: 'black' },
+                    border: { type: 'object', default: {}, objectDefinition: {
+                        width: { type: 'number', default: 1 },
+                        radius: { type: 'number', default: 0 }
+                    } }
+                } }
+            },
+            context: 'Base',
+            strictDefault: true,
+            types: { Even: { check: (value) => Number.isInteger(value) && value % 2 === 0 } }
+        })
+
+        it("should extend a definition merging nested definitions", () => {
+            let base = getBaseChecker()
+            let extended = base.extend({
+                id: { default: 0 },
+                size: { type: 'Even', default: 2 },
+                style: { objectDefinition: {
+                    border: { objectDefinition: { width: { default: 2, min: 1 }, style: { type: 'string', values: [ 'solid', 'dashed' ], default: 'solid' } } }
+                } }
+            }, 'Derived')
+            expect(extended).not.toBe(base)
+            expect(extended.contextStr).toBe('Base + Derived')
+            expect(extended.strictDefault).toBeTrue()
+            expect(extended.getCleanOptions({ style: { border: {} } })).toEqual({
+                id: 0,
+                name: '',
+                size: 2,
+                style: { color: 'black', border: { width: 2, radius: 0, style: 'solid' } }
+            })
+            expect(extended.optionsDefinition.style.objectDefinition.border.objectDefinition.width).toEqual({ type: 'number', default: 2, min: 1 })
+            expect( () => { extended.getCleanOptions({ style: { border: { width: 0 } } }) }).toThrowMatching( (e) => e.code === ErrorCode.OUT_OF_RANGE &&
+                e.context === 'Base + Derived : style : border')
+            // the original checker is not changed
+            expect( () => { base.getDefaults() }).toThrowMatching( (e) => e.code === ErrorCode.REQUIRED_MISSING)
+            expect(base.extend({ extra: { type: 'boolean', default: false } }).contextStr).toBe('Base (extended)')
+        })
+
+        it("should report conflicting type redefinitions", () => {
+            expect( () => {
+                getBaseChecker().extend({
+                    name: { type: 'number', default: 0 },
+                    style: { objectDefinition: { border: { objectDefinition: { width: { type: 'String' }, radius: { type: 'Number' } } } } }
+                })
+            }).toThrowMatching( (e) => e.code === ErrorCode.INVALID_DEFINITION && e.issues.length === 2 &&
+                e.message === `Base : extend : Cannot merge options definitions: name: Conflicting type redefinition, 'string' redefined as 'number'; ` +
+                    `style.border.width: Conflicting type redefinition, 'number' redefined as 'String'`)
+        })
+
+        it("should pick and omit options", () => {
+            let base = getBaseChecker()
+            let picked = base.pick([ 'id', 'name' ])
+            expect(picked.contextStr).toBe('Base (pick id, name)')
+            expect(Object.keys(picked.optionsDefinition)).toEqual([ 'id', 'name' ])
+            expect(picked.getCleanOptions({ id: 1, style: {} })).toEqual({ id: 1, name: '' })
+            let omitted = base.omit([ 'id' ])
+            expect(omitted.contextStr).toBe('Base (omit id)')
+            expect(omitted.getCleanOptions({ style: { border: {} } })).toEqual({ name: '', style: { color: 'black', border: { width: 1, radius: 0 } } })
+            expect( () => { base.pick([ 'nmae' ]) }).toThrowMatching( (e) => e.code === ErrorCode.INVALID_ARGUMENT &&
+                e.message === `Base : pick : Unknown option 'nmae', did you mean 'name'?`)
+            expect( () => { base.omit('id') }).toThrowMatching( (e) => e.code === ErrorCode.INVALID_ARGUMENT)
+        })
+
+        it("should make all options optional", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    id: { type: 'number', required: true },
+                    title: { type: 'string' },
+                    page: { type: 'object', required: true, objectDefinition: {
+                        start: { type: 'number', required: true },
+                        end: { type: 'number', default: 10 }
+                    } }
+                },
+                context: 'Partial Test',
+                refine: (options) => options.id > 0 ? [] : [ 'id must be positive' ]
+            })
+            let partial = oc.partial()
+            expect(partial.contextStr).toBe('Partial Test (partial)')
+            expect(partial.getCleanOptions({})).toEqual({ page: { end: 10 } })
+            expect(partial.getCleanOptions({ title: 'a', page: { start: 2 } })).toEqual({ title: 'a', page: { start: 2, end: 10 } })
+            expect( () => { partial.getCleanOptions({ id: 'x' }) }).toThrowMatching( (e) => e.code === ErrorCode.TYPE_MISMATCH)
+            expect( () => { oc.getCleanOptions({ page: { start: 2 } }) }).toThrowMatching( (e) => e.code === ErrorCode.REQUIRED_MISSING)
+        })
+
+        it("should make the options of element, value and item objects optional", () => {
+            let item = { type: 'object', objectDefinition: { key: { type: 'string', required: true }, size: { type: 'number', default: 1 } } }
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    arr: { type: 'array', elementDefinition: item, default: [] },
+                    byName: { type: 'record', valueDefinition: item, default: {} },
+                    pair: { type: 'tuple', items: [ item ], rest: item, optional: true }
+                },
+                context: 'Partial Elements Test'
+            })
+            let partial = oc.partial()
+            expect(partial.validate({ arr: [ {} ], byName: { a: {} }, pair: [ {}, {} ] }).cleanOptions).toEqual({
+                arr: [ { size: 1 } ],
+                byName: { a: { size: 1 } },
+                pair: [ { size: 1 }, { size: 1 } ]
+            })
+            expect(oc.validate({ arr: [ {} ] }).warnings.map( (issue) => issue.code)).toEqual([ ErrorCode.REQUIRED_MISSING ])
+        })
+
+        it("should merge two checkers", async () => {
+            let even = { check: (value) => value % 2 === 0 }
+            let a = new OptionsChecker({
+                optionsDefinition: { name: { type: 'string', default: '' }, size: { type: 'number', default: 1 } },
+                context: 'A',
+                types: { Even: even },
+                refine: (options) => options.name === 'bad' ? [ 'bad name' ] : []
+            })
+            let b = new OptionsChecker({
+                optionsDefinition: { size: { default: 2, type: 'Number', max: 5 }, even: { type: 'Even', default: 0 } },
+                context: 'B',
+                types: { Even: even },
+                refine: (options) => Promise.resolve(options.size === 3 ? [ 'bad size' ] : [])
+            })
+            let merged = OptionsChecker.merge(a, b)
+            expect(merged.contextStr).toBe('A + B')
+            await expectAsync(merged.getCleanOptionsAsync({})).toBeResolvedTo({ name: '', size: 2, even: 0 })
+            await expectAsync(merged.getCleanOptionsAsync({ name: 'bad', size: 3 })).toBeRejectedWith(jasmine.objectContaining({
+                code: ErrorCode.REFINEMENT_FAILED,
+                message: 'A + B : bad name'
+            }))
+            let report = await merged.getCleanOptionsAsync({ size: 3 }).catch( (e) => e)
+            expect(report.message).toBe('A + B : bad size')
+            expect( () => { OptionsChecker.merge(a, {}) }).toThrowMatching( (e) => e.code === ErrorCode.INVALID_ARGUMENT)
+        })
+    })
+    describe("Aliases and deprecations", () => {
+
+        let definition = {
+            color: { type: 'string', aliases: [ 'colour' ], default: 'black' },
+            fontSize: { type: 'number', renamedFrom: 'size', default: 12 },
+            legacyMode: { type: 'boolean', deprecated: 'use mode instead', default: false },
+            style: { type: 'object', default: {}, objectDefinition: {
+                borderWidth: { type: 'number', renamedFrom: [ 'border', 'borderSize' ], default: 0 }
+            } }
+        }
+
+        it("should assign values given with aliases and old names", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Alias Test' })
+            let report = oc.validate({ colour: 'red', size: 14, style: { borderSize: 2 } })
+            expect(report.valid).toBeTrue()
+            expect(report.cleanOptions).toEqual({ color: 'red', fontSize: 14, legacyMode: false, style: { borderWidth: 2 } })
+            expect(report.unknownProperties).toEqual([])
+            expect(report.warnings).toEqual([])
+            expect(report.deprecations.map( (issue) => [ issue.path, issue.code, issue.message, issue.suggestion ])).toEqual([
+                [ [ 'size' ], ErrorCode.DEPRECATED, `Option 'size' has been renamed to 'fontSize'`, 'fontSize' ],
+                [ [ 'style', 'borderSize' ], ErrorCode.DEPRECATED, `Option 'borderSize' has been renamed to 'borderWidth'`, 'borderWidth' ]
+            ])
+            expect(oc.validate({ color: 'red' }).deprecations).toEqual([])
+        })
+
+        it("should report deprecated options", () => {
+            let report = new OptionsChecker({ optionsDefinition: definition, context: 'Alias Test' }).validate({ legacyMode: true })
+            expect(report.cleanOptions.legacyMode).toBeTrue()
+            expect(report.deprecations.length).toBe(1)
+            expect(report.deprecations[0].message).toBe(`Option 'legacyMode' is deprecated: use mode instead`)
+            expect(report.deprecations[0].context).toBe('Alias Test')
+        })
+
+        it("should fail if different values are given for the same option", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Alias Test' })
+            expect(oc.getCleanOptions({ color: 'red', colour: 'red' }).color).toBe('red')
+            expect(oc.getCleanOptions({ style: { border: [ 1 ] , borderSize: [ 1 ] } }).style).toEqual({ borderWidth: 0 })
+            let report = oc.validate({ color: 'red', colour: 'blue', style: { border: 1, borderSize: 2 } })
+            expect(report.errors.map( (issue) => [ issue.path, issue.code, issue.message ])).toEqual([
+                [ [ 'colour' ], ErrorCode.CONFLICTING_OPTIONS, `Options 'color' and 'colour' are the same option 'color' and cannot have different values` ]
+            ])
+            expect(report.warnings.map( (issue) => issue.message)).toEqual([
+                `Options 'border' and 'borderSize' are the same option 'borderWidth' and cannot have different values. Default assigned to 'style'.`
+            ])
+        })
+
+        it("should log each deprecation only once per checker if verbose", () => {
+            spyOn(console, 'warn')
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Alias Test', verbose: true })
+            oc.getCleanOptions({ size: 10, legacyMode: true })
+            oc.getCleanOptions({ size: 11, legacyMode: true })
+            expect(console.warn).toHaveBeenCalledTimes(2)
+            expect(console.warn).toHaveBeenCalledWith(`Alias Test : Option 'size' has been renamed to 'fontSize'`)
+            new OptionsChecker({ optionsDefinition: definition, context: 'Alias Test' }).getCleanOptions({ colour: 'red', size: 10 })
+            expect(console.warn).toHaveBeenCalledTimes(2)
+            new OptionsChecker({ optionsDefinition: definition, context: 'Alias Test', verbose: true }).getCleanOptions({ size: 10 })
+            expect(console.warn).toHaveBeenCalledTimes(3)
+        })
+
+        it("should check aliases in the definition and export them to JSON Schema", () => {
+            expect( () => {
+                new OptionsChecker({
+                    optionsDefinition: {
+                        a: { type: 'string', aliases: [ 'b' ] },
+                        b: { type: 'string', renamedFrom: [ 'c' ], deprecated: 1 },
+                        d: { type: 'string', aliases: 'e', renamedFrom: 'c' }
+                    },
+                    context: 'Alias Definition Test'
+                })
+            }).toThrowMatching( (e) => e.issues.map( (issue) => `${issue.path.join('.')}: ${issue.message}`).join('; ') ===
+                `b: deprecated must be a boolean or a string, 1 given; a: The name 'b' is already used in the definition; ` +
+                `d: Invalid aliases, need a non-empty array of option names; d: The name 'c' is already used in the definition`)
+            let schema = new OptionsChecker({ optionsDefinition: definition, context: 'Alias Test' }).pick([ 'color', 'fontSize', 'legacyMode' ]).toJsonSchema()
+            expect(schema.properties).toEqual({
+                color: { type: 'string', default: 'black' },
+                fontSize: { type: 'number', default: 12 },
+                legacyMode: { type: 'boolean', default: false, deprecated: true },
+                colour: { type: 'string', default: 'black' },
+                size: { type: 'number', default: 12, deprecated: true }
+            })
+        })
+    })
+
+    describe("Documentation", () => {
+
+        let definition = {
+            name: { type: 'NonEmptyString', required: true, description: 'the user name', examples: [ 'ann', 'bob' ] },
+            mode: { type: 'string', values: [ 'local', 'remote' ], default: 'local' },
+            host: { type: 'string', requiredIf: { mode: 'remote' } },
+            verbose: { type: 'boolean', default: false, aliases: [ 'v' ] },
+            tags: { type: 'array', elementDefinition: { type: 'string', minLength: 1 }, default: [] },
+            style: {
+                type: 'object',
+                objectDefinition: {
+                    color: { type: 'string', default: 'black', description: 'a CSS color' },
+                    size: { type: 'number', min: 0, defaultFactory: () => 12 }
+                }
+            }
+        }
+
+        it("should describe options definitions", () => {
+            let description = new OptionsChecker({ optionsDefinition: definition, context: 'Documentation Test' }).describe()
+            expect(description.context).toBe('Documentation Test')
+            expect(description.options.map( (option) => option.name)).toEqual([ 'name', 'mode', 'host', 'verbose', 'tags', 'style' ])
+            expect(description.options[0]).toEqual({
+                name: 'name',
+                path: [ 'name' ],
+                type: 'NonEmptyString',
+                required: true,
+                optional: false,
+                hasDefault: false,
+                constraints: {},
+                description: 'the user name',
+                examples: [ 'ann', 'bob' ]
+            })
+            expect(description.options[2].required).toBeFalse()
+            expect(description.options[2].optional).toBeTrue()
+            expect(description.options[2].constraints).toEqual({ requiredIf: { mode: 'remote' } })
+            expect(description.options[4].element).toEqual({ path: [ 'tags', '*' ], type: 'string', hasDefault: false, constraints: { minLength: 1 } })
+            let style = description.options[5]
+            expect(style.hasDefault).toBeTrue()
+            expect(style.options[1]).toEqual(jasmine.objectContaining({ path: [ 'style', 'size' ], hasDefault: true, defaultFactory: true }))
+        })
+
+        it("should render the description as Markdown and HTML", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Documentation Test' })
+            expect(oc.toMarkdown()).toBe([
+                `    {`,
+                `        name: <NonEmptyString, the user name, e.g. 'ann', 'bob'; required>`,
+                `        mode: <'local'|'remote'; default: 'local'>`,
+                `        host: <string, required if mode is 'remote'; optional>`,
+                `        verbose: <true|false, aliases: 'v'; default: false>`,
+                `        tags: <array; default: []> [`,
+                `            <string, minLength: 1>`,
+                `        ]`,
+                `        style: <object; default: built from the nested defaults> {`,
+                `            color: <string, a CSS color; default: 'black'>`,
+                `            size: <number, min: 0; default: computed>`,
+                `        }`,
+                `    }`
+            ].join('\n'))
+            let html = oc.toHtml()
+            expect(html).toContain(`<li><code>name</code>: NonEmptyString, the user name, e.g. &#39;ann&#39;, &#39;bob&#39;; required</li>`)
+            expect(html).toContain(`<li><em>elements</em>: string, minLength: 1</li>`)
+            expect(html).toContain(`<li><code>style</code>: object; default: built from the nested defaults\n    <ul>\n` +
+                `      <li><code>color</code>: string, a CSS color; default: &#39;black&#39;</li>`)
+        })
+
+        it("should check description and examples in the definition", () => {
+            expect( () => {
+                new OptionsChecker({
+                    optionsDefinition: {
+                        a: { type: 'string', default: '', description: 1 },
+                        b: { type: 'string', default: '', examples: [] }
+                    },
+                    context: 'Documentation Definition Test'
+                })
+            }).toThrowMatching( (e) => e.issues.map( (issue) => `${issue.path.join('.')}: ${issue.message}`).join('; ') ===
+                `a: description must be a string, 1 given; b: Invalid examples, need a non-empty array`)
+            let schema = new OptionsChecker({ optionsDefinition: definition, context: 'Documentation Test' }).toJsonSchema({ onUnsupported: 'ignore' })
+            expect(schema.properties.name).toEqual({ type: 'string', minLength: 1, description: 'the user name', examples: [ 'ann', 'bob' ] })
+        })
+    })
+
+    describe("Logger and hooks", () => {
+        let getLogger = () => {
+            let logger = { messages: [] }
+            for (const method of [ 'debug', 'warn', 'error']) {
+                logger[method] = (message) => { logger.messages.push(`${method}: ${message}`) }
+            }
+            return logger
+        }
+
+        it("should log to the given logger instead of the console", () => {
+            spyOn(console, 'log')
+            spyOn(console, 'warn')
+            spyOn(console, 'error')
+            let logger = getLogger()
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    size: { type: 'number', default: 1 },
+                    user: { type: 'object', objectDefinition: { name: { type: 'string', required: true } }, required: true }
+                },
+                context: 'Logger Test',
+                verbose: true,
+                logger: logger
+            })
+            oc.validate({ size: 'big', user: {} })
+            expect(logger.messages).toEqual([
+                `warn: Logger Test : size should be a number, 'big' given. Default assigned.`,
+                `error: Logger Test : user : Required option 'name' not found`
+            ])
+            logger.messages = []
+            oc.setDebug(true)
+            oc.pick([ 'size' ]).getCleanOptions({ size: 2 })
+            expect(logger.messages).toContain(`debug: Checking option 'size', value: 2`)
+            expect(console.log).not.toHaveBeenCalled()
+            expect(console.warn).not.toHaveBeenCalled()
+            expect(console.error).not.toHaveBeenCalled()
+            expect( () => {
+                new OptionsChecker({ optionsDefinition: {}, context: 'Logger Test', logger: { warn: () => {} } })
+            }).toThrowError(OptionsCheckerError, /logger must be an object with debug, warn and error methods/)
+        })
+
+        it("should call the hooks", () => {
+            let calls = []
+            let sPrettyPrint = (value) => typeof value === 'string' ? `'${value}'` : `${value}`
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    name: { type: 'string', transformFunction: (value) => value.trim() },
+                    mode: { type: 'string', values: [ 'a', 'b' ], default: 'a' },
+                    style: { type: 'object', objectDefinition: { color: { type: 'string', default: 'black' } } },
+                    size: { anyOf: [ { type: 'number', transformFunction: (value) => value * 2 }, { type: 'string' } ], default: 0 }
+                },
+                context: 'Hooks Test',
+                hooks: {
+                    onDefaultAssigned: (path, reason) => { calls.push(`default ${path.join('.')} (${reason})`) },
+                    onTransform: (path, before, after) => { calls.push(`transform ${path.join('.')} ${sPrettyPrint(before)} => ${sPrettyPrint(after)}`) },
+                    onWarning: (issue) => { calls.push(`warning ${issue.code}`) }
+                }
+            })
+            expect(oc.getCleanOptions({ name: ' x ', mode: 'c', size: 'large' })).toEqual({ name: 'x', mode: 'a', style: { color: 'black' }, size: 'large' })
+            expect(calls).toEqual([
+                `transform name ' x ' => 'x'`,
+                `warning VALUE_NOT_ALLOWED`,
+                `default mode (invalid)`,
+                `default style.color (missing)`,
+                `default style (missing)`
+            ])
+            calls = []
+            oc.omit([ 'name' ]).getCleanOptions({ mode: 'b', style: { color: 'red' }, size: 2 })
+            expect(calls).toEqual([ `transform size 2 => 4` ])
+            expect( () => {
+                new OptionsChecker({ optionsDefinition: {}, context: 'Hooks Test', hooks: { onWarnings: () => {} } })
+            }).toThrowError(OptionsCheckerError, `OptionsChecker constructor : hooks : Unknown option 'onWarnings', did you mean 'onWarning'?`)
+        })
+
+        it("should report hooks that throw and log the help text with the logger", () => {
+            spyOn(console, 'log')
+            let logger = getLogger()
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    name: { type: 'string', transformFunction: (value) => value.trim(), required: true },
+                    mode: { type: 'string', default: 'a' }
+                },
+                context: 'Hook Failure Test',
+                logger: logger,
+                hooks: {
+                    onDefaultAssigned: () => { throw new Error('default hook error') },
+                    onTransform: () => { throw new Error('transform hook error') }
+                }
+            })
+            let report = oc.validate({ name: ' x ' })
+            expect(report.valid).toBeFalse()
+            expect(report.errors.map( (issue) => [ issue.code, issue.path.join('.'), issue.message ])).toEqual([
+                [ ErrorCode.HOOK_FAILED, 'name', 'Hook onTransform failed: transform hook error' ],
+                [ ErrorCode.HOOK_FAILED, 'mode', 'Hook onDefaultAssigned failed: default hook error' ]
+            ])
+            expect( () => { oc.getCleanOptions({ name: 'x', mode: 'b' }) }).toThrowMatching( (e) => e.code === ErrorCode.HOOK_FAILED)
+            expect(oc.getCleanOptionsFromArgv([ '--help' ])).toBeNull()
+            expect(logger.messages).toEqual([ `debug: ${oc.getArgvHelpText()}` ])
+            expect(console.log).not.toHaveBeenCalled()
+        })
+    })
+
+    describe("Sensitive options", () => {
+
+        let definition = {
+            apiKey: { type: 'NonEmptyString', required: true, sensitive: true, customCheck: (value) => value.startsWith('key-'),
+                customCheckDescription: 'an API key' },
+            db: {
+                type: 'object',
+                objectDefinition: {
+                    user: { type: 'string', default: 'root' },
+                    password: { type: 'string', minLength: 8, default: 'changeme', sensitive: true }
+                }
+            },
+            credentials: {
+                type: 'object',
+                sensitive: true,
+                objectDefinition: { token: { type: 'string', values: [ 'token-a', 'token-b' ], default: 'token-a' } }
+            }
+        }
+
+        it("should redact sensitive values in issues and exceptions", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Sensitive Test' })
+            let report = oc.validate({ apiKey: 'secret-1', db: { password: 'short' }, credentials: { token: 'token-c' } })
+            expect(report.errors).toEqual([ {
+                path: [ 'apiKey' ],
+                code: ErrorCode.CUSTOM_CHECK_FAILED,
+                message: 'apiKey must be an API key, [redacted] given',
+                context: 'Sensitive Test',
+                expected: 'an API key',
+                received: '[redacted]'
+            } ])
+            expect(report.warnings.map( (issue) => `${issue.message} (${issue.received})`)).toEqual([
+                `String 'password' should be at least 8 characters(s) long, it has 5. Default assigned. ([redacted])`,
+                `token must be one of the allowed values; [redacted] given. Default assigned. ([redacted])`
+            ])
+            expect( () => { oc.getCleanOptions({ apiKey: '' }) }).toThrowMatching( (e) => {
+                return e.message === `Sensitive Test : apiKey should be a non-empty string, [redacted] given` && e.received === '[redacted]'
+            })
+            expect( () => {
+                oc.getCleanOptions({ apiKey: 'key-1', db: { password: 42 }, credentials: { token: 'token-a' } })
+            }).not.toThrow()
+        })
+
+        it("should redact sensitive values given for discriminated unions and in conditions", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    secret: {
+                        sensitive: true,
+                        discriminator: 'kind',
+                        oneOf: { pin: { objectDefinition: { code: { type: 'string', required: true } } } },
+                        optional: true
+                    },
+                    mode: { type: 'string', sensitive: true, default: 'plain' },
+                    recoveryCode: { type: 'string', requiredIf: { mode: 'master-key' } }
+                },
+                context: 'Sensitive Union Test'
+            })
+            let report = oc.validate({ secret: 123456 })
+            expect(report.errors.map( (issue) => [ issue.message, issue.received ])).toEqual([
+                [ 'secret must be an object, [redacted] given', '[redacted]' ]
+            ])
+            report = oc.validate({ mode: 'master-key' })
+            expect(report.errors.map( (issue) => issue.message)).toEqual([ `Option 'recoveryCode' is required when mode is [redacted]` ])
+            expect(oc.describe().options[2].constraints.requiredIf).toEqual({ mode: '[redacted]' })
+            expect(oc.toMarkdown()).toContain(`recoveryCode: <string, required if mode is [redacted]; optional>`)
+            expect(oc.toMarkdown()).not.toContain('master-key')
+        })
+
+        it("should leave exception messages out of issues about sensitive values", () => {
+            let messages = []
+            let logger = { debug: (message) => messages.push(message), warn: (message) => messages.push(message), error: (message) => messages.push(message) }
+            let throwWithValue = (value) => { throw new Error(`bad ${value}`) }
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    token: { type: 'string', sensitive: true, transformFunction: throwWithValue },
+                    pin: { type: 'string', sensitive: true, refine: (value) => [ `wrong pin ${value}` ], default: '0000' },
+                    name: { type: 'string', transformFunction: throwWithValue, default: 'x' }
+                },
+                context: 'Sensitive Exception Test',
+                verbose: true,
+                logger: logger
+            })
+            let report = oc.validate({ token: 'SECRETT', pin: '1234', name: 'visible' })
+            expect(report.errors.map( (issue) => issue.message)).toEqual([
+                'Transform function failed for option token',
+                'Transform function failed for option name: bad visible'
+            ])
+            expect(report.warnings.map( (issue) => issue.message)).toEqual([ 'option pin is not valid. Default assigned.' ])
+            expect(messages.filter( (message) => /SECRETT|1234/.test(message))).toEqual([])
+            expect( () => { oc.getCleanOptions({ token: 'SECRETT' }) }).toThrowMatching( (e) => {
+                return e.code === ErrorCode.TRANSFORM_FAILED && !e.message.includes('SECRETT')
+            })
+        })
+
+        it("should redact sensitive values in debug output and hooks", () => {
+            let messages = []
+            let transforms = []
+            let logger = { debug: (message) => messages.push(message), warn: (message) => messages.push(message), error: (message) => messages.push(message) }
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    password: { type: 'string', coerce: true, sensitive: true, transformFunction: (value) => value.trim() },
+                    pin: { type: 'number', coerce: true, sensitive: true, default: 0 }
+                },
+                context: 'Sensitive Debug Test',
+                debug: true,
+                logger: logger,
+                hooks: { onTransform: (path, before, after) => { transforms.push([ before, after ]) } }
+            })
+            expect(oc.getCleanOptions({ password: ' hunter2 ', pin: 'p1n' })).toEqual({ password: 'hunter2', pin: 0 })
+            expect(messages).toContain(`Checking option 'password', value: [redacted]`)
+            expect(messages).toContain(`Sensitive Debug Test : pin could not be converted to a number, [redacted] given. Default assigned.`)
+            expect(messages.filter( (message) => /hunter2|p1n/.test(message))).toEqual([])
+            expect(transforms).toEqual([ [ '[redacted]', '[redacted]' ] ])
+        })
+
+        it("should leave sensitive values out of the documentation", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'Sensitive Test' })
+            expect(oc.toMarkdown()).toBe([
+                `    {`,
+                `        apiKey: <NonEmptyString, an API key, sensitive; required>`,
+                `        db: <object; default: built from the nested defaults> {`,
+                `            user: <string; default: 'root'>`,
+                `            password: <string, minLength: 8, sensitive; default: [redacted]>`,
+                `        }`,
+                `        credentials: <object, sensitive; default: [redacted]> {`,
+                `            token: <string, sensitive; default: [redacted]>`,
+                `        }`,
+                `    }`
+            ].join('\n'))
+            expect(oc.getArgvHelpText()).toContain(`--credentials.token <string>  default: [redacted]`)
+            let schema = oc.toJsonSchema({ onUnsupported: 'ignore' })
+            expect(schema.properties.db.properties.password).toEqual({ type: 'string', minLength: 8, writeOnly: true })
+            expect(schema.properties.credentials).toEqual({
+                type: 'object',
+                properties: { token: { type: 'string', enum: [ 'token-a', 'token-b' ] } },
+                writeOnly: true
+            })
+        })
+    })
+
+    describe("Named definitions", () => {
+
+        let definitions = {
+            Point: { type: 'object', objectDefinition: { x: { type: 'number', default: 0 }, y: { type: 'number', default: 0 } } },
+            Node: {
+                type: 'object',
+                objectDefinition: {
+                    name: { type: 'string', required: true },
+                    children: { type: 'array', elementDefinition: { ref: 'Node' }, default: [] }
+                }
+            }
+        }
+        let definition = {
+            origin: { ref: 'Point' },
+            target: { ref: 'Point', description: 'where to go' },
+            tree: { ref: 'Node', optional: true }
+        }
+
+        it("should check options against named and recursive definitions", () => {
+            let oc = new OptionsChecker({ definitions: definitions, optionsDefinition: definition, context: 'Refs Test' })
+            expect(oc.getCleanOptions({ target: { x: 3 }, tree: { name: 'a', children: [ { name: 'b' } ] } })).toEqual({
+                origin: { x: 0, y: 0 },
+                target: { x: 3, y: 0 },
+                tree: { name: 'a', children: [ { name: 'b', children: [] } ] }
+            })
+            let report = oc.validate({ tree: { name: 'a', children: [ { name: 42 } ] } })
+            expect(report.warnings.map( (issue) => issue.path.join('.'))).toEqual([ 'tree.children.0.name' ])
+            expect( () => { oc.getCleanOptions({ tree: {} }) }).toThrowMatching( (e) => e.code === ErrorCode.REQUIRED_MISSING &&
+                e.optionPath.join('.') === 'tree.name')
+            expect(oc.pick([ 'tree' ]).getCleanOptions({ tree: { name: 'a' } })).toEqual({ tree: { name: 'a', children: [] } })
+        })
+
+        it("should report circular and too deep values", () => {
+            let oc = new OptionsChecker({ definitions: definitions, optionsDefinition: definition, context: 'Refs Test', strictDefault: true, maxDepth: 3 })
+            let node = { name: 'a', children: [] }
+            node.children.push({ name: 'b', children: [ node ] })
+            expect(oc.validate({ tree: node }).errors.map( (issue) => `${issue.code} ${issue.path.join('.')}`)).toEqual([
+                `${ErrorCode.CIRCULAR_REFERENCE} tree.children.0.children.0`
+            ])
+            let deepTree = { name: '1', children: [ { name: '2', children: [ { name: '3', children: [ { name: '4' } ] } ] } ] }
+            expect(oc.validate({ tree: deepTree }).errors.map( (issue) => issue.message)).toEqual([
+                `Option element is nested too deeply, the maximum depth is 3`
+            ])
+            expect(oc.validate({ tree: deepTree.children[0] }).valid).toBeTrue()
+        })
+
+        it("should report values nested too deeply for the stack", () => {
+            let oc = new OptionsChecker({ definitions: definitions, optionsDefinition: definition, context: 'Refs Test', strictDefault: true, maxDepth: 1000 })
+            let deepTree = { name: 'leaf' }
+            for (let i = 0; i < 2000; i++) {
+                deepTree = { name: `${i}`, children: [ deepTree ] }
+            }
+            expect(oc.validate({ tree: deepTree }).errors.map( (issue) => issue.code)).toEqual([ ErrorCode.MAX_DEPTH_EXCEEDED ])
+            expect( () => {
+                new OptionsChecker({ definitions: definitions, optionsDefinition: definition, context: 'Refs Test', maxDepth: 1001 })
+            }).toThrowMatching( (e) => e.code === ErrorCode.OUT_OF_RANGE)
+            let recursiveChecker = new OptionsChecker({
+                definitions: { Node: { type: 'object', objectDefinition: { child: { ref: 'Node', optional: true } } } },
+                optionsDefinition: { node: { ref: 'Node' } },
+                context: 'Recursive Default Test'
+            })
+            expect(recursiveChecker.validate({}).errors.map( (issue) => issue.code)).toEqual([ ErrorCode.MAX_DEPTH_EXCEEDED ])
+        })
+
+        it("should check refs in the definition", () => {
+            expect( () => {
+                new OptionsChecker({
+                    definitions: { Point: { type: 'object' }, A: { ref: 'B' }, B: { ref: 'A' } },
+                    optionsDefinition: {
+                        a: { ref: 'Piont' },
+                        b: { ref: 'Point', type: 'object' }
+                    },
+                    context: 'Refs Definition Test'
+                })
+            }).toThrowMatching( (e) => e.issues.map( (issue) => `${issue.path.join('.')}: ${issue.message}`).join('; ') ===
+                `b: type cannot be used together with ref, it must be given in the named definition; ` +
+                `a: Unknown definition 'Piont', did you mean 'Point'?; ` +
+                `definitions.A: Circular reference: A -> B -> A; definitions.B: Circular reference: B -> A -> B`)
+        })
+
+        it("should document named definitions and export them to JSON Schema", () => {
+            let oc = new OptionsChecker({ definitions: definitions, optionsDefinition: definition, context: 'Refs Test' })
+            expect(oc.toMarkdown()).toBe([
+                `    {`,
+                `        origin: <Point; default: built from the nested defaults>`,
+                `        target: <Point, where to go; default: built from the nested defaults>`,
+                `        tree: <Node; optional>`,
+                `    }`,
+                ``,
+                `    Point: <object; default: built from the nested defaults> {`,
+                `        x: <number; default: 0>`,
+                `        y: <number; default: 0>`,
+                `    }`,
+                ``,
+                `    Node: <object> {`,
+                `        name: <string; required>`,
+                `        children: <array; default: []> [`,
+                `            <Node>`,
+                `        ]`,
+                `    }`
+            ].join('\n'))
+            let schema = oc.toJsonSchema()
+            expect(schema.properties.target).toEqual({ $ref: '#/$defs/Point', description: 'where to go' })
+            expect(schema.$defs.Node.properties.children.items).toEqual({ $ref: '#/$defs/Node' })
+            let imported = OptionsChecker.fromJsonSchema(schema, 'Imported Refs Test')
+            expect(imported.getCleanOptions({ tree: { name: 'a', children: [ { name: 'b' } ] } })).toEqual(
+                oc.getCleanOptions({ tree: { name: 'a', children: [ { name: 'b' } ] } }))
+        })
+    })
+
+    describe("More types", () => {
+        class Base {}
+        class Sub extends Base {}
+
+        let definition = {
+            count: { type: 'integer', exclusiveMin: 0, multipleOf: 5, default: 5 },
+            ratio: { type: 'finiteNumber', min: 0, max: 1, default: 0.5 },
+            since: { type: 'date', min: new Date('2020-01-01'), optional: true },
+            id: { type: 'bigint', min: 0n, optional: true },
+            filter: { type: 'regexp', default: /.*/ },
+            lookup: { type: 'map', keyDefinition: { type: 'string' }, valueDefinition: { type: 'number' }, default: new Map() },
+            tags: { type: 'set', elementDefinition: { type: 'string' }, maxLength: 2, default: new Set() },
+            renderer: { type: 'class', subclassOf: Base, default: Base }
+        }
+
+        it("should check the new types", () => {
+            let oc = new OptionsChecker({ optionsDefinition: definition, context: 'More Types Test' })
+            let report = oc.validate({
+                count: 0,
+                ratio: Infinity,
+                since: new Date('2019-01-01'),
+                id: -1n,
+                filter: 'x',
+                lookup: new Map([ [ 'a', 'b' ] ]),
+                tags: new Set([ 'a', 'b', 'c' ]),
+                renderer: class Other {}
+            })
+            expect(report.errors.map( (issue) => issue.message)).toEqual([
+                `Date 'since' should be equal to or greater than 2020-01-01T00:00:00.000Z, 2019-01-01T00:00:00.000Z given`,
+                `BigInt 'id' should be equal to or greater than 0, -1 given`
+            ])
+            expect(report.warnings.map( (issue) => `${issue.code} ${issue.path.join('.')}`)).toEqual([
+                `${ErrorCode.OUT_OF_RANGE} count`,
+                `${ErrorCode.TYPE_MISMATCH} ratio`,
+                `${ErrorCode.TYPE_MISMATCH} filter`,
+                `${ErrorCode.TYPE_MISMATCH} lookup.a`,
+                `${ErrorCode.INVALID_LENGTH} tags`,
+                `${ErrorCode.CLASS_MISMATCH} renderer`
+            ])
+            expect(oc.validate({ since: new Date('x') }).errors.map( (issue) => issue.message)).toEqual([
+                `since should be a valid date, Invalid Date given`
+            ])
+            expect(oc.getCleanOptions({ count: 10, renderer: Sub, tags: new Set([ 'a' ]) })).toEqual({
+                count: 10,
+                ratio: 0.5,
+                filter: /.*/,
+                lookup: new Map(),
+                tags: new Set([ 'a' ]),
+                renderer: Sub
+            })
+        })
+
+        it("should reject null unless the option is nullable", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    parent: { type: 'object', nullable: true, default: null },
+                    options: { type: 'object', optional: true }
+                },
+                context: 'Nullable Test'
+            })
+            expect(oc.getCleanOptions({})).toEqual({ parent: null })
+            expect(oc.getCleanOptions({ parent: null, options: {} })).toEqual({ parent: null, options: {} })
+            expect( () => { oc.getCleanOptions({ options: null }) }).toThrowMatching( (e) => e.code === ErrorCode.TYPE_MISMATCH &&
+                e.message === 'Nullable Test : options must be an object, null given')
+            expect(oc.toJsonSchema().properties.parent).toEqual({ anyOf: [ { type: 'object' }, { type: 'null' } ], default: null })
+        })
+
+        it("should check range keys in the definition", () => {
+            expect( () => {
+                new OptionsChecker({
+                    optionsDefinition: {
+                        a: { type: 'date', min: 'x' },
+                        b: { type: 'integer', multipleOf: 0 },
+                        c: { type: 'integer', min: 5, max: 1 }
+                    },
+                    context: 'Range Definition Test'
+                })
+            }).toThrowMatching( (e) => e.issues.map( (issue) => `${issue.path.join('.')}: ${issue.message}`).join('; ') ===
+                `a: min must be a number, a bigint or a date, 'x' given; ` +
+                `b: multipleOf must be a number greater than zero, 0 given; ` +
+                `c: min (5) is greater than max (1)`)
+        })
+    })
+
+    describe("String patterns and formats", () => {
+
+        it("should check the built-in formats", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    email: { type: 'string', format: 'email', optional: true },
+                    url: { type: 'string', format: 'url', optional: true },
+                    id: { type: 'string', format: 'uuid', optional: true },
+                    day: { type: 'string', format: 'iso-date', optional: true },
+                    time: { type: 'string', format: 'iso-datetime', optional: true },
+                    color: { type: 'string', format: 'hex-color', optional: true },
+                    width: { type: 'NonEmptyString', format: 'css-length', optional: true },
+                    version: { type: 'string', format: 'semver', optional: true },
+                    token: { type: 'string', format: 'uuid', sensitive: true, optional: true }
+                },
+                context: 'Formats Test'
+            })
+            expect(oc.validate({
+                email: 'someone@example.org',
+                url: 'https://example.org/path?q=1',
+                id: '123e4567-e89b-12d3-a456-426614174000',
+                day: '2024-02-29',
+                time: '2024-02-29T10:30:00.5+01:00',
+                color: '#fa0',
+                width: '1.5em',
+                version: '1.2.3-beta.1+build.5'
+            }).valid).toBeTrue()
+            let report = oc.validate({
+                email: 'someone@',
+                url: 'example.org',
+                id: '123e4567',
+                day: '2023-02-29',
+                time: '2024-02-29 10:30',
+                color: 'orange',
+                width: '12',
+                version: '1.2',
+                token: 'secret'
+            })
+            expect(report.errors.every( (issue) => issue.code === ErrorCode.FORMAT_MISMATCH)).toBeTrue()
+            expect(report.errors.map( (issue) => issue.message)).toEqual([
+                `email should be a valid email address, 'someone@' given`,
+                `url should be a valid http or https URL, 'example.org' given`,
+                `id should be a valid UUID, '123e4567' given`,
+                `day should be a date in ISO format (YYYY-MM-DD), '2023-02-29' given`,
+                `time should be a date and time in ISO format (YYYY-MM-DDTHH:mm:ssZ), '2024-02-29 10:30' given`,
+                `color should be a hex color like #ff8800, 'orange' given`,
+                `width should be a CSS length like 12px or 1.5em, '12' given`,
+                `version should be a semantic version like 1.2.3, '1.2' given`,
+                `token should be a valid UUID, [redacted] given`
+            ])
+            for (const url of [ 'javascript:alert(1)', 'data:text/html,<p>hi</p>', 'ftp://example.org/file' ]) {
+                expect(oc.validate({ url: url }).errors.map( (issue) => issue.code)).toEqual([ ErrorCode.FORMAT_MISMATCH ])
+            }
+        })
+
+        it("should check patterns and registered formats", () => {
+            OptionsChecker.registerFormat('isbn', { check: /^\d{13}$/, description: 'a valid ISBN' })
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    slug: { type: 'string', pattern: /^[a-z-]+$/g, default: 'home' },
+                    code: { type: 'string', pattern: '^[A-Z]{3}$', optional: true },
+                    isbn: { type: 'string', format: 'isbn', optional: true },
+                    even: { type: 'string', format: 'evenLength', optional: true }
+                },
+                formats: { evenLength: { check: (value) => value.length % 2 === 0 } },
+                context: 'Patterns Test'
+            })
+            // the g flag is dropped, so that consecutive checks give the same result
+            expect(oc.getCleanOptions({ slug: 'about-us' }).slug).toBe('about-us')
+            expect(oc.getCleanOptions({ slug: 'about-us' }).slug).toBe('about-us')
+            let report = oc.validate({ slug: 'About', code: 'abc', isbn: '123', even: 'abc' })
+            expect(report.warnings.map( (issue) => `${issue.code} ${issue.message}`)).toEqual([
+                `${ErrorCode.PATTERN_MISMATCH} slug should match the pattern /^[a-z-]+$/, 'About' given. Default assigned.`
+            ])
+            expect(report.errors.map( (issue) => `${issue.code} ${issue.message}`)).toEqual([
+                `${ErrorCode.PATTERN_MISMATCH} code should match the pattern /^[A-Z]{3}$/, 'abc' given`,
+                `${ErrorCode.FORMAT_MISMATCH} isbn should be a valid ISBN, '123' given`,
+                `${ErrorCode.FORMAT_MISMATCH} even should be a string in the evenLength format, 'abc' given`
+            ])
+            expect(oc.pick([ 'even' ]).getCleanOptions({ even: 'ab' })).toEqual({ even: 'ab' })
+            expect( () => { OptionsChecker.registerFormat('isbn', { check: () => true }) }).toThrowError(OptionsCheckerError)
+            expect( () => { OptionsChecker.registerFormat('nothing', { description: 'nothing' }) }).toThrowError(OptionsCheckerError)
+            expect( () => {
+                new OptionsChecker({
+                    optionsDefinition: {
+                        a: { type: 'string', format: 'emial' },
+                        b: { type: 'string', pattern: 42 },
+                        c: { type: 'number', format: 'email' }
+                    },
+                    context: 'Formats Definition Test'
+                })
+            }).toThrowMatching( (e) => e.issues.map( (issue) => `${issue.path.join('.')}: ${issue.message}`).join('; ') ===
+                `b: pattern must be a regular expression or a string, 42 given; ` +
+                `c: Unknown key 'format' in the option definition; ` +
+                `a: Unknown format 'emial', did you mean 'email'?`)
+        })
+
+        it("should translate patterns and formats to and from JSON Schema", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    email: { type: 'string', format: 'email', required: true },
+                    color: { type: 'string', format: 'hex-color', pattern: /^#/, default: '#000' },
+                    name: { type: 'string', pattern: /^[a-z]+$/i, default: 'a' }
+                },
+                context: 'Formats JSON Schema Test'
+            })
+            let schema = oc.toJsonSchema({ onUnsupported: 'ignore' })
+            expect(schema.properties.email).toEqual({ type: 'string', format: 'email' })
+            expect(schema.properties.color).toEqual({ type: 'string', pattern: '^#',
+                allOf: [ { pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$' } ], default: '#000' })
+            expect( () => { oc.toJsonSchema() }).toThrowMatching( (e) => e.code === ErrorCode.UNSUPPORTED_FEATURE &&
+                e.received.length === 1 && e.received[0].feature === 'pattern flags')
+            let imported = OptionsChecker.fromJsonSchema({
+                type: 'object',
+                properties: {
+                    email: { type: 'string', format: 'email' },
+                    start: { type: 'string', format: 'date-time', pattern: '^2' }
+                },
+                required: [ 'email', 'start' ]
+            }, 'Formats Import Test')
+            expect(imported.optionsDefinition.start).toEqual({ required: true, type: 'string', pattern: /^2/, format: 'iso-datetime' })
+            expect(imported.validate({ email: 'someone@example.org', start: '2024-05-01T10:00:00Z' }).valid).toBeTrue()
+            expect(imported.validate({ email: 'someone', start: '1999-05-01T10:00:00Z' }).errors.map( (issue) => issue.code)).toEqual([
+                ErrorCode.FORMAT_MISMATCH, ErrorCode.PATTERN_MISMATCH
+            ])
+        })
+    })
+
+    describe("Array elements", () => {
+
+        it("should drop or repair invalid elements", async () => {
+            let defaultAssigned = []
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    tags: { type: 'array', elementDefinition: { type: 'NonEmptyString' }, onInvalidElement: 'drop', minLength: 2, default: [ 'a', 'b' ] },
+                    sizes: { type: 'array', elementDefinition: { type: 'number', min: 0, default: 0 }, onInvalidElement: 'default', optional: true },
+                    names: { type: 'array', elementDefinition: { type: 'string' }, onInvalidElement: 'default', optional: true },
+                    levels: { type: 'array', elementDefinition: { type: 'number', default: 0, strictDefault: true }, onInvalidElement: 'default', optional: true }
+                },
+                hooks: { onDefaultAssigned: (path, reason) => { defaultAssigned.push(`${path.join('.')} ${reason}`) } },
+                strictDefault: true,
+                context: 'Invalid Elements Test'
+            })
+            let report = oc.validate({ tags: [ 'x', '', 3, 'y' ], sizes: [ 1, -2, 'big', 3 ] })
+            expect(report.cleanOptions).toEqual({ tags: [ 'x', 'y' ], sizes: [ 1, 0, 0, 3 ] })
+            expect(report.warnings.map( (issue) => `${issue.path.join('.')}: ${issue.message}`)).toEqual([
+                `tags.1: element should be a non-empty string, '' given. Element 1 dropped.`,
+                `tags.2: element should be a non-empty string, 3 given. Element 2 dropped.`,
+                `sizes.1: Number 'element' should be equal to or greater than 0, -2 given. Default assigned to element 1.`,
+                `sizes.2: element should be a number, 'big' given. Default assigned to element 2.`
+            ])
+            expect(defaultAssigned).toEqual([ 'sizes.1 invalid', 'sizes.2 invalid' ])
+            // the length is checked again after dropping
+            expect(oc.validate({ tags: [ 'x', '' ] }).errors.map( (issue) => `${issue.code} ${issue.message}`)).toEqual([
+                `${ErrorCode.INVALID_LENGTH} Array 'tags' should have at least 2 element(s), it has 1 after dropping invalid elements`
+            ])
+            // elements without a default still make the array invalid
+            expect(oc.validate({ names: [ 'a', 1 ] }).errors.map( (issue) => issue.path.join('.'))).toEqual([ 'names.1' ])
+            expect(oc.validate({ levels: [ 1, 'x' ] }).errors.map( (issue) => issue.path.join('.'))).toEqual([ 'levels.1' ])
+            expect(await oc.getCleanOptionsAsync({ tags: [ 'x', '', 'y' ], sizes: [ -1 ] })).toEqual({ tags: [ 'x', 'y' ], sizes: [ 0 ] })
+        })
+
+        it("should check uniqueItems and contains", async () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    tags: { type: 'array', elementDefinition: { type: 'NonEmptyString' }, onInvalidElement: 'drop', uniqueItems: true, optional: true },
+                    points: { type: 'array', uniqueItems: true, optional: true },
+                    users: { type: 'array', uniqueItems: (user) => user.id, optional: true },
+                    roles: { type: 'array', contains: { literal: 'admin' }, optional: true },
+                    sizes: { type: 'array', contains: { type: 'number', min: 10 }, optional: true }
+                },
+                context: 'Unique Elements Test'
+            })
+            let report = oc.validate({
+                tags: [ 'a', '', 'b', 'a' ],
+                points: [ { x: 1 }, { x: 2 }, { x: 1 } ],
+                users: [ { id: 1, name: 'a' }, { id: 1, name: 'b' } ],
+                roles: [ 'user' ],
+                sizes: [ 1, 2 ]
+            })
+            expect(report.errors.map( (issue) => `${issue.code} ${issue.message}`)).toEqual([
+                `${ErrorCode.DUPLICATE_ELEMENT} Array 'tags' should have unique elements, elements 0 and 3 are equal`,
+                `${ErrorCode.DUPLICATE_ELEMENT} Array 'points' should have unique elements, elements 0 and 2 are equal`,
+                `${ErrorCode.DUPLICATE_ELEMENT} Array 'users' should have unique elements, elements 0 and 1 have the same key`,
+                `${ErrorCode.NO_MATCHING_ELEMENT} Array 'roles' should contain 'admin'`,
+                `${ErrorCode.NO_MATCHING_ELEMENT} Array 'sizes' should contain at least one element that matches its contains definition`
+            ])
+            let keyErrors = oc.validate({ users: [ { id: 1 }, null ] }).errors
+            expect(keyErrors.map( (issue) => [ issue.code, issue.path ])).toEqual([ [ ErrorCode.UNIQUE_KEY_FAILED, [ 'users' ] ] ])
+            expect(keyErrors[0].message).toMatch(/^The uniqueItems key function failed for array 'users': /)
+            let validOptions = { tags: [ 'a', 'b' ], points: [ { x: 1 }, { x: 2 } ], users: [ { id: 1 }, { id: 2 } ], roles: [ 'user', 'admin' ], sizes: [ 1, 20 ] }
+            expect(oc.getCleanOptions(validOptions)).toEqual(validOptions)
+            expect(await oc.getCleanOptionsAsync(validOptions)).toEqual(validOptions)
+            expect( () => {
+                new OptionsChecker({
+                    optionsDefinition: { a: { type: 'array', uniqueItems: 'yes', onInvalidElement: 'skip' } },
+                    context: 'Array Definition Test'
+                })
+            }).toThrowMatching( (e) => e.issues.map( (issue) => issue.message).join('; ') ===
+                `uniqueItems must be a boolean or a function, 'yes' given; Invalid onInvalidElement, need one of 'fail', 'drop', 'default'`)
+        })
+
+        it("should document uniqueItems and contains and translate them to JSON Schema", () => {
+            let oc = new OptionsChecker({
+                optionsDefinition: {
+                    roles: { type: 'array', elementDefinition: { type: 'string' }, uniqueItems: true, contains: { literal: 'admin' },
+                        onInvalidElement: 'drop', default: [ 'admin' ] }
+                },
+                context: 'Array JSON Schema Test'
+            })
+            expect(oc.toMarkdown()).toBe([
+                `    {`,
+                `        roles: <array, unique elements, invalid elements: drop; default: [ 'admin' ]> [`,
+                `            <string>`,
+                `        ]`,
+                `            contains: <'admin'>`,
+                `    }`
+            ].join('\n'))
+            expect(oc.toJsonSchema({ onUnsupported: 'ignore' }).properties.roles).toEqual({
+                type: 'array', items: { type: 'string' }, uniqueItems: true, contains: { const: 'admin' }, default: [ 'admin' ]
+            })
+            expect( () => { oc.toJsonSchema() }).toThrowMatching( (e) => e.received.map( (item) => item.feature).join() === `onInvalidElement 'drop'`)
+            let imported = OptionsChecker.fromJsonSchema({
+                type: 'object',
+                properties: { roles: { type: 'array', uniqueItems: true, contains: { const: 'admin' } } },
+                required: [ 'roles' ]
+            }, 'Array Import Test')
+            expect(imported.validate({ roles: [ 'admin', 'admin' ] }).errors.map( (issue) => issue.code)).toEqual([ ErrorCode.DUPLICATE_ELEMENT ])
+            expect(imported.validate({ roles: [ 'user' ] }).errors.map( (issue) => issue.code)).toEqual([ ErrorCode.NO_MATCHING_ELEMENT ])
+        })
+    })
+
+    describe("Benchmark", () => {
+
+        // runs the benchmark in a new process, the checks of the other specs would slow down the shared validators
+        let runBenchmark = async (name) => {
+            let script = `import { ${name} } from '${new URL('../benchmark/benchmark.mjs', import.meta.url)}'; ` +
+                `console.log(JSON.stringify(${name}(10)))`
+            let { stdout } = await promisify(execFile)(process.execPath, [ '--input-type=module', '--eval', script ])
+            return JSON.parse(stdout)
+        }
+
+        // the benchmarks also check that both versions return the same clean options
+        it("should check long arrays faster than version 1.1.4", async () => {
+            let result = await runBenchmark('benchmarkLargeArray')
+            expect(result.time).toBeLessThan(result.originalTime)
+        }, 60000)
+
+        it("should check deep objects faster than version 1.1.4", async () => {
+            let result = await runBenchmark('benchmarkDeepObjects')
+            expect(result.time).toBeLessThan(result.originalTime)
+        }, 60000)
+    })
+})
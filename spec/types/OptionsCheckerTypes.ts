@@ -0,0 +1,345 @@
+/*
+ *  Copyright (C) 2021 Universität zu Köln
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+// Type-level tests for OptionsChecker.d.ts, checked with `npm run test:types`. Nothing here is run:
+// assignments check the inferred types and @ts-expect-error lines must fail to compile.
+
+import { OptionsChecker, OptionDefinition, OptionsDescription, ErrorCode } from '../../OptionsChecker'
+
+// basic types, defaults and requiredness
+
+class Foo { x = 1 }
+
+const oc = new OptionsChecker({
+    context: 'Test',
+    optionsDefinition: {
+        name: { type: 'string', required: true },
+        size: { type: 'number', default: 3 },
+        flag: { type: 'Boolean', default: false },
+        maybe: { type: 'string' },
+        user: { type: 'object', default: {}, objectDefinition: {
+            age: { type: 'NumberGreaterThanZero', default: 1 },
+            tags: { type: 'array', default: [], elementDefinition: { type: 'string' } }
+        } },
+        foo: { type: 'object', objectClass: Foo, required: true },
+        mode: { type: 'string', values: [ 'a', 'b' ], default: 'a' },
+        idOrName: { type: [ 'string', 'number' ], default: 0 },
+        untyped: { default: 'x' },
+        tr: { type: 'string', default: '1', transformFunction: (v: string) => parseInt(v) },
+        shape: { discriminator: 'kind', default: { kind: 'circle', r: 1 }, oneOf: {
+            circle: { objectDefinition: { r: { type: 'number', default: 1 } } },
+            square: { objectDefinition: { side: { type: 'number', default: 1 } } }
+        } },
+        any: { anyOf: [ { type: 'string' }, { type: 'number' } ], default: 1 }
+    }
+} as const)
+
+const clean = oc.getCleanOptions({})
+const name: string = clean.name
+const size: number = clean.size
+const flag: boolean = clean.flag
+const maybe: string | undefined = clean.maybe
+const age: number = clean.user.age
+const tags: string[] = clean.user.tags
+const x: number = clean.foo.x
+const mode: 'a' | 'b' = clean.mode
+const idOrName: string | number = clean.idOrName
+const untyped: string = clean.untyped
+const transformed: number = clean.tr
+const shape = clean.shape
+if (shape.kind === 'circle') {
+    const radius: number = shape.r
+}
+if (shape.kind === 'square') {
+    const side: number = shape.side
+}
+const any: string | number = clean.any
+// @ts-expect-error
+const nameAsNumber: number = clean.name
+// @ts-expect-error
+clean.nonexistent
+// @ts-expect-error options that are neither required nor have a default may be undefined
+const maybeAsString: string = clean.maybe
+// @ts-expect-error
+const otherMode: 'c' = clean.mode
+type Shape = typeof clean.shape
+const circle: Shape = { kind: 'circle', r: 1 }
+// @ts-expect-error
+const triangle: Shape = { kind: 'triangle', r: 1 }
+
+const report = oc.validate({})
+if (report.valid) {
+    const reportName: string = report.cleanOptions.name
+}
+
+// definitions given without as const
+
+const plain = new OptionsChecker({ context: 'T', optionsDefinition: {
+    a: { type: 'string', default: 'x' },
+    l: { type: 'array', default: [], elementDefinition: { type: 'number' } }
+} })
+const plainString: string = plain.getCleanOptions({}).a
+const plainList: number[] = plain.getCleanOptions({}).l
+
+const legacy = new OptionsChecker({ a: { type: 'number', default: 1 } } as const, 'Legacy')
+const legacyNumber: number = legacy.getCleanOptions({}).a
+
+const untypedChecker = new OptionsChecker({ context: 'T', optionsDefinition: {} as { [k: string]: OptionDefinition } })
+const anyValue: any = untypedChecker.getCleanOptions({}).whatever
+
+// unknown definition keys
+
+new OptionsChecker({ context: 'T', optionsDefinition: {
+    // @ts-expect-error
+    a: { type: 'array', default: [], elementDefiniton: { type: 'string' } }
+} })
+new OptionsChecker({ context: 'T', optionsDefinition: {
+    a: { type: 'object', default: {}, objectDefinition: {
+        // @ts-expect-error
+        b: { typ: 'string' }
+    } }
+} } as const)
+const separateDefinition: OptionDefinition = {
+    type: 'string',
+    // @ts-expect-error
+    requried: true
+}
+
+// async checks and transforms
+
+const asyncChecker = new OptionsChecker({ context: 'A', optionsDefinition: {
+    id: { type: 'string', required: true, customCheck: async (v: string) => v.length > 0, transformFunction: async (v: string) => v.length },
+    list: { type: 'array', default: [], elementDefinition: { type: 'number', transformFunction: async (v: number) => String(v) } }
+} })
+async function checkAsync() {
+    const asyncClean = await asyncChecker.getCleanOptionsAsync({})
+    const id: number = asyncClean.id
+    const list: string[] = asyncClean.list
+}
+
+// default factories and derived defaults
+
+const defaultsChecker = new OptionsChecker({
+    optionsDefinition: {
+        created: { type: 'object', defaultFactory: () => new Date() },
+        list: { type: 'array', elementDefinition: { type: 'number' }, defaultFactory: async () => [ 1 ] },
+        derived: { type: 'object', objectDefinition: { a: { type: 'number', default: 1 }, b: { type: 'string', defaultFactory: () => 'x' } } },
+        notDerived: { type: 'object', objectDefinition: { a: { type: 'number' } } }
+    },
+    context: 'Defaults'
+} as const)
+const defaults = defaultsChecker.getCleanOptions({})
+const derivedNumber: number = defaults.derived.a
+const derivedString: string = defaults.derived.b
+// @ts-expect-error notDerived may be undefined
+defaults.notDerived.a
+const created: { [key: string]: any } = defaults.created
+defaultsChecker.getCleanOptionsAsync({}).then( (asyncDefaults) => { const list: number[] = asyncDefaults.list })
+
+// cross-field rules
+
+const rulesChecker = new OptionsChecker({
+    optionsDefinition: {
+        mode: { type: 'string', values: [ 'local', 'remote' ], default: 'local' },
+        url: { type: 'string', requiredIf: { mode: 'remote' } },
+        inline: { type: 'string', conflictsWith: [ 'src' ] },
+        src: { type: 'string', implies: 'mode' },
+        range: {
+            type: 'object',
+            objectDefinition: { a: { type: 'number', default: 0 } },
+            refine: (range: { a: number }) => range.a > 0 ? [] : [ { path: 'a', message: 'bad' } ]
+        }
+    },
+    context: 'Rules',
+    refine: (options) => options.url === '' ? [ 'empty url' ] : undefined
+} as const)
+const url: string | undefined = rulesChecker.getCleanOptions({}).url
+
+// records and tuples
+
+const collections = new OptionsChecker({
+    optionsDefinition: {
+        rec: { type: 'record', valueDefinition: { type: 'number' }, default: {} },
+        tup: { type: 'tuple', items: [ { type: 'number', required: true }, { type: 'string', default: '' } ], default: [ 0 ] },
+        tupRest: { type: 'tuple', items: [ { type: 'string', required: true } ], rest: { type: 'boolean' }, default: [ 'a' ] }
+    },
+    context: 'Collections'
+} as const).getCleanOptions({})
+const record = collections.rec
+const recordValue: number | undefined = record instanceof Map ? record.get('a') : record['a']
+const [ first, second ]: [ number, string ] = collections.tup
+const restFirst: string = collections.tupRest[0]
+const restSecond: boolean = collections.tupRest[1]
+// @ts-expect-error
+const firstAsString: string = collections.tup[0]
+new OptionsChecker({ context: 'T', optionsDefinition: {
+    // @ts-expect-error
+    a: { type: 'record', valueDefinition: { type: 'string', defualt: '' } }
+} })
+
+// composition
+
+const base = new OptionsChecker({
+    optionsDefinition: {
+        id: { type: 'number', required: true },
+        name: { type: 'string', default: '' },
+        style: { type: 'object', objectDefinition: { color: { type: 'string', default: 'black' } } }
+    },
+    context: 'Base'
+} as const)
+const extended = base.extend({
+    id: { default: 0 },
+    size: { type: 'number', default: 1 },
+    style: { objectDefinition: { width: { type: 'number', default: 1 } } }
+} as const).getCleanOptions({})
+const extendedId: number = extended.id
+const extendedSize: number = extended.size
+const extendedColor: string = extended.style.color
+const extendedWidth: number = extended.style.width
+const picked = base.pick([ 'id' ]).getCleanOptions({})
+const pickedId: number = picked.id
+// @ts-expect-error
+picked.name
+// @ts-expect-error
+base.pick([ 'nope' ])
+const omitted = base.omit([ 'id' ]).getCleanOptions({})
+// @ts-expect-error
+omitted.id
+const partial = base.partial().getCleanOptions({})
+// @ts-expect-error
+const partialId: number = partial.id
+const partialName: string = partial.name
+const partialColor: string = partial.style.color
+const partialElements = new OptionsChecker({
+    optionsDefinition: {
+        arr: { type: 'array', elementDefinition: { type: 'object', objectDefinition: { key: { type: 'string', required: true } } }, default: [] },
+        pair: { type: 'tuple', items: [ { type: 'object', objectDefinition: { key: { type: 'number', required: true } } } ], required: true }
+    },
+    context: 'Partial Elements'
+} as const).partial().getCleanOptions({})
+const partialElementKey: string | undefined = partialElements.arr[0].key
+// @ts-expect-error
+const partialElementKeyDefined: string = partialElements.arr[0].key
+const partialItemKey: number | undefined = partialElements.pair?.[0].key
+const merged = OptionsChecker.merge(base, new OptionsChecker({
+    optionsDefinition: { extra: { type: 'boolean', default: false } },
+    context: 'Extra'
+} as const)).getCleanOptions({})
+const mergedExtra: boolean = merged.extra
+const mergedId: number = merged.id
+
+// documentation, logger, hooks and sensitive options
+
+const docChecker = new OptionsChecker({
+    optionsDefinition: { a: { type: 'string', default: '', description: 'x', examples: [ 'y' ] } } as const,
+    context: 'Doc'
+})
+const description: OptionsDescription = docChecker.describe()
+const firstName: string | undefined = description.options[0].name
+const documentation: string = docChecker.toMarkdown() + docChecker.toHtml()
+
+const hookChecker = new OptionsChecker({
+    optionsDefinition: { a: { type: 'string', default: '' } } as const,
+    context: 'Hooks',
+    logger: console,
+    hooks: {
+        onDefaultAssigned: (path, reason) => { const r: 'missing' | 'invalid' = reason; console.log(path.join('.'), r) },
+        onWarning: (issue) => { console.log(issue.code) }
+    }
+})
+hookChecker.logger.debug('x')
+
+const sensitiveChecker = new OptionsChecker({ optionsDefinition: { key: { type: 'string', required: true, sensitive: true } } as const, context: 'Sensitive' })
+const key: string = sensitiveChecker.getCleanOptions({}).key
+
+// named definitions
+
+const refChecker = new OptionsChecker({
+    definitions: { Point: { type: 'object', objectDefinition: { x: { type: 'number', default: 0 } } } },
+    maxDepth: 10,
+    optionsDefinition: { origin: { ref: 'Point', description: 'start' } },
+    context: 'Refs'
+} as const)
+const refDescription: OptionsDescription = refChecker.describe()
+const refNames: string[] = Object.keys(refChecker.definitions)
+    .concat(refDescription.definitions !== undefined ? Object.keys(refDescription.definitions) : [])
+const maxDepth: number = refChecker.maxDepth
+
+// more built-in types
+
+class Base {}
+class Derived extends Base {}
+const types = new OptionsChecker({
+    optionsDefinition: {
+        count: { type: 'integer', exclusiveMin: 0, multipleOf: 2, default: 2 },
+        ratio: { type: 'finiteNumber', default: 0.5 },
+        big: { type: 'bigint', min: 0n, default: 1n },
+        since: { type: 'date', min: new Date('2020-01-01'), default: new Date('2021-01-01') },
+        pattern: { type: 'regexp', default: /a/ },
+        lookup: { type: 'map', keyDefinition: { type: 'string' }, valueDefinition: { type: 'number' }, default: new Map() },
+        tags: { type: 'set', elementDefinition: { type: 'string' }, default: new Set() },
+        impl: { type: 'class', subclassOf: Base, default: Derived },
+        parent: { type: 'object', nullable: true, default: null }
+    },
+    context: 'Types'
+} as const).getCleanOptions({})
+const count: number = types.count
+const big: bigint = types.big
+const since: Date = types.since
+const pattern: RegExp = types.pattern
+const lookup: Map<string, number> = types.lookup
+const tagSet: Set<string> = types.tags
+const impl: typeof Base = types.impl
+const parent: { [key: string]: any } | null = types.parent
+
+// patterns and formats
+
+OptionsChecker.registerFormat('isbn', { check: /^\d{13}$/, description: 'a valid ISBN' })
+const formats = new OptionsChecker({
+    optionsDefinition: {
+        email: { type: 'string', format: 'email', required: true },
+        slug: { type: 'string', pattern: /^[a-z]+$/, default: 'a' },
+        isbn: { type: 'string', format: 'isbn', optional: true }
+    },
+    formats: { local: { check: (value: string) => value.length > 0, jsonSchemaFormat: 'x-local' } },
+    context: 'Formats'
+} as const).getCleanOptions({})
+const email: string = formats.email
+const formatCode: 'FORMAT_MISMATCH' = ErrorCode.FORMAT_MISMATCH
+
+// array elements
+
+const arrays = new OptionsChecker({
+    optionsDefinition: {
+        tags: { type: 'array', elementDefinition: { type: 'string' }, onInvalidElement: 'drop', uniqueItems: true, default: [] },
+        users: {
+            type: 'array',
+            elementDefinition: { type: 'object', objectDefinition: { id: { type: 'number', required: true } } },
+            uniqueItems: (user: { id: number }) => user.id,
+            contains: { type: 'object' },
+            required: true
+        }
+    },
+    context: 'Arrays'
+} as const).getCleanOptions({})
+const arrayTags: string[] = arrays.tags
+const userId: number = arrays.users[0].id
+new OptionsChecker({ context: 'T', optionsDefinition: {
+    // @ts-expect-error
+    a: { type: 'array', onInvalidElement: 'ignore', default: [] }
+} })